@@ -11,6 +11,8 @@
 // 2. Scans the page for matching text and replaces it.
 // 3. Watches for new content (infinite scroll, AJAX, etc.) and processes
 //    only the newly-added elements — not the entire page again.
+// 4. Remembers the page's original text, so turning the extension or a rule
+//    off puts it back without reloading the page.
 //
 // PRIVACY NOTICE:
 // - This script does NOT send any data to external servers.
@@ -121,21 +123,154 @@ function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Compiles a single regular-expression rule (a rule with isRegex: true).
+ * Unlike literal rules, the original text is NOT escaped — it is the user's
+ * own pattern. Case-insensitivity comes from the rule's caseSensitive flag
+ * (the "Match Case" toggle); any extra flags are limited to m, s and u.
+ * The 'g' and 'y' flags are never taken from storage because the engine
+ * relies on controlling those itself.
+ *
+ * manage.js validates patterns before saving, but storage can still be
+ * edited by hand, so an invalid pattern is logged and skipped here rather
+ * than breaking every other rule.
+ *
+ * @param {string} pattern - The user's regex source (the wordMap key).
+ * @param {Object} data - The rule data from storage.
+ * @returns {RegExp|null} - Compiled regex, or null if the pattern is invalid.
+ */
+function compileRegexRule(pattern, data) {
+  const extraFlags = typeof data.flags === 'string' ? data.flags.replace(/[^msu]/g, '') : '';
+  try {
+    return new RegExp(pattern, (data.caseSensitive ? 'g' : 'gi') + extraFlags);
+  } catch (error) {
+    Logger.warn('Skipping regex rule with invalid pattern:', pattern, error.message);
+    return null;
+  }
+}
+
+/**
+ * Expands the $-references in a regex rule's replacement text, using the
+ * same syntax as String.prototype.replace():
+ *   $1 – $99   → the text captured by that numbered group
+ *   $<name>    → the text captured by that named group
+ *   $&         → the entire match
+ *   $$         → a literal "$"
+ * Groups that did not take part in the match expand to an empty string,
+ * and anything that is not a valid reference is kept as-is — both exactly
+ * like the browser's built-in behavior.
+ *
+ * We expand references ourselves (instead of handing the replacement string
+ * to replace()) so that regex rules still go through a callback, which is
+ * where the REGEX_TIMEOUT_MS check lives.
+ *
+ * @param {string} template - The rule's replacement text.
+ * @param {string} match - The full matched text.
+ * @param {Array<string|undefined>} captures - Numbered groups (index 0 is group 1).
+ * @param {Object|undefined} namedGroups - Named groups, if the pattern has any.
+ * @returns {string} - The replacement text with all references filled in.
+ */
+function expandReplacement(template, match, captures, namedGroups) {
+  if (template.indexOf('$') === -1) return template;
+
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match;
+    if (name !== undefined) {
+      return namedGroups ? (namedGroups[name] ?? '') : token;
+    }
+
+    // "$12" means group 12 if the pattern has that many groups; otherwise
+    // it means group 1 followed by a literal "2".
+    let index = parseInt(ref, 10);
+    let rest = '';
+    if (ref.length === 2 && index > captures.length) {
+      index = parseInt(ref[0], 10);
+      rest = ref[1];
+    }
+    if (index === 0 || index > captures.length) return token;
+    return (captures[index - 1] ?? '') + rest;
+  });
+}
+
 // -----------------------------------------------------------------------------
-// UNICODE BEHAVIOR NOTES
-// JavaScript's \b word boundary only recognizes ASCII word characters
-// [a-zA-Z0-9_]. Non-ASCII letters (accented characters like é, CJK
-// characters, Cyrillic, etc.) are treated as non-word characters. This
-// means:
-//   - Replacing "café" works correctly (\b is not added around é).
-//   - Replacing "uber" will NOT match inside "über" because \b correctly
-//     sees the boundary between ü (non-word) and b (word).
-//   - Case folding uses JavaScript's built-in toLowerCase(), which follows
-//     Unicode Default Case Conversion (not locale-specific Turkish I, etc.).
-//   - The regex does NOT use the 'u' (unicode) flag, so surrogate pairs
-//     (emoji) are treated as two code units. This does not affect replacement
-//     correctness since all user input is escaped to literal characters.
+// UNICODE WORD BOUNDARIES AND CASE FOLDING
+// JavaScript's \b only knows the ASCII word characters [a-zA-Z0-9_], so it
+// would put a boundary in the middle of "naïve" and none around "кот".
+// Literal rules use WORD_CHAR instead: any letter, combining mark, digit or
+// underscore, from any script. This means:
+//   - "cat" doesn't match inside "catch", and "кот" doesn't match inside
+//     "котёнок"; "café" and "naïve" get boundaries like "cafe" would.
+//   - "ber" doesn't match inside "über" (ü is a letter too).
+//   - Scripts written without spaces between words (Chinese, Japanese,
+//     Thai, Lao, Khmer, Myanmar) are left out of WORD_CHAR: there, "猫"
+//     must still match inside "黑猫很可爱", and "Python" inside "用Python写".
+//   - Symbols keep working as before: "$5" has no boundary at its start,
+//     so it still matches inside "$500".
+// The regexes use the 'u' flag for these property classes, so surrogate
+// pairs (emoji) count as one character (the combined passes' matcher reads
+// them the same way — see LITERAL MATCHER).
+//
+// Case-insensitive rules compare text with foldCase(): the page language's
+// lowercase (document.documentElement.lang), so on a Turkish page "I"
+// pairs with "ı" and "İ" with "i", plus "ß" = "ss" ("Straße" matches a
+// rule for "strasse" and the other way round). Elsewhere "İ" still folds
+// to a plain "i". The regexes can't express this with the 'i' flag alone,
+// so foldedPattern() spells out the extra variants; the lookups then keep
+// only the matches whose folded text really equals a rule's.
+// NOTE: foldCase() is duplicated (without the page language) in manage.js.
 // -----------------------------------------------------------------------------
+const NO_SPACE_SCRIPTS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}' +
+  '\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+const WORD_CHAR = `(?:(?![${NO_SPACE_SCRIPTS}])[\\p{L}\\p{M}\\p{N}_])`;
+// "Not between two word characters" — see buildRegex() for how this stands
+// in for a boundary on each side of every word.
+const WORD_EDGE = `(?:(?<!${WORD_CHAR})|(?!${WORD_CHAR}))`;
+
+// Extra spellings of folded text that the 'i' flag doesn't find on its own.
+const FOLD_VARIANTS = { ss: '(?:ss|ß)', i: '[iİ]', ı: '[ıI]' };
+
+let caseLocale = 'und'; // Language used by foldCase() (set in updateRegexes)
+
+/**
+ * Finds the language of the page, for case folding.
+ *
+ * @returns {string} - The page's lang attribute if it is a valid language
+ *   tag, otherwise 'und' (no particular language).
+ */
+function getPageLocale() {
+  const lang = document.documentElement && document.documentElement.lang;
+  if (!lang) return 'und';
+  try {
+    ''.toLocaleLowerCase(lang); // Throws a RangeError for invalid tags
+    return lang;
+  } catch (e) {
+    return 'und';
+  }
+}
+
+/**
+ * Folds text for case-insensitive comparison (see above).
+ *
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
+ */
+function foldCase(text) {
+  return text.toLocaleLowerCase(caseLocale).replace(/i\u0307/g, 'i').replace(/ß/g, 'ss');
+}
+
+/**
+ * Turns folded text into a pattern for a case-insensitive ('iu') regex
+ * that also finds the variants in FOLD_VARIANTS.
+ *
+ * @param {string} folded - Text already passed through foldCase().
+ * @returns {string} - The regex source.
+ */
+function foldedPattern(folded) {
+  // Escaping only adds backslashes before punctuation, so the letters
+  // replaced here are always the text's own.
+  return escapeRegExp(folded).replace(/ss|i|ı/g, found => FOLD_VARIANTS[found]);
+}
 
 /**
  * Compiles a list of words into a single, optimized Regular Expression.
@@ -146,15 +281,23 @@ function escapeRegExp(string) {
  * is matched before "super". This prevents partial replacements from
  * breaking longer words.
  *
- * WORD BOUNDARIES: The \b anchors ensure that replacing "cat" doesn't
- * accidentally turn "catch" into "dogch". Boundaries are only added when
- * the pattern starts/ends with a word character (letter, digit, underscore).
+ * WORD BOUNDARIES: The boundary checks ensure that replacing "cat" doesn't
+ * accidentally turn "catch" into "dogch". A word that starts/ends with a
+ * word character (a letter, mark, digit or underscore in any script that
+ * separates words with spaces — see UNICODE WORD BOUNDARIES AND CASE
+ * FOLDING) must not continue a word there; other words, like "$5", can
+ * still match inside "$500".
+ *
+ * CASE FOLDING: Case-insensitive words are folded with foldCase() first,
+ * and their patterns also find the variants the 'i' flag misses.
  *
  * @param {string[]} words - Array of words/phrases to find.
  * @param {boolean} caseSensitive - Whether to match exact casing.
+ * @param {boolean} [flexible] - Whether the gaps between words match any
+ *   spacing (see FLEXIBLE SPACING); the words must be compacted already.
  * @returns {RegExp|null} - Compiled regex, or null if no words provided.
  */
-function buildRegex(words, caseSensitive) {
+function buildRegex(words, caseSensitive, flexible = false) {
   if (words.length === 0) return null;
 
   // Filter out empty strings before building the regex. An empty string in
@@ -169,221 +312,2487 @@ function buildRegex(words, caseSensitive) {
   // "$5" (2 chars) becomes "\$5" (3 chars), and "\b" anchors add 2 chars.
   // Sorting after escaping would use inflated lengths, potentially ordering
   // "cat" (3 chars) before "$5.00" (5 chars → "\$5\.00" = 7 chars).
+  // Folding can change a word's length ("ß" → "ss"), so it comes first.
+  if (!caseSensitive) words = words.map(foldCase);
   words.sort((a, b) => b.length - a.length);
 
   const patterns = words.map(word => {
-    const escaped = escapeRegExp(word);
-
-    // Add word boundaries (\b) only if the word starts/ends with a
-    // letter, digit, or underscore. This ensures that replacing "cat"
-    // doesn't modify "catch", but replacing "$5" (which starts with a
-    // non-word character) can still match "$5" inside "$500".
-    const prefix = /^\w/.test(word) ? '\\b' : '';
-    const suffix = /\w$/.test(word) ? '\\b' : '';
-    return `${prefix}${escaped}${suffix}`;
+    if (flexible) return flexiblePattern(word, caseSensitive);
+    return caseSensitive ? escapeRegExp(word) : foldedPattern(word);
   });
 
-  // Combine all patterns with | (OR) into one regex.
-  // Flags: 'g' = global (find all matches), 'i' = case-insensitive.
-  return new RegExp(patterns.join('|'), caseSensitive ? 'g' : 'gi');
+  // Combine all patterns with | (OR) into one regex, with one WORD_EDGE
+  // check on each side instead of a boundary per word: "not between two
+  // word characters" only rejects a word that would start (or end) inside
+  // another word, because a word starting with "$" can't match where the
+  // next character is a letter anyway. The result is the same as checking
+  // every word on its own, but the lookarounds (\b is ASCII-only even with
+  // the 'u' flag) run once per position instead of once per word.
+  // Flags: 'g' = global (find all matches), 'u' = Unicode (for the
+  // property classes), 'i' = case-insensitive.
+  return new RegExp(`${WORD_EDGE}(?:${patterns.join('|')})${WORD_EDGE}`, caseSensitive ? 'gu' : 'giu');
 }
 
 // -----------------------------------------------------------------------------
-// GLOBAL STATE
-// These variables hold the current extension state. They are updated whenever
-// settings change (e.g., when you add/remove rules in the management page).
+// LITERAL MATCHER
+// The two combined passes match every plain text rule at once. As one regex
+// (see buildRegex), thousands of rules would make the engine try each of
+// their texts in turn at every position of the page text, so these passes
+// use an Aho-Corasick automaton instead: a trie of the rules' texts, where
+// each node also links to the node for the longest ending of its text that
+// is in the trie too (its "failure link"). Walking the page text through
+// the trie one character at a time, and following the links when a
+// character doesn't continue the current text, finds every rule text that
+// ends at each character. The work depends on the length of the page text,
+// not on the number of rules.
+//
+// A LiteralMatcher is used like a global regex by String.prototype.replace()
+// and replaceFolded(), and picks the same matches the buildRegex()
+// alternation would: the leftmost one, the longest text starting there, and
+// only where WORD_EDGE holds at both ends. For case-insensitive rules, the
+// rule texts and the page text are both folded one page character at a
+// time with foldCase() (plus "ς" = "σ", which folding a whole word gets from
+// context); a match must start and end on whole page characters, so "ss"
+// finds "ß" but "s" never finds half of it. As before, replaceCallback()
+// then decides which rule a match belongs to.
 // -----------------------------------------------------------------------------
-let sensitiveRegex = null;   // Compiled regex for case-sensitive rules
-let insensitiveRegex = null; // Compiled regex for case-insensitive rules
-// Object.create(null) creates a "bare" object with NO inherited properties.
-// A regular {} inherits methods like toString, valueOf, constructor from
-// Object.prototype. If someone creates a rule to replace the word "toString",
-// a regular {} lookup would return the inherited toString FUNCTION (truthy!),
-// and .replacement would be undefined — replacing the matched text with the
-// literal string "undefined". Object.create(null) prevents this by creating
-// an object with zero inherited properties — only our explicitly-added rules exist.
-let wordMapCache = Object.create(null);       // O(1) lookup map: exact original text → rule data
-let wordMapCacheLower = Object.create(null);  // O(1) lookup map: lowercased text → rule data (for case-insensitive)
-let extensionEnabled = true; // Master on/off switch state
-let reprocessTimeout = null; // Debounce timer for storage-change re-scans
-
-// Timeout tracking variables for the replaceCallback safety mechanism.
-// These are module-scoped (not inside processNode) to avoid creating new
-// closures for every text node, which would increase garbage collection pressure.
-let nodeProcessingStartTime = 0; // Timestamp when we started processing the current node
-let matchCounter = 0;            // Counts matches to throttle performance.now() calls
+const WORD_CHAR_PATTERN = new RegExp(`^${WORD_CHAR}$`, 'u');
+// The ASCII word characters (0-9, A-Z, a-z, _), looked up by character
+// code: most edges on most pages are between two ASCII characters.
+const ASCII_WORD_CHARS = new Uint8Array(128);
+for (let code = 0; code < 128; code++) {
+  ASCII_WORD_CHARS[code] = /\w/.test(String.fromCharCode(code)) ? 1 : 0;
+}
 
 /**
- * Updates the internal regex patterns and lookup maps based on the current
- * replacement rules loaded from storage. Called whenever settings change.
+ * Creates the per-character folding of a case-insensitive matcher (see
+ * above). Each character is folded once and remembered, since the same
+ * few characters make up most of a page.
  *
- * PERFORMANCE: Builds two hash maps (wordMapCache and wordMapCacheLower) that
- * allow O(1) constant-time lookups during replacement. Without these maps, we
- * would need to iterate through all rules for every match — O(n) complexity,
- * which gets slow with many rules.
- *
- * @param {Object} wordMap - The full rules object from storage.
- *   Each key is the original text, and each value is:
- *   { replacement: string, caseSensitive: boolean, enabled: boolean }
+ * @returns {Function} - Folds one character (code point).
  */
-function updateRegexes(wordMap) {
-  // Guard against corrupted storage: wordMap must be a plain object.
-  // This mirrors the safeWordMap() check in manage.js but is duplicated here
-  // because content scripts run in an isolated context (see Logger note above).
-  if (!wordMap || typeof wordMap !== 'object' || Array.isArray(wordMap)) {
-    Logger.warn('Received invalid wordMap (expected object, got ' + typeof wordMap + ') — clearing all rules.');
-    wordMapCache = Object.create(null);
-    wordMapCacheLower = Object.create(null);
-    sensitiveRegex = null;
-    insensitiveRegex = null;
-    return;
-  }
-
-  // Mirror the MAX_RULES limit from manage.js. If storage is manually tampered
-  // with (via DevTools or corrupted sync) to contain thousands of rules, compiling
-  // a regex with that many alternatives could freeze the page. We silently truncate
-  // to the first 255 entries and log a warning.
-  const MAX_RULES = 255;
-  const entries = Object.entries(wordMap);
-  if (entries.length > MAX_RULES) {
-    Logger.warn(`wordMap contains ${entries.length} rules (limit is ${MAX_RULES}) — only the first ${MAX_RULES} will be used.`);
-  }
-  const entriesToProcess = entries.length > MAX_RULES ? entries.slice(0, MAX_RULES) : entries;
+function createCharacterFold() {
+  const folded = new Map();
+  return (character) => {
+    let result = folded.get(character);
+    if (result === undefined) {
+      result = foldCase(character).replace(/ς/g, 'σ');
+      folded.set(character, result);
+    }
+    return result;
+  };
+}
 
-  const sensitiveWords = [];
-  const insensitiveWords = [];
-  // Use Object.create(null) to prevent prototype pollution — see explanation
-  // at the wordMapCache/wordMapCacheLower declarations above.
-  const activeMap = Object.create(null);
-  const activeLowerMap = Object.create(null);
+/**
+ * Finds every match of a list of literal texts in a page text, like the
+ * regex buildRegex() makes of them (see LITERAL MATCHER). The helpers that
+ * findNext() calls for every character are methods rather than top-level
+ * functions, which keeps those calls cheap.
+ */
+class LiteralMatcher {
+  /**
+   * Builds the trie of the texts and its failure links.
+   *
+   * @param {string[]} words - The texts to find (none empty).
+   * @param {boolean} caseSensitive - Whether to match exact casing.
+   */
+  constructor(words, caseSensitive) {
+    // Read and written like a global regex's (see exec).
+    this.lastIndex = 0;
+    this.fold = caseSensitive ? null : createCharacterFold();
+    // ASCII is folded through a table of character codes (it depends on
+    // the page language: "I" folds to "ı" on a Turkish page).
+    this.asciiFold = caseSensitive ? null : Array.from({ length: 128 }, (_, code) => {
+      const folded = this.fold(String.fromCharCode(code));
+      return folded.length === 1 ? folded.charCodeAt(0) : -1;
+    });
+
+    // Each node: next (character code → child), fail (failure link),
+    // depth (length of its text), length (> 0 if a rule text ends here)
+    // and output (the nearest node down its failure links where a rule
+    // text ends, so every text ending at a character is found).
+    const createNode = depth => ({ next: new Map(), fail: null, depth, length: 0, output: null });
+    this.root = createNode(0);
+    for (const word of words) {
+      const text = this.fold ? Array.from(word, this.fold).join('') : word;
+      let node = this.root;
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        let child = node.next.get(code);
+        if (!child) {
+          child = createNode(node.depth + 1);
+          node.next.set(code, child);
+        }
+        node = child;
+      }
+      node.length = text.length;
+    }
 
-  for (const [word, data] of entriesToProcess) {
-    // Skip JavaScript reserved property names that could appear in storage
-    // due to manual edits or corrupted imports. The Object.create(null) caches
-    // protect against prototype pollution, but these keys would still produce
-    // nonsensical regex patterns.
-    if (word === '__proto__' || word === 'constructor' || word === 'prototype') {
-      Logger.warn('Skipping reserved key in wordMap:', word);
-      continue;
+    // Failure links, breadth first, so a node's link is always to a node
+    // closer to the root whose own link is already set.
+    const queue = [];
+    for (const child of this.root.next.values()) {
+      child.fail = this.root;
+      queue.push(child);
+    }
+    for (let index = 0; index < queue.length; index++) {
+      const node = queue[index];
+      for (const [code, child] of node.next) {
+        let fail = node.fail;
+        while (fail !== this.root && !fail.next.has(code)) fail = fail.fail;
+        child.fail = fail.next.get(code) || this.root;
+        child.output = child.fail.length > 0 ? child.fail : child.fail.output;
+        queue.push(child);
+      }
     }
+  }
 
-    // Skip malformed rules where the value is not an object (e.g., corrupted
-    // storage where a key maps to a string, number, or array instead of the
-    // expected {replacement, caseSensitive, enabled} structure).
-    if (!data || typeof data !== 'object' || Array.isArray(data)) {
-      Logger.warn('Skipping malformed rule (expected object, got ' + typeof data + '):', word);
-      continue;
+  /**
+   * Checks whether the character at (or just before) an index is a
+   * WORD_CHAR, reading a surrogate pair as one character.
+   *
+   * @param {string} text - The text.
+   * @param {number} index - Index of the character, or just after it.
+   * @param {boolean} before - Whether the character ends at the index.
+   * @returns {boolean}
+   */
+  isWordCharacterAt(text, index, before) {
+    const position = before ? index - 1 : index;
+    const code = text.charCodeAt(position);
+    if (code < 128) return ASCII_WORD_CHARS[code] === 1;
+    let character = text[position];
+    if (before && code >= 0xDC00 && code <= 0xDFFF && position > 0) {
+      character = text.slice(position - 1, index);
+    } else if (!before && code >= 0xD800 && code <= 0xDBFF) {
+      character = text.slice(index, index + 2);
     }
+    return WORD_CHAR_PATTERN.test(character);
+  }
 
-    // Only include rules that are explicitly enabled.
-    // Rules with enabled === undefined are treated as enabled (backwards compat).
-    if (data.enabled !== false) {
+  /**
+   * The WORD_EDGE test at an index: not between two word characters.
+   *
+   * @param {string} text - The text.
+   * @param {number} index - Where a match would start or end.
+   * @returns {boolean}
+   */
+  isWordEdge(text, index) {
+    if (index === 0 || index >= text.length) return true;
+    const before = text.charCodeAt(index - 1);
+    const after = text.charCodeAt(index);
+    if (before < 128 && after < 128) return ASCII_WORD_CHARS[before] === 0 || ASCII_WORD_CHARS[after] === 0;
+    return !this.isWordCharacterAt(text, index, true) || !this.isWordCharacterAt(text, index, false);
+  }
+
+  /**
+   * Follows one (folded) character through the trie, along failure links
+   * until some node continues with it.
+   *
+   * @param {Object} node - The current node.
+   * @param {number} unit - The character's code.
+   * @returns {Object} - The next node (the root if nothing continues).
+   */
+  advance(node, unit) {
+    let child = node.next.get(unit);
+    while (child === undefined && node !== this.root) {
+      node = node.fail;
+      child = node.next.get(unit);
+    }
+    return child || this.root;
+  }
 
-      activeMap[word] = data;
-
-      // Build a lowercase lookup map for case-insensitive rules.
-      // This allows O(1) lookup during replacement instead of O(n) iteration.
-      if (!data.caseSensitive) {
-        const lowerKey = word.toLowerCase();
-        // Warn if two different rules collide on the same lowercase key.
-        // This shouldn't happen (manage.js prevents it), but imported rules
-        // or manually edited storage could contain duplicates.
-        if (activeLowerMap[lowerKey]) {
-          Logger.warn(`Case-insensitive collision: "${word}" overlaps with an existing rule for "${lowerKey}". Only one will take effect.`);
+  /**
+   * Finds the first match at or after an index.
+   *
+   * The walk keeps the best match found so far — the leftmost, then the
+   * longest — and stops once no text still being followed through the trie
+   * started at or before it, since no later match can beat it then.
+   *
+   * @param {string} text - The text to search.
+   * @param {number} from - Where to start.
+   * @returns {number[]|null} - [start, end] of the match, or null if none.
+   */
+  findNext(text, from) {
+    const { root, fold, asciiFold } = this;
+    // Folded positions are offsets from `from` until the folded text stops
+    // lining up with the page text (a character folded to two, like "ß" →
+    // "ss"). From then on, starts holds where the page character behind
+    // each folded character starts, or -1 for the second and later
+    // characters of one character's folding.
+    let starts = null;
+    let node = root;
+    let folded = 0; // Folded characters read so far
+    let bestFoldedStart = -1;
+    let bestFoldedEnd = -1;
+    let bestStart = -1;
+    let bestEnd = -1;
+
+    for (let index = from; index < text.length;) {
+      const code = text.charCodeAt(index);
+      let size = 1;
+      let unit = code;
+      let piece = null;
+      if (fold) {
+        unit = code < 128 ? asciiFold[code] : -1;
+        if (unit === -1) {
+          if (code >= 0xD800 && code <= 0xDBFF && index + 1 < text.length) size = 2;
+          piece = fold(text.slice(index, index + size));
+          if (piece.length === 1 && size === 1) {
+            unit = piece.charCodeAt(0);
+            piece = null;
+          } else if (!starts) {
+            starts = [];
+            for (let i = 0; i < folded; i++) starts.push(from + i);
+          }
         }
-        activeLowerMap[lowerKey] = data;
       }
+      const end = index + size;
 
-      if (data.caseSensitive) {
-        sensitiveWords.push(word);
+      if (piece === null) {
+        if (starts) starts.push(index);
+        node = this.advance(node, unit);
+        folded++;
       } else {
-        insensitiveWords.push(word);
+        for (let i = 0; i < piece.length; i++) {
+          starts.push(i === 0 ? index : -1);
+          node = this.advance(node, piece.charCodeAt(i));
+          folded++;
+        }
+      }
+
+      // Every rule text ending here, longest first. Matches end on whole
+      // page characters only (a folding like "ß" → "ss" ends together).
+      for (let out = node.length > 0 ? node : node.output; out !== null; out = out.output) {
+        const foldedStart = folded - out.length;
+        if (bestStart !== -1 && (foldedStart > bestFoldedStart || (foldedStart === bestFoldedStart && folded <= bestFoldedEnd))) {
+          continue;
+        }
+        const start = starts ? starts[foldedStart] : from + foldedStart;
+        if (start === -1 || !this.isWordEdge(text, start) || !this.isWordEdge(text, end)) continue;
+        bestFoldedStart = foldedStart;
+        bestFoldedEnd = folded;
+        bestStart = start;
+        bestEnd = end;
       }
+
+      index = end;
+      if (bestStart !== -1 && folded - node.depth > bestFoldedStart) break;
     }
+    return bestStart === -1 ? null : [bestStart, bestEnd];
   }
 
-  wordMapCache = activeMap;
-  wordMapCacheLower = activeLowerMap;
-  sensitiveRegex = buildRegex(sensitiveWords, true);
-  insensitiveRegex = buildRegex(insensitiveWords, false);
+  /**
+   * Finds the next match from lastIndex, like RegExp.prototype.exec() (used
+   * by replaceFolded).
+   *
+   * @param {string} text - The text to search.
+   * @returns {Array|null} - [match] with index and input, or null (which
+   *   resets lastIndex to 0).
+   */
+  exec(text) {
+    const found = this.findNext(text, this.lastIndex);
+    if (!found) {
+      this.lastIndex = 0;
+      return null;
+    }
+    const [start, end] = found;
+    this.lastIndex = end;
+    const result = [text.slice(start, end)];
+    result.index = start;
+    result.input = text;
+    return result;
+  }
+
+  /**
+   * Lets text.replace(matcher, callback) replace every match, calling the
+   * callback like replace() does for a regex without groups: (match,
+   * offset, text).
+   *
+   * @param {string} text - The text to search.
+   * @param {Function} callback - Returns the replacement for a match.
+   * @returns {string} - The text with every match replaced.
+   */
+  [Symbol.replace](text, callback) {
+    let result = '';
+    let position = 0;
+    let found;
+    while ((found = this.findNext(text, position)) !== null) {
+      const [start, end] = found;
+      result += text.slice(position, start) + callback(text.slice(start, end), start, text);
+      position = end;
+    }
+    return result + text.slice(position);
+  }
+}
+
+/**
+ * Builds the matcher for one of the combined passes.
+ *
+ * @param {string[]} words - The rules' texts (case-insensitive ones as
+ *   they are; the matcher folds them).
+ * @param {boolean} caseSensitive - Whether to match exact casing.
+ * @returns {LiteralMatcher|null} - The matcher, or null if no words provided.
+ */
+function buildMatcher(words, caseSensitive) {
+  // Empty texts would match everywhere (see buildRegex).
+  words = words.filter(w => w.length > 0);
+  return words.length > 0 ? new LiteralMatcher(words, caseSensitive) : null;
 }
 
 // -----------------------------------------------------------------------------
-// DOM SAFETY FILTERS
-// These prevent the extension from modifying content it shouldn't touch.
+// IGNORING ACCENTS
+// A rule with ignoreAccents: true matches its text however it is accented or
+// encoded: "cafe" finds "café", "CAFÉ" and "café" typed as "e" + a combining
+// accent (NFD), and "ABC" finds full-width "ＡＢＣ". Both the rule's texts and
+// the page text are folded with foldAccents() — compatibility decomposition
+// (NFKD, which also splits ligatures like "ﬁ") with the combining accents
+// removed — and the rule's regex runs on the folded page text.
+// replaceFolded() then maps each match back to the page's own characters, so
+// the replacement covers the accented original and nothing else.
+// Only plain text rules can ignore accents (manage.js rejects regex rules:
+// their capture groups would refer to the folded text). Such rules always
+// run as a pass of their own, after the combined passes (see applyRules).
+// foldText() and replaceFolded() take the folding function as a parameter,
+// since DISGUISED TEXT below folds page text the same way.
 // -----------------------------------------------------------------------------
 
 /**
- * HTML tags we NEVER modify. Changing text inside these could:
- * - SCRIPT/STYLE/NOSCRIPT: Break website functionality or inject code
- * - TEXTAREA/INPUT: Corrupt text the user is actively typing
+ * Folds text for accent-insensitive matching (see above).
+ *
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
  */
-// SVG is included because replacing text inside SVG elements could break
-// rendered charts, diagrams, and other vector graphics. In HTML documents,
-// the HTML parser normalizes tagName to uppercase ('SVG'), but in XHTML or
-// when elements are created via createElementNS, tagName may be lowercase
-// ('svg'). We include both forms for safety.
-const IGNORED_TAGS = new Set([
-    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SVG', 'svg'
-]);
+function foldAccents(text) {
+  return text.normalize('NFKD').replace(/\p{Mn}/gu, '');
+}
 
 /**
- * Checks if a DOM node is inside an editable area (like a rich text editor).
- * We skip these so we don't change text while the user is typing.
+ * Folds a page text one character at a time, remembering where each folded
+ * character came from. A removed character (an accent, or an invisible
+ * character) belongs to the character before it, and every character of an
+ * expansion ("ﬁ" → "fi") to the whole original.
  *
- * The isContentEditable property checks the element AND all its ancestors,
- * so a single check normally suffices. The explicit parent check is a
- * defense-in-depth measure for edge cases (e.g., shadow DOM boundaries
- * or detached nodes) where inheritance might not propagate correctly.
+ * @param {string} text - The page text.
+ * @param {Function} fold - Folds one character (see ruleFold).
+ * @returns {{folded: string, starts: number[], ends: number[]}} - The folded
+ *   text, and for each of its characters the start and end of the original
+ *   characters it came from.
+ */
+function foldText(text, fold) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const character of text) {
+    const end = index + character.length;
+    const part = fold(character);
+    if (part.length === 0) {
+      if (ends.length > 0) ends[ends.length - 1] = end;
+    } else {
+      folded += part;
+      for (let i = 0; i < part.length; i++) {
+        starts.push(index);
+        ends.push(end);
+      }
+    }
+    index = end;
+  }
+  return { folded, starts, ends };
+}
+
+/**
+ * Like text.replace(regex, callback), but matches the regex against the
+ * folded text (see foldText) and replaces the original characters behind
+ * each match. The callback is called like replace() calls it for a regex
+ * without groups: (original match, offset in text, text).
  *
- * @param {Node} node - The DOM node to check (typically a text node's parent).
- * @returns {boolean} - True if the node is editable and should be skipped.
+ * @param {string} text - The page text.
+ * @param {RegExp} regex - A global regex built from folded rule texts.
+ * @param {Function} callback - The replace() callback for the rule.
+ * @param {Function} fold - Folds one character (see ruleFold).
+ * @returns {string} - The text with the rule's replacements applied.
  */
-function isEditable(node) {
-  return node.isContentEditable || (node.parentNode?.isContentEditable ?? false);
+function replaceFolded(text, regex, callback, fold) {
+  // Both foldings leave ASCII alone, so most text needs no mapping at all.
+  if (!NON_ASCII_PATTERN.test(text)) return text.replace(regex, callback);
+
+  const { folded, starts, ends } = foldText(text, fold);
+  let result = '';
+  let position = 0;
+  let found;
+  regex.lastIndex = 0;
+  while ((found = regex.exec(folded)) !== null) {
+    if (found[0].length === 0) {
+      regex.lastIndex++; // Never loop on an empty match
+      continue;
+    }
+    const start = starts[found.index];
+    const end = ends[found.index + found[0].length - 1];
+    // A match starting inside an expansion the previous match ended in
+    // ("ﬁ" split between two matches) has no characters of its own left.
+    if (start < position) continue;
+    result += text.slice(position, start) + callback(text.slice(start, end), start, text);
+    position = end;
+  }
+  return result + text.slice(position);
+}
+
+// -----------------------------------------------------------------------------
+// DISGUISED TEXT
+// With Matching → "Catch disguised text" (obfuscationMatching) turned on,
+// plain text rules also match words disguised to get past filters:
+//   - invisible characters inside words: soft hyphens, zero-width spaces,
+//     joiners and non-joiners, word joiners ("c\u00ADat", "c\u200Bat");
+//   - look-alike letters from other scripts: Cyrillic "а" or Greek "ο" in
+//     an otherwise Latin word ("cаt");
+//   - compatibility forms: non-breaking and other unusual spaces, full-width
+//     and "fancy font" letters ("ｃａｔ", "𝐜𝐚𝐭"), ligatures.
+// unmaskText() undoes all of these, one character at a time, in the rules'
+// texts and in the page text alike (so a Russian rule still matches Russian
+// text), and replaceFolded() maps each match back to the page's characters.
+// Regex rules still see the page text as it is: their capture groups would
+// otherwise point into the unmasked text.
+// -----------------------------------------------------------------------------
+const NON_ASCII_PATTERN = /[^\x00-\x7F]/;
+const INVISIBLE_CHARACTERS = new Set(['\u00AD', '\u180E', '\u200B', '\u200C', '\u200D', '\u2060', '\uFEFF']);
+// Cyrillic and Greek letters that look like Latin ones in most fonts. Each
+// letter's capital is mapped as well, so unmasking and ignoring case agree
+// ("КОТ" and "кот" still match each other).
+const LOOKALIKES = Object.create(null);
+for (const [letter, latin] of Object.entries({
+  а: 'a', в: 'b', е: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x',
+  і: 'i', ј: 'j', ѕ: 's', һ: 'h', ԁ: 'd', ԛ: 'q', ԝ: 'w',
+  α: 'a', β: 'b', ε: 'e', ζ: 'z', η: 'h', ι: 'i', κ: 'k', μ: 'm', ν: 'n', ο: 'o', ρ: 'p', τ: 't', υ: 'y', χ: 'x'
+})) {
+  LOOKALIKES[letter] = latin;
+  LOOKALIKES[letter.toUpperCase()] = latin.toUpperCase();
 }
 
 /**
- * Determines whether a DOM node should be processed for text replacement.
- * Checks that the node is still attached to the DOM, is not inside an
- * ignored tag (SCRIPT, STYLE, etc.), and is not in an editable area.
+ * Undoes disguises in one character (see above).
  *
- * This is the single source of truth for "should we touch this node?" logic.
- * It is used by processNode(), processDocument(), and processElement() to
- * ensure consistent safety filtering in one place. Having this centralized
- * means a fix here automatically protects all code paths.
+ * @param {string} character - One character (code point).
+ * @returns {string} - Its plain form: '' for invisible characters.
+ */
+function unmaskCharacter(character) {
+  if (!NON_ASCII_PATTERN.test(character)) return character;
+  if (INVISIBLE_CHARACTERS.has(character)) return '';
+  if (character in LOOKALIKES) return LOOKALIKES[character];
+  // Composing normalization (NFKC) on its own character leaves accented
+  // letters alone, so it agrees with how the rule was typed.
+  return character.normalize('NFKC');
+}
+
+/**
+ * Undoes disguises in a text, character by character (see above).
  *
- * @param {Node} node - The DOM node to check (typically a Text node).
- * @returns {boolean} - True if the node should be processed, false to skip it.
+ * @param {string} text - The text to unmask.
+ * @returns {string} - The unmasked text.
  */
-function shouldProcessNode(node) {
-  // Guard against detached nodes. MutationObserver can fire for nodes that
-  // were removed from the DOM between when the mutation was recorded and
-  // when this callback runs. Without this check, accessing parentNode.tagName
-  // would throw a TypeError (Cannot read properties of null).
-  // Some unusual DOM structures (e.g., text nodes directly under the document
-  // node) have a parentNode with no tagName. Skip these safely.
-  if (!node.parentNode || !node.parentNode.tagName) return false;
+function unmaskText(text) {
+  if (!NON_ASCII_PATTERN.test(text)) return text;
+  let result = '';
+  for (const character of text) result += unmaskCharacter(character);
+  return result;
+}
 
-  // Skip nodes inside tags we should never modify (SCRIPT, STYLE, etc.)
-  if (IGNORED_TAGS.has(node.parentNode.tagName)) return false;
+/**
+ * Accent folding for text that may be disguised, for rules that ignore
+ * accents while "Catch disguised text" is on.
+ *
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
+ */
+function unmaskAndFoldAccents(text) {
+  return foldAccents(unmaskText(text));
+}
 
-  // Check for SVG ancestors beyond the immediate parent. SVG child elements
-  // like <g>, <text>, and <tspan> are not in IGNORED_TAGS individually, so we
-  // walk up the ancestor chain to find if this node lives inside an SVG tree.
-  // Replacing text inside SVG could break rendered charts and diagrams.
-  if (node.parentElement && node.parentElement.closest('svg')) return false;
+/**
+ * Picks how a rule's matching folds the page text: null for rules that
+ * match it as it is.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @returns {Function|null} - The folding function (see foldText).
+ */
+function ruleFold(data) {
+  if (data.isRegex) return null;
+  if (data.ignoreAccents) return obfuscationEnabled ? unmaskAndFoldAccents : foldAccents;
+  return obfuscationEnabled ? unmaskText : null;
+}
 
-  // Skip nodes inside editable areas (contentEditable, rich text editors)
-  if (isEditable(node.parentNode)) return false;
+// -----------------------------------------------------------------------------
+// FLEXIBLE SPACING
+// A plain text rule with flexibleSpacing: true matches its words however
+// they are spaced or broken up on the page: "New York Times" also finds
+// "New  York\nTimes", "New&nbsp;York Times", "New-York Times" and
+// "New York-\nTimes" (a word hyphenated at the end of a line). Each gap
+// between the rule's words — a run of spaces, line breaks, soft hyphens or
+// hyphens — becomes FLEXIBLE_GAP in its regex, which takes any run of them.
+// compactSpacing() writes every such gap as a single space, so a rule's
+// texts and its matches can still be compared (see createLiteralRuleCallback).
+// Like ignoreAccents, only plain text rules can have it, and such rules run
+// as a pass of their own.
+// NOTE: the gap pattern is duplicated in manage.js, which shows it.
+// -----------------------------------------------------------------------------
+const GAP_CHARACTERS = '\\s\\u00AD\\u2010\\u2011-';
+const FLEXIBLE_GAP = `[${GAP_CHARACTERS}]+`;
+// A gap between two other characters (a leading or trailing hyphen, as in
+// "-5", stays part of the text).
+const INNER_GAP_PATTERN = new RegExp(`(?<=[^${GAP_CHARACTERS}])${FLEXIBLE_GAP}(?=[^${GAP_CHARACTERS}])`, 'gu');
 
-  return true;
+/**
+ * Writes each gap between words as a single space (see above).
+ *
+ * @param {string} text - A rule's text, or a match of it.
+ * @returns {string} - The compacted text.
+ */
+function compactSpacing(text) {
+  return text.replace(INNER_GAP_PATTERN, ' ');
+}
+
+/**
+ * Builds the regex source for a flexibly spaced text.
+ *
+ * @param {string} text - Text already passed through compactSpacing() (and
+ *   foldCase() for a case-insensitive rule).
+ * @param {boolean} caseSensitive - Whether the rule matches exact casing.
+ * @returns {string} - The regex source.
+ */
+function flexiblePattern(text, caseSensitive) {
+  return text.split(' ').map(word => (caseSensitive ? escapeRegExp(word) : foldedPattern(word))).join(FLEXIBLE_GAP);
 }
 
-// -----------------------------------------------------------------------------
-// REPLACEMENT ENGINE
-// These functions perform the actual text replacement on the page.
-// -----------------------------------------------------------------------------
+// -----------------------------------------------------------------------------
+// SITE PATTERNS
+// Rules can be limited to certain websites (includeSites) or kept off them
+// (excludeSites). A site pattern is written in one of two forms:
+//   - A host: "example.com" matches example.com and all of its subdomains
+//     (www.example.com, news.example.com). "*.example.com" means the same.
+//   - A match pattern, the syntax browsers use for extension permissions:
+//     "https://*.example.com/news/*". A "*" scheme means http or https, and
+//     "*" in the path matches any run of characters.
+// NOTE: The two pattern shapes are duplicated in manage.js, which uses them
+// to reject invalid patterns before they are saved (see Logger note above).
+// -----------------------------------------------------------------------------
+
+/**
+ * Converts a site pattern into a regex that is tested against a page URL
+ * (without its #fragment).
+ *
+ * @param {string} pattern - A host or match pattern (see section comment).
+ * @returns {RegExp|null} - The compiled pattern, or null if it is invalid.
+ */
+function compileSitePattern(pattern) {
+  if (typeof pattern !== 'string') return null;
+
+  // Host part: "*" (any host), "*.example.com" (domain and subdomains), or
+  // an exact host. Hosts in page URLs are always lowercase.
+  const hostRegex = (host) => {
+    if (host === '*') return '[^/?#]*';
+    if (host.startsWith('*.')) return `(?:[^/?#@]*\\.)?${escapeRegExp(host.slice(2).toLowerCase())}`;
+    return escapeRegExp(host.toLowerCase());
+  };
+
+  const matchPattern = /^(\*|https?|file|ftp|wss?):\/\/(\*|(?:\*\.)?[^/*:\s]+)?(\/\S*)$/.exec(pattern);
+  if (matchPattern) {
+    const [, scheme, host = '', path] = matchPattern;
+    const schemeRegex = scheme === '*' ? 'https?' : scheme;
+    const pathRegex = path.split('*').map(escapeRegExp).join('.*');
+    return new RegExp(`^${schemeRegex}://${hostRegex(host)}(?::\\d+)?${pathRegex}$`);
+  }
+
+  const hostPattern = /^(?:\*\.)?[^/*:\s]+$/.exec(pattern);
+  if (hostPattern) {
+    const host = pattern.startsWith('*.') ? pattern : `*.${pattern}`;
+    return new RegExp(`^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?${hostRegex(host)}(?::\\d+)?(?:[/?]|$)`);
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether any pattern in a list matches a URL. Invalid patterns are
+ * ignored (manage.js rejects them, but storage can be edited by hand).
+ *
+ * @param {string[]} patterns - Site patterns.
+ * @param {string} url - The page URL, without its #fragment.
+ * @returns {boolean} - True if at least one pattern matches.
+ */
+function sitePatternsMatch(patterns, url) {
+  return patterns.some((pattern) => {
+    const regex = compileSitePattern(pattern);
+    return regex !== null && regex.test(url);
+  });
+}
+
+/**
+ * Returns the address used for site matching: the page URL without its
+ * #fragment (which never changes which site we are on).
+ *
+ * about:blank and about:srcdoc frames have no address of their own — they
+ * belong to the page that created them — so their parent's URL is used
+ * instead. Reading a cross-origin parent's location throws, in which case
+ * the frame's own URL is used.
+ *
+ * @returns {string} - The URL to match site patterns against.
+ */
+function getPageUrl() {
+  let win = window;
+  try {
+    while (win.location.protocol === 'about:' && win.parent && win.parent !== win) {
+      win = win.parent;
+    }
+    return win.location.href.split('#')[0];
+  } catch (e) {
+    return location.href.split('#')[0];
+  }
+}
+
+/**
+ * Returns the host name of a URL ("news.example.com"), or '' for URLs
+ * without one (file:, about:blank) and anything that fails to parse.
+ *
+ * @param {string} url - The URL.
+ * @returns {string} - The host name.
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Decides whether a rule should run on the current page, based on its
+ * optional includeSites and excludeSites lists. Exclusions win: a page that
+ * matches both lists is left alone.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @param {string} url - The page URL, without its #fragment.
+ * @returns {boolean} - True if the rule applies to this page.
+ */
+function ruleAppliesToPage(data, url) {
+  if (Array.isArray(data.excludeSites) && sitePatternsMatch(data.excludeSites, url)) {
+    return false;
+  }
+  if (Array.isArray(data.includeSites) && data.includeSites.length > 0) {
+    return sitePatternsMatch(data.includeSites, url);
+  }
+  return true;
+}
+
+/**
+ * Decides whether the extension may run on the current page at all, based
+ * on the global site list from the management page. In 'deny' mode (the
+ * default) listed sites are skipped; in 'allow' mode ONLY listed sites are
+ * processed, so an empty allow list means the extension runs nowhere.
+ *
+ * @param {string} mode - 'deny' or 'allow' (anything else is treated as 'deny').
+ * @param {string[]} list - Site patterns.
+ * @returns {boolean} - True if the extension may run on this page.
+ */
+function isSiteAllowed(mode, list) {
+  const url = getPageUrl();
+  const listed = Array.isArray(list) && sitePatternsMatch(list, url);
+  return mode === 'allow' ? listed : !listed;
+}
+
+/**
+ * Decides whether the extension should run in this document at all: the
+ * global site list must allow the page, and inside an iframe the "Run inside
+ * frames" setting must be on. The master switch is separate — when it is off
+ * we still watch the page, so turning it back on is instant.
+ *
+ * @returns {boolean} - True if the extension may run in this document.
+ */
+function isAllowedHere() {
+  if (!IS_TOP_FRAME && !framesEnabled) return false;
+  return isSiteAllowed(siteListMode, siteList);
+}
+
+// -----------------------------------------------------------------------------
+// RULE ORDER
+// Rules can be dragged into any order in the management page, which saves
+// the order as a list of rule keys under "ruleOrder" (the key order of
+// wordMap itself can't be relied on: storage sorts keys that look like
+// numbers first). Rules missing from the list come after the listed ones.
+//
+// By default the order only decides which regex rules run first; literal
+// rules are matched together in the two combined passes (see applyRules).
+// With "Apply rules in order" (rulePipeline) turned on, every rule runs as
+// its own pass, top to bottom, so a rule also rewrites what the rules above
+// it wrote.
+// NOTE: orderRuleKeys() is duplicated in manage.js (see Logger note above).
+// -----------------------------------------------------------------------------
+
+/**
+ * Lists a word map's keys in the user's order.
+ *
+ * @param {Object} wordMap - The rules object.
+ * @param {*} order - The stored ruleOrder list (anything else is ignored).
+ * @returns {string[]} - Every key of wordMap, each exactly once.
+ */
+function orderRuleKeys(wordMap, order) {
+  const keys = Object.keys(wordMap);
+  if (!Array.isArray(order) || order.length === 0) return keys;
+  const ordered = [];
+  const seen = new Set();
+  for (const key of order) {
+    if (typeof key === 'string' && Object.hasOwn(wordMap, key) && !seen.has(key)) {
+      ordered.push(key);
+      seen.add(key);
+    }
+  }
+  for (const key of keys) {
+    if (!seen.has(key)) ordered.push(key);
+  }
+  return ordered;
+}
+
+// -----------------------------------------------------------------------------
+// SWAP RULES
+// A swap rule (swap: true) replaces its original text with its replacement
+// and the replacement with its original text: "cat" ↔ "dog" turns "cat and
+// dog" into "dog and cat". Two ordinary rules can't do this — whichever runs
+// second would undo the first. Both directions of a swap rule are matched
+// by the same regex, in one pass, so every occurrence is replaced once.
+// manage.js makes sure a swap rule's texts never overlap another rule's.
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds the other direction of a swap rule: the same settings, but finding
+ * the rule's replacement and putting back its original text.
+ *
+ * @param {string} word - The swap rule's original text.
+ * @param {Object} data - The swap rule's data from storage.
+ * @returns {{key: string, data: Object}|null} - The reversed rule, or null
+ *   if the rule has no replacement to swap with.
+ */
+function reverseSwapRule(word, data) {
+  if (typeof data.replacement !== 'string' || data.replacement.length === 0) return null;
+  return { key: data.replacement, data: { ...data, replacement: word } };
+}
+
+// -----------------------------------------------------------------------------
+// SYNONYM GROUPS
+// A group rule lists more originals under "aliases": { replacement: "Acme",
+// aliases: ["ACME Corp", "Acme Inc."] } stored under the key "Acme Co"
+// replaces all three texts with "Acme". The aliases share the rule's data
+// (and its settings), so the group is stored once instead of as one rule
+// per spelling. Groups are plain text rules; manage.js rejects aliases on
+// regex and swap rules and keeps each group within MAX_GROUP_SIZE texts.
+// NOTE: MAX_GROUP_SIZE is duplicated in manage.js (see Logger note above).
+// -----------------------------------------------------------------------------
+const MAX_GROUP_SIZE = 50;
+
+/**
+ * Lists every text a rule matches: its key, then its aliases.
+ *
+ * @param {string} word - The rule's original text (its key).
+ * @param {Object} data - The rule's data from storage.
+ * @returns {string[]} - The rule's texts. Malformed aliases are left out.
+ */
+function ruleOriginals(word, data) {
+  if (!Array.isArray(data.aliases) || data.isRegex || data.swap) return [word];
+  const originals = [word];
+  for (const alias of data.aliases) {
+    if (originals.length >= MAX_GROUP_SIZE) break;
+    if (typeof alias !== 'string' || alias.length === 0 || originals.includes(alias)) continue;
+    if (alias === '__proto__' || alias === 'constructor' || alias === 'prototype') continue;
+    originals.push(alias);
+  }
+  return originals;
+}
+
+// -----------------------------------------------------------------------------
+// GLOBAL STATE
+// These variables hold the current extension state. They are updated whenever
+// settings change (e.g., when you add/remove rules in the management page).
+// -----------------------------------------------------------------------------
+let sensitiveMatcher = null;   // Matcher for case-sensitive literal rules (see LITERAL MATCHER)
+let insensitiveMatcher = null; // Matcher for case-insensitive literal rules
+// Object.create(null) creates a "bare" object with NO inherited properties.
+// A regular {} inherits methods like toString, valueOf, constructor from
+// Object.prototype. If someone creates a rule to replace the word "toString",
+// a regular {} lookup would return the inherited toString FUNCTION (truthy!),
+// and .replacement would be undefined — replacing the matched text with the
+// literal string "undefined". Object.create(null) prevents this by creating
+// an object with zero inherited properties — only our explicitly-added rules exist.
+let wordMapCache = Object.create(null);       // O(1) lookup map: exact original text → rule data
+let wordMapCacheLower = Object.create(null);  // O(1) lookup map: folded text (see foldCase) → rule data (for case-insensitive)
+// Regex rules (isRegex: true) can't join the combined matchers above —
+// each pattern has its own capture groups and flags — so each one is kept
+// as its own { regex, callback, key, data } entry and applied in a separate pass.
+// In pipeline mode every rule, literal or not, is kept here (see RULE ORDER),
+// and so are literal rules that ignore accents (see IGNORING ACCENTS). An
+// entry's fold (see ruleFold) says how its regex sees the page text.
+let regexRules = [];
+// Rules whose action is "hide" never replace text; they hide the element
+// around their matches instead (see HIDING ELEMENTS). Each is kept as
+// { regex, key, data, selector, fold }, selector being the element to hide
+// and fold how the regex sees the page text (see ruleFold).
+let hideRules = [];
+// How the combined literal matchers see the page text: unmaskText while
+// "Catch disguised text" is on (see DISGUISED TEXT), otherwise null.
+let literalFold = null;
+// Rule data → its compiled replacement template, for rules whose
+// replacement uses {tokens} (see REPLACEMENT TEMPLATES).
+let ruleTemplates = new Map();
+// The rules object updateRegexes() last compiled, kept so a change of
+// order or mode can recompile it without reading storage again.
+let currentWordMap = Object.create(null);
+// Rule data → the rule's original text, for literal rules. Highlight mode
+// uses it to say which rule fired (see findLiteralRule).
+let ruleKeys = new Map();
+let extensionEnabled = true; // Master on/off switch state
+// Whether this copy of the script runs in the top-level page rather than in
+// an iframe. The manifest injects content.js into every frame ("all_frames"),
+// including about:blank frames ("match_about_blank"); each frame runs its own
+// independent copy of this script with its own state.
+const IS_TOP_FRAME = window === window.top;
+let siteListMode = 'deny';   // Global site list mode: 'deny' (never run on listed sites) or 'allow' (only run on them)
+let siteList = [];           // Global site list (site patterns, see SITE PATTERNS)
+let framesEnabled = true;    // "Run inside frames" setting (only consulted inside iframes)
+let siteAllowed = true;      // False when the site list (or, in an iframe, the frames setting) keeps the extension off this page
+let observerRunning = false; // Whether the MutationObserver is currently watching the page
+let attributePassEnabled = false;   // "Replace text in attributes" setting
+let attributeNames = undefined;     // Stored list of attributes to process (undefined = all supported)
+let replacedAttributes = [];        // Attributes actually processed (empty when the pass is off)
+let titleEnabled = true;            // "Replace text in the tab title" setting
+let crossNodeEnabled = false;       // "Match across formatting" setting (see CROSS-NODE MATCHING)
+let highlightEnabled = false;       // "Highlight replacements" setting (see HIGHLIGHT MODE)
+let ruleOrder = [];                 // Stored rule order (see RULE ORDER)
+let pipelineEnabled = false;        // "Apply rules in order" setting (see RULE ORDER)
+let obfuscationEnabled = false;     // "Catch disguised text" setting (see DISGUISED TEXT)
+let elementRulesActive = false;     // Whether any active rule always needs an element (click-to-reveal, blur, bar)
+// Open shadow roots the MutationObserver is watching. A WeakSet lets roots
+// of removed web components be garbage-collected; it is replaced (not
+// cleared — WeakSets can't be) whenever the observer is disconnected.
+let observedShadowRoots = new WeakSet();
+let reprocessTimeout = null; // Debounce timer for storage-change re-scans
+let reapplyFrom = null;      // Rules the page showed before the pending re-scan (null = re-apply all, see INCREMENTAL RULE CHANGES)
+let changedRuleTests = null; // Searches for the changed rules while only they are re-applied
+
+// Remembers the page's own text for every text node we have changed, so we
+// can put it back when the extension is switched off or a rule is disabled,
+// edited, or removed. Keyed by the Text node itself:
+//   node → { original: string (what the page wrote), replaced: string (what we wrote),
+//            highlights?: Node[] (nodes we inserted after it, see HIGHLIGHT MODE) }
+// Detached nodes are pruned in batches (see rememberOriginalText) so the map
+// doesn't grow forever on infinite-scroll pages.
+const originalTextMap = new Map();
+let nextOriginalTextPrune = 1000; // Map size that triggers the next prune
+
+// Timeout tracking variables for the replaceCallback safety mechanism.
+// These are module-scoped (not inside processNode) to avoid creating new
+// closures for every text node, which would increase garbage collection pressure.
+let nodeProcessingStartTime = 0; // Timestamp when we started processing the current node
+let matchCounter = 0;            // Counts matches to throttle performance.now() calls
+
+/**
+ * Returns true if there is at least one active rule of any kind. Used by the
+ * scanning functions to bail out early when there is nothing to replace.
+ *
+ * @returns {boolean}
+ */
+function hasActiveRules() {
+  return sensitiveMatcher !== null || insensitiveMatcher !== null || regexRules.length > 0 || hideRules.length > 0;
+}
+
+/**
+ * Creates the replace() callback for one regex rule. Built once per rule in
+ * updateRegexes() (not per text node) for the same garbage-collection reasons
+ * described on replaceCallback() below.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @returns {Function} - Callback for String.prototype.replace().
+ * @throws {RegexTimeoutError} - Throws if processing exceeds REGEX_TIMEOUT_MS.
+ */
+function createRegexRuleCallback(data) {
+  const template = typeof data.replacement === 'string' ? data.replacement : null;
+
+  return (match, ...args) => {
+    // Same throttled timeout check as replaceCallback().
+    matchCounter++;
+    if (matchCounter % 50 === 0 && performance.now() - nodeProcessingStartTime > REGEX_TIMEOUT_MS) {
+      throw new RegexTimeoutError(); // Caught by processNode's try/catch
+    }
+
+    // Never insert text at a zero-width match (e.g., a pattern of just "\b").
+    // manage.js rejects patterns that match empty text, but lookarounds can
+    // still produce empty matches in the middle of real text.
+    if (match.length === 0) return match;
+
+    // Redaction rules hide the match instead of substituting text.
+    const redacted = redactionOutput(data, match);
+    if (redacted !== null) return redacted;
+    if (template === null) return match;
+
+    // replace() passes (match, group1..groupN, offset, wholeString[, groups]).
+    // The named-groups object is only present when the pattern defines names.
+    const namedGroups = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+    const captures = args.slice(0, -2);
+    // In a template, only the rule's own text can hold $-references; the
+    // text a token produces (the match, the host, ...) is used as-is.
+    const parts = ruleTemplates.get(data);
+    const expanded = parts
+      ? renderTemplate(parts, data, match, text => expandReplacement(text, match, captures, namedGroups))
+      : expandReplacement(template, match, captures, namedGroups);
+    return data.preserveCase ? applyMatchCase(match, expanded) : expanded;
+  };
+}
+
+/**
+ * Folds a literal rule's text, or a match of it, for comparison: spacing
+ * (if the rule allows any), disguises (while "Catch disguised text" is on),
+ * case (unless the rule matches case) and then accents (if the rule ignores
+ * them).
+ *
+ * @param {string} text - The text to fold.
+ * @param {Object} data - The rule data from storage.
+ * @returns {string} - The folded text.
+ */
+function foldRuleText(text, data) {
+  let plain = data.flexibleSpacing ? compactSpacing(text) : text;
+  if (obfuscationEnabled) plain = unmaskText(plain);
+  if (!data.caseSensitive) plain = foldCase(plain);
+  return data.ignoreAccents ? foldAccents(plain) : plain;
+}
+
+/**
+ * Creates the replace() callback for one literal rule that runs as its own
+ * pass: in pipeline mode (see RULE ORDER), or when it ignores accents or
+ * spacing.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @param {string[]} originals - The texts the rule matches (see SYNONYM GROUPS).
+ * @param {{key: string, data: Object}|null} [reverse] - For a swap rule,
+ *   its other direction (see SWAP RULES).
+ * @returns {Function} - Callback for String.prototype.replace().
+ * @throws {RegexTimeoutError} - Throws if processing exceeds REGEX_TIMEOUT_MS.
+ */
+function createLiteralRuleCallback(data, originals, reverse = null) {
+  const fold = text => foldRuleText(text, data);
+  const reverseKey = reverse && fold(reverse.key);
+  // The regex also finds text that only looks alike to the 'i' flag, which
+  // the combined passes' lookups would leave alone (see foldCase).
+  // A flexibly spaced match must be compacted to be compared at all.
+  const foldedKeys = data.caseSensitive && !ruleFold(data) && !data.flexibleSpacing
+    ? null
+    : new Set(originals.map(fold));
+  if (foldedKeys && reverse) foldedKeys.add(reverseKey);
+
+  return (match) => {
+    // Same throttled timeout check as replaceCallback().
+    matchCounter++;
+    if (matchCounter % 50 === 0 && performance.now() - nodeProcessingStartTime > REGEX_TIMEOUT_MS) {
+      throw new RegexTimeoutError(); // Caught by processNode's try/catch
+    }
+    const key = fold(match);
+    if (foldedKeys && !foldedKeys.has(key)) return match;
+    if (reverse && key === reverseKey) {
+      return ruleOutput(reverse.data, match);
+    }
+    return ruleOutput(data, match);
+  };
+}
+
+/**
+ * Updates the internal regex patterns and lookup maps based on the current
+ * replacement rules loaded from storage. Called whenever settings change.
+ *
+ * PERFORMANCE: Builds two hash maps (wordMapCache and wordMapCacheLower) that
+ * allow O(1) constant-time lookups during replacement. Without these maps, we
+ * would need to iterate through all rules for every match — O(n) complexity,
+ * which gets slow with many rules.
+ *
+ * @param {Object} wordMap - The full rules object from storage.
+ *   Each key is the original text, and each value is:
+ *   { replacement: string, caseSensitive: boolean, enabled: boolean }
+ *   plus, for regex rules, { isRegex: true, flags?: string }, and for
+ *   rules that copy the page's capitalization, { preserveCase: true }.
+ *   Display options (highlightColor, clickToReveal, action) are read when
+ *   the replacement is made or shown (see REDACTION, HIGHLIGHT MODE and
+ *   CLICK TO REVEAL). Rules with action "hide" (and an optional
+ *   hideSelector) go into hideRules instead (see HIDING ELEMENTS).
+ *   Rules may also carry includeSites / excludeSites lists (see SITE
+ *   PATTERNS); rules that don't apply to the current page are left out.
+ *   Rules are read in the stored rule order, and in pipeline mode each one
+ *   becomes a pass of its own (see RULE ORDER). Swap rules (swap: true)
+ *   are matched in both directions (see SWAP RULES), and replacements
+ *   with {tokens} are compiled (see REPLACEMENT TEMPLATES). Group rules
+ *   (aliases: string[]) get one entry per text (see SYNONYM GROUPS), and
+ *   rules with ignoreAccents or flexibleSpacing get a pass of their own
+ *   (see IGNORING ACCENTS and FLEXIBLE SPACING).
+ *   With "Catch disguised text" on, literal rules are compiled to match
+ *   unmasked text (see DISGUISED TEXT).
+ */
+function updateRegexes(wordMap) {
+  // Guard against corrupted storage: wordMap must be a plain object.
+  // This mirrors the safeWordMap() check in manage.js but is duplicated here
+  // because content scripts run in an isolated context (see Logger note above).
+  if (!wordMap || typeof wordMap !== 'object' || Array.isArray(wordMap)) {
+    Logger.warn('Received invalid wordMap (expected object, got ' + typeof wordMap + ') — clearing all rules.');
+    currentWordMap = Object.create(null);
+    wordMapCache = Object.create(null);
+    wordMapCacheLower = Object.create(null);
+    sensitiveMatcher = null;
+    insensitiveMatcher = null;
+    regexRules = [];
+    hideRules = [];
+    literalFold = null;
+    ruleKeys = new Map();
+    ruleTemplates = new Map();
+    elementRulesActive = false;
+    return;
+  }
+
+  // Mirror the MAX_RULES and MAX_RULE_PASSES limits from manage.js. If
+  // storage is manually tampered with (via DevTools or corrupted sync) to
+  // go beyond them, we truncate to the first MAX_RULES entries (in the
+  // user's order) and log a warning. Literal rules share the combined
+  // matchers, which don't slow down as rules are added (see LITERAL
+  // MATCHER), but every rule with a regex of its own is another pass over
+  // each text, so at most MAX_RULE_PASSES of those (regex rules, hide rules,
+  // and the literal rules that run on their own) are used.
+  currentWordMap = wordMap;
+  const MAX_RULES = 5000;
+  const MAX_RULE_PASSES = 255;
+  const entries = orderRuleKeys(wordMap, ruleOrder).map(word => [word, wordMap[word]]);
+  if (entries.length > MAX_RULES) {
+    Logger.warn(`wordMap contains ${entries.length} rules (limit is ${MAX_RULES}) — only the first ${MAX_RULES} will be used.`);
+  }
+  const entriesToProcess = entries.length > MAX_RULES ? entries.slice(0, MAX_RULES) : entries;
+  let skippedPasses = 0;
+
+  const sensitiveWords = [];
+  const insensitiveWords = [];
+  // Use Object.create(null) to prevent prototype pollution — see explanation
+  // at the wordMapCache/wordMapCacheLower declarations above.
+  const activeMap = Object.create(null);
+  const activeLowerMap = Object.create(null);
+  const activeRegexRules = [];
+  const activeRuleKeys = new Map();
+  const activeHideRules = [];
+  const activeTemplates = new Map();
+  let anyElementRule = false;
+
+  const pageUrl = getPageUrl();
+  caseLocale = getPageLocale();
+  literalFold = obfuscationEnabled ? unmaskText : null;
+  templateHost = getHost(pageUrl);
+  resetOccurrenceNumbers(); // Occurrences are numbered from 1 again
+
+  for (const [word, data] of entriesToProcess) {
+    // Skip JavaScript reserved property names that could appear in storage
+    // due to manual edits or corrupted imports. The Object.create(null) caches
+    // protect against prototype pollution, but these keys would still produce
+    // nonsensical regex patterns.
+    if (word === '__proto__' || word === 'constructor' || word === 'prototype') {
+      Logger.warn('Skipping reserved key in wordMap:', word);
+      continue;
+    }
+
+    // Skip malformed rules where the value is not an object (e.g., corrupted
+    // storage where a key maps to a string, number, or array instead of the
+    // expected {replacement, caseSensitive, enabled} structure).
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      Logger.warn('Skipping malformed rule (expected object, got ' + typeof data + '):', word);
+      continue;
+    }
+
+    // Only include rules that are explicitly enabled.
+    // Rules with enabled === undefined are treated as enabled (backwards compat).
+    if (data.enabled !== false) {
+
+      // Skip rules scoped to other sites.
+      if (!ruleAppliesToPage(data, pageUrl)) continue;
+
+      // Rules that need a pass of their own (see below) beyond the limit
+      // are left out.
+      const ownPass = data.action === 'hide' || data.isRegex || pipelineEnabled ||
+        data.ignoreAccents || data.flexibleSpacing;
+      if (ownPass && activeRegexRules.length + activeHideRules.length >= MAX_RULE_PASSES) {
+        skippedPasses++;
+        continue;
+      }
+
+      if (needsElement(data)) anyElementRule = true;
+
+      // Hide rules only look for their matches (see HIDING ELEMENTS).
+      if (data.action === 'hide') {
+        const regex = data.isRegex
+          ? compileRegexRule(word, data)
+          : buildRegex(ruleOriginals(word, data).map(text => foldRuleText(text, data)), data.caseSensitive, data.flexibleSpacing);
+        if (regex) {
+          activeHideRules.push({ regex, key: word, data, selector: getHideSelector(data, pageUrl), fold: ruleFold(data) });
+        }
+        continue;
+      }
+
+      // A swap rule also replaces its replacement with its original text,
+      // in the same pass (see SWAP RULES).
+      const reverse = data.swap && !data.isRegex ? reverseSwapRule(word, data) : null;
+      // A group rule matches all of its texts (see SYNONYM GROUPS).
+      const originals = ruleOriginals(word, data);
+
+      // Replacements with {tokens} are parsed once here, not per match.
+      const template = compileTemplate(data.replacement);
+      if (template) activeTemplates.set(data, template);
+
+      // In pipeline mode literal rules get a pass of their own as well, in
+      // the user's order (see RULE ORDER). So do rules that ignore accents,
+      // whose regex runs on folded text (see IGNORING ACCENTS), and rules
+      // whose matches can be spaced differently (see FLEXIBLE SPACING).
+      if ((pipelineEnabled || data.ignoreAccents || data.flexibleSpacing) && !data.isRegex) {
+        const texts = reverse ? [word, reverse.key] : originals;
+        const regex = buildRegex(texts.map(text => foldRuleText(text, data)), data.caseSensitive, data.flexibleSpacing);
+        if (regex) {
+          activeRegexRules.push({
+            regex, callback: createLiteralRuleCallback(data, originals, reverse), key: word, data, fold: ruleFold(data)
+          });
+        }
+        continue;
+      }
+
+      // Regex rules are compiled on their own. Their key is a pattern, not
+      // literal text, so it must never enter the lookup maps below.
+      if (data.isRegex) {
+        const regex = compileRegexRule(word, data);
+        if (regex) {
+          activeRegexRules.push({ regex, callback: createRegexRuleCallback(data), key: word, data });
+        }
+        continue;
+      }
+
+      // Both directions of a swap rule join the same combined matcher, so
+      // each occurrence is matched once and never swapped back. A group's
+      // texts all share the group's data, which stays named by its key.
+      const literals = reverse ? [{ key: word, data }, reverse] : originals.map(key => ({ key, data }));
+      for (const literal of literals) {
+        // Disguised spellings are looked up by their plain text (see
+        // DISGUISED TEXT); the rule keeps its own key for highlights.
+        const text = literalFold ? literalFold(literal.key) : literal.key;
+        activeMap[text] = literal.data;
+        if (!activeRuleKeys.has(literal.data)) activeRuleKeys.set(literal.data, literal.key);
+
+        // Build a lowercase lookup map for case-insensitive rules.
+        // This allows O(1) lookup during replacement instead of O(n) iteration.
+        if (!data.caseSensitive) {
+          const lowerKey = foldCase(text);
+          // Warn if two different rules collide on the same lowercase key.
+          // This shouldn't happen (manage.js prevents it), but imported rules
+          // or manually edited storage could contain duplicates.
+          if (activeLowerMap[lowerKey]) {
+            Logger.warn(`Case-insensitive collision: "${literal.key}" overlaps with an existing rule for "${lowerKey}". Only one will take effect.`);
+          }
+          activeLowerMap[lowerKey] = literal.data;
+        }
+
+        if (data.caseSensitive) {
+          sensitiveWords.push(text);
+        } else {
+          insensitiveWords.push(text);
+        }
+      }
+    }
+  }
+
+  if (skippedPasses > 0) {
+    Logger.warn(`${skippedPasses} rules need a pass of their own beyond the limit of ${MAX_RULE_PASSES} — they will not be used.`);
+  }
+
+  wordMapCache = activeMap;
+  wordMapCacheLower = activeLowerMap;
+  sensitiveMatcher = buildMatcher(sensitiveWords, true);
+  insensitiveMatcher = buildMatcher(insensitiveWords, false);
+  regexRules = activeRegexRules;
+  hideRules = activeHideRules;
+  ruleTemplates = activeTemplates;
+  ruleKeys = activeRuleKeys;
+  elementRulesActive = anyElementRule;
+}
+
+// -----------------------------------------------------------------------------
+// DOM SAFETY FILTERS
+// These prevent the extension from modifying content it shouldn't touch.
+// -----------------------------------------------------------------------------
+
+/**
+ * HTML tags we NEVER modify. Changing text inside these could:
+ * - SCRIPT/STYLE/NOSCRIPT: Break website functionality or inject code
+ * - TEXTAREA/INPUT: Corrupt text the user is actively typing
+ */
+// SVG is included because replacing text inside SVG elements could break
+// rendered charts, diagrams, and other vector graphics. In HTML documents,
+// the HTML parser normalizes tagName to uppercase ('SVG'), but in XHTML or
+// when elements are created via createElementNS, tagName may be lowercase
+// ('svg'). We include both forms for safety.
+const IGNORED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SVG', 'svg'
+]);
+
+/**
+ * Checks if a DOM node is inside an editable area (like a rich text editor).
+ * We skip these so we don't change text while the user is typing.
+ *
+ * The isContentEditable property checks the element AND all its ancestors,
+ * so a single check normally suffices. The explicit parent check is a
+ * defense-in-depth measure for edge cases (e.g., shadow DOM boundaries
+ * or detached nodes) where inheritance might not propagate correctly.
+ *
+ * @param {Node} node - The DOM node to check (typically a text node's parent).
+ * @returns {boolean} - True if the node is editable and should be skipped.
+ */
+function isEditable(node) {
+  return node.isContentEditable || (node.parentNode?.isContentEditable ?? false);
+}
+
+/**
+ * Determines whether a DOM node should be processed for text replacement.
+ * Checks that the node is still attached to the DOM, is not inside an
+ * ignored tag (SCRIPT, STYLE, etc.), and is not in an editable area.
+ *
+ * This is the single source of truth for "should we touch this node?" logic.
+ * It is used by processNode(), processDocument(), and processElement() to
+ * ensure consistent safety filtering in one place. Having this centralized
+ * means a fix here automatically protects all code paths.
+ *
+ * @param {Node} node - The DOM node to check (typically a Text node).
+ * @returns {boolean} - True if the node should be processed, false to skip it.
+ */
+function shouldProcessNode(node) {
+  // Guard against detached nodes. MutationObserver can fire for nodes that
+  // were removed from the DOM between when the mutation was recorded and
+  // when this callback runs. Without this check, accessing parentNode.tagName
+  // would throw a TypeError (Cannot read properties of null).
+  // Some unusual DOM structures (e.g., text nodes directly under the document
+  // node) have a parentNode with no tagName. Skip these safely.
+  // Text placed directly inside a shadow root has the root itself as its
+  // parent; the element hosting the root stands in for it in the checks below.
+  const parent = node.parentNode?.host ?? node.parentNode;
+  if (!parent || !parent.tagName) return false;
+
+  // Skip text we inserted ourselves in highlight mode (see HIGHLIGHT MODE).
+  // It is already a replacement; processing it again would apply the rules
+  // to their own output.
+  if (highlightNodes.has(node) || highlightNodes.has(parent)) return false;
+
+  // Skip nodes inside tags we should never modify (SCRIPT, STYLE, etc.)
+  if (IGNORED_TAGS.has(parent.tagName)) return false;
+
+  // Check for SVG ancestors beyond the immediate parent. SVG child elements
+  // like <g>, <text>, and <tspan> are not in IGNORED_TAGS individually, so we
+  // walk up the ancestor chain to find if this node lives inside an SVG tree.
+  // Replacing text inside SVG could break rendered charts and diagrams.
+  if (node.parentElement && node.parentElement.closest('svg')) return false;
+
+  // Skip nodes inside editable areas (contentEditable, rich text editors)
+  if (isEditable(parent)) return false;
+
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// ATTRIBUTE REPLACEMENT (opt-in)
+// Some words never appear as page text: tooltips (title), image descriptions
+// (alt), input hints (placeholder), screen-reader labels (aria-label),
+// button captions (<input type="button" value>) and <option label>. When
+// "Replace text in attributes" is turned on in the management page, the
+// attributes chosen there get the same rules as page text.
+//
+// Only attributes in SUPPORTED_ATTRIBUTES can be chosen: rewriting anything
+// else (href, src, style, event handlers) could break pages or change what
+// they do. NOTE: This list is duplicated in manage.js (see Logger note above).
+// -----------------------------------------------------------------------------
+const SUPPORTED_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label', 'value', 'label'];
+
+// "value" is the visible caption only on button-style inputs. On every other
+// input it is what the user typed (or what a form will submit), so it is
+// never touched.
+const BUTTON_INPUT_TYPES = new Set(['button', 'submit', 'reset']);
+
+// Ignored tags whose ATTRIBUTES are still user-visible labels. Their content
+// stays off limits (see IGNORED_TAGS), but a placeholder or title is not
+// something the user is typing.
+const ATTRIBUTE_ONLY_TAGS = new Set(['INPUT', 'TEXTAREA']);
+
+/**
+ * Works out which attributes to process from the stored settings.
+ * Unknown names are dropped, so hand-edited storage can never make us
+ * rewrite an unsupported attribute.
+ *
+ * @param {*} enabled - The stored replaceAttributes setting (off unless true).
+ * @param {*} names - The stored attributeNames list (all supported if missing).
+ * @returns {string[]} - Attribute names to process; empty when the pass is off.
+ */
+function getReplacedAttributes(enabled, names) {
+  if (enabled !== true) return [];
+  if (!Array.isArray(names)) return SUPPORTED_ATTRIBUTES.slice();
+  return SUPPORTED_ATTRIBUTES.filter(name => names.includes(name));
+}
+
+/**
+ * Determines whether an element's attributes may be rewritten. Mirrors
+ * shouldProcessNode(): nothing inside scripts, styles, SVG graphics or
+ * editable areas (a rich-text editor would save our replacement as the
+ * user's own content).
+ *
+ * @param {Element} element - The element whose attributes would change.
+ * @returns {boolean} - True if its attributes may be processed.
+ */
+function shouldProcessAttributes(element) {
+  if (highlightNodes.has(element)) return false; // Our own tooltips
+  if (IGNORED_TAGS.has(element.tagName) && !ATTRIBUTE_ONLY_TAGS.has(element.tagName)) return false;
+  if (element.closest && element.closest('svg')) return false;
+  if (element.isContentEditable) return false;
+  return true;
+}
+
+/**
+ * Applies the rules to an element's user-visible attributes.
+ *
+ * Each attribute is handled through its Attr node, whose nodeValue is the
+ * attribute's value. That lets attributes share replaceNodeValue() and the
+ * original-text tracking with text nodes, so they are restored the same way.
+ *
+ * @param {Element} element - The element to process.
+ * @param {string[]} [names] - Which attributes (default: all enabled ones).
+ */
+function processAttributes(element, names = replacedAttributes) {
+  if (!extensionEnabled) return;
+  if (!hasActiveRules()) return;
+  if (!shouldProcessAttributes(element)) return;
+
+  for (const name of names) {
+    if (name === 'value' && !(element.tagName === 'INPUT' && BUTTON_INPUT_TYPES.has(element.type))) {
+      continue;
+    }
+    const attr = element.getAttributeNode(name);
+    if (attr) {
+      replaceNodeValue(attr);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// DOCUMENT TITLE
+// The tab title lives in <head><title>, outside <body>, so the normal page
+// scan never reaches it. It is processed separately (unless "Tab title" is
+// turned off in the management page), and only in the top-level page: a
+// frame's title is never shown in the tab.
+// -----------------------------------------------------------------------------
+
+/**
+ * Applies the rules to the document title's text. Like page text, the
+ * original title is remembered, so it is restored when rules change or the
+ * extension is switched off.
+ */
+function processTitle() {
+  if (!IS_TOP_FRAME || !titleEnabled) return;
+  if (!extensionEnabled) return;
+  if (!hasActiveRules()) return;
+
+  const titleElement = document.head?.querySelector('title');
+  if (!titleElement) return;
+
+  for (const node of titleElement.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      replaceNodeValue(node);
+    }
+  }
+}
+
+/**
+ * Checks whether a mutation inside <head> changed the document title.
+ * Single-page apps change the title either by editing its text
+ * (characterData), by setting document.title (which replaces the <title>'s
+ * text node), or by swapping the whole <title> element.
+ *
+ * @param {MutationRecord} mutation - A mutation observed inside <head>.
+ * @returns {boolean} - True if the title may have changed.
+ */
+function isTitleMutation(mutation) {
+  const target = mutation.target.nodeType === Node.TEXT_NODE ? mutation.target.parentNode : mutation.target;
+  if (target && target.tagName === 'TITLE') return true;
+  for (const node of mutation.addedNodes) {
+    if (node.nodeName === 'TITLE') return true;
+  }
+  return false;
+}
+
+// -----------------------------------------------------------------------------
+// CROSS-NODE MATCHING (opt-in)
+// In the page, "Acme <b>Corp</b>" is two text nodes: "Acme " and "Corp".
+// Node by node, a rule for "Acme Corp" never sees the whole phrase. With
+// "Match across formatting" turned on in the management page, text is
+// processed in runs instead: all the text of a block (a paragraph, list
+// item, table cell...) that is only separated by inline formatting — bold,
+// italics, links, <span>s — is matched as one string (see processTextRun).
+//
+// Anything else ends a run: a nested block element, a line break, an image,
+// a web component, or a tag we never touch. Phrases are not matched across
+// those, because on screen they do not read as one line of text either.
+// -----------------------------------------------------------------------------
+
+// Elements that are part of the surrounding line of text. Deliberately a
+// fixed list of tag names: asking the browser for each element's computed
+// display style would force a style recalculation on every check.
+const INLINE_TAGS = new Set([
+    'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM',
+    'FONT', 'I', 'INS', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL',
+    'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+
+/**
+ * Finds the block a text node's line of text belongs to: its nearest
+ * ancestor that is not an inline element (or the shadow root it sits in).
+ *
+ * @param {Text} node - A text node.
+ * @returns {Node|null} - The containing block element or shadow root.
+ */
+function getBlockContainer(node) {
+  let container = node.parentNode;
+  while (container && container.nodeType === Node.ELEMENT_NODE && INLINE_TAGS.has(container.tagName)) {
+    container = container.parentNode;
+  }
+  return container;
+}
+
+/**
+ * Splits a block's text into runs of text nodes that read as one string.
+ * Text inside nested blocks is left out; it forms runs of its own when its
+ * own block is processed.
+ *
+ * @param {Node} container - A block element or shadow root.
+ * @returns {Text[][]} - Runs of eligible text nodes, in document order.
+ */
+function collectTextRuns(container) {
+  const runs = [];
+  let run = [];
+  const endRun = () => {
+    if (run.length > 0) runs.push(run);
+    run = [];
+  };
+
+  const visit = (parent) => {
+    for (const child of parent.childNodes) {
+      // Highlights belong to the page text node they follow, whose original
+      // text already covers them.
+      if (highlightNodes.has(child)) continue;
+      if (child.nodeType === Node.TEXT_NODE) {
+        // A node we may not touch (e.g., inside an editable area) splits
+        // the text around it, since it cannot take part in a replacement.
+        if (shouldProcessNode(child)) {
+          run.push(child);
+        } else {
+          endRun();
+        }
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        if (INLINE_TAGS.has(child.tagName) && !child.shadowRoot) {
+          visit(child);
+        } else {
+          endRun();
+        }
+      }
+      // Comments and other node types are invisible and do not split runs.
+    }
+  };
+
+  visit(container);
+  endRun();
+  return runs;
+}
+
+/**
+ * Applies the rules to every run of text in a block.
+ *
+ * @param {Node|null} container - A block element or shadow root.
+ */
+function processBlock(container) {
+  if (!container) return;
+  for (const run of collectTextRuns(container)) {
+    processTextRun(run);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// HIGHLIGHT MODE (opt-in)
+// With "Highlight replacements" turned on in the management page, replaced
+// text is wrapped in a <mark> element in the rule's color, with a tooltip
+// showing what the page originally said and which rule fired. Replacements
+// by click-to-reveal rules are wrapped too, highlighted or not (see CLICK
+// TO REVEAL below).
+//
+// The page's own text node is never removed — frameworks like React keep
+// references to their text nodes. It keeps the text before the first
+// replacement; the highlighted replacements and the text between them are
+// new nodes inserted right after it. They are recorded with the node's
+// original text (see ORIGINAL TEXT TRACKING) and removed whenever the node
+// is restored or processed again.
+//
+// Everything is built with createElement/createTextNode and the textContent
+// and title properties — never innerHTML — so page text can never turn
+// into markup.
+// -----------------------------------------------------------------------------
+
+// Color used for rules without their own highlightColor.
+// NOTE: Duplicated in manage.js (see Logger note above).
+const DEFAULT_HIGHLIGHT_COLOR = '#fff59d';
+const HIGHLIGHT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Parents whose content is plain text only: <title> (the tab title) and
+// <option> ignore child elements, so replacements there are never wrapped.
+const PLAIN_TEXT_PARENTS = new Set(['TITLE', 'OPTION']);
+
+// Every node we insert for highlights (marks and the plain text between
+// them), plus the placeholders of hidden elements (see HIDING ELEMENTS).
+// The MutationObserver and the page walkers skip these, since their text is
+// already replaced. A WeakSet lets removed nodes be garbage-collected.
+const highlightNodes = new WeakSet();
+
+/**
+ * Checks whether replacements in a node can be shown as highlights.
+ * Attribute values and plain-text-only elements cannot hold markup.
+ *
+ * @param {Node} node - A Text or Attr node about to be processed.
+ * @returns {boolean} - True if highlights may be inserted after it.
+ */
+function canHighlight(node) {
+  if (node.nodeType !== Node.TEXT_NODE) return false;
+  const parent = node.parentNode;
+  return Boolean(parent) && !PLAIN_TEXT_PARENTS.has(parent.tagName);
+}
+
+/**
+ * Checks whether a replacement needs an element of its own: it is
+ * highlighted, its rule lets the reader click to see the original, or its
+ * rule blurs or bars the text. Other replacements are shown as plain text.
+ *
+ * @param {{original: string, rule: ?{key: string, data: Object}}} record
+ * @returns {boolean} - True if the replacement gets wrapped.
+ */
+function isShownRecord(record) {
+  return highlightEnabled || needsElement(record.rule?.data);
+}
+
+/**
+ * Builds the tooltip text for a highlight.
+ *
+ * @param {{original: string, rule: ?{key: string, data: Object}}} record
+ * @returns {string} - E.g. 'Original: "cat"' + newline + 'Rule: cat → dog'.
+ */
+function describeHighlight(record) {
+  const lines = [`Original: "${record.original}"`];
+  if (record.rule) {
+    const pattern = record.rule.data.isRegex ? `/${record.rule.key}/` : record.rule.key;
+    lines.push(`Rule: ${pattern} ${record.rule.data.swap ? '↔' : '→'} ${record.rule.data.replacement ?? ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Creates the element for one replacement: a <mark> when highlighting, a
+ * click-to-reveal toggle (highlighted as well when highlighting is on), or
+ * a blurred/barred span for redaction rules.
+ *
+ * @param {string} text - The replacement text to show.
+ * @param {Object} record - The highlight record ({ original, rule }).
+ * @returns {HTMLElement} - The element holding the text.
+ */
+function createHighlight(text, record) {
+  const data = record.rule?.data;
+  const reveal = data?.clickToReveal === true;
+  const redactionStyle = data && Object.hasOwn(REDACTION_STYLES, data.action) ? REDACTION_STYLES[data.action] : null;
+  const element = document.createElement(reveal || redactionStyle ? 'span' : 'mark');
+  element.textContent = text;
+
+  // Styles are set through the style object, which a page's Content
+  // Security Policy does not block (unlike a style="" attribute).
+  if (redactionStyle) {
+    Object.assign(element.style, redactionStyle);
+  } else if (highlightEnabled) {
+    // Masked text gets the color but no tooltip (see REDACTION).
+    if (data?.action !== 'mask') {
+      element.title = describeHighlight(record);
+    }
+    const color = data?.highlightColor;
+    element.style.backgroundColor = HIGHLIGHT_COLOR_PATTERN.test(color) ? color : DEFAULT_HIGHLIGHT_COLOR;
+    element.style.color = '#000';
+  }
+  if (reveal) {
+    makeRevealable(element, text, record.original, redactionStyle);
+  }
+
+  highlightNodes.add(element);
+  return element;
+}
+
+/**
+ * Shows a node's new text with its replaced ranges highlighted.
+ *
+ * @param {Text} node - The page's text node.
+ * @param {string} original - The page's own text for this node.
+ * @param {string} text - The text the rules produced.
+ * @param {number[]} marks - Highlight record index per character (-1 = page text).
+ * @param {Object[]} records - Highlight records ({ original, rule }).
+ */
+function renderHighlights(node, original, text, marks, records) {
+  // Replacements that are not shown (see isShownRecord) count as plain text.
+  const shownMarks = marks.map(mark => (mark !== -1 && isShownRecord(records[mark]) ? mark : -1));
+
+  // Split the text into runs of plain text and of each shown replacement.
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= text.length; i++) {
+    if (i === text.length || shownMarks[i] !== shownMarks[start]) {
+      segments.push({ text: text.slice(start, i), mark: shownMarks[start] });
+      start = i;
+    }
+  }
+
+  // The page's node keeps the text before the first replacement.
+  const ownText = segments.length > 0 && segments[0].mark === -1 ? segments.shift().text : '';
+  if (node.nodeValue !== ownText) {
+    node.nodeValue = ownText;
+  }
+
+  const highlights = [];
+  let previous = node;
+  for (const segment of segments) {
+    let inserted;
+    if (segment.mark === -1) {
+      inserted = document.createTextNode(segment.text);
+      highlightNodes.add(inserted);
+    } else {
+      inserted = createHighlight(segment.text, records[segment.mark]);
+    }
+    node.parentNode.insertBefore(inserted, previous.nextSibling);
+    highlights.push(inserted);
+    previous = inserted;
+  }
+
+  rememberOriginalText(node, original, ownText);
+  originalTextMap.get(node).highlights = highlights;
+}
+
+/**
+ * Removes the highlights recorded for a node, if any.
+ *
+ * @param {Object|undefined} record - The node's entry in originalTextMap.
+ */
+function removeHighlights(record) {
+  if (!record || !record.highlights) return;
+  for (const inserted of record.highlights) {
+    if (inserted.parentNode) {
+      inserted.parentNode.removeChild(inserted);
+    }
+  }
+  record.highlights = null;
+}
+
+// -----------------------------------------------------------------------------
+// CLICK TO REVEAL (per rule)
+// For spoiler and censorship rules: with "Click to reveal" turned on for a
+// rule in the management page, its replacements can be clicked (or focused
+// and activated with Enter/Space) to show the page's original text, and
+// clicked again to hide it. Built on the same elements as HIGHLIGHT MODE.
+//
+// For screen readers the element is a toggle button (role="button" with
+// aria-pressed) whose text is whatever is currently shown.
+// -----------------------------------------------------------------------------
+
+/**
+ * Turns a replacement element into a click-to-reveal toggle.
+ *
+ * The listeners live in the extension's isolated world; page scripts can't
+ * see or trigger them. Clicks are stopped from reaching the page, so a
+ * replacement inside a link reveals instead of following the link.
+ *
+ * For blur and bar rules the text is the same either way; revealing removes
+ * the blur or bar instead.
+ *
+ * @param {HTMLElement} element - The element created by createHighlight().
+ * @param {string} replacement - The replacement text (shown first).
+ * @param {string} original - The page's original text.
+ * @param {Object|null} redactionStyle - The rule's REDACTION_STYLES entry, if any.
+ */
+function makeRevealable(element, replacement, original, redactionStyle) {
+  const baseTitle = element.title ? element.title + '\n' : '';
+  element.setAttribute('role', 'button');
+  element.tabIndex = 0;
+  element.style.cursor = 'pointer';
+  element.style.textDecoration = 'underline dotted';
+
+  const show = (revealed) => {
+    element.textContent = revealed ? original : replacement;
+    if (redactionStyle) {
+      for (const [property, value] of Object.entries(redactionStyle)) {
+        element.style[property] = revealed ? '' : value;
+      }
+    }
+    element.setAttribute('aria-pressed', String(revealed));
+    element.title = baseTitle + (revealed ? 'Click to hide the original text' : 'Click to show the original text');
+  };
+  show(false);
+
+  const toggle = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    show(element.getAttribute('aria-pressed') !== 'true');
+  };
+  element.addEventListener('click', toggle);
+  element.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      toggle(event);
+    }
+  });
+}
+
+// -----------------------------------------------------------------------------
+// ORIGINAL TEXT TRACKING
+// Lets rule changes work in both directions without reloading the page:
+// every replacement is computed from the page's own text, and that text can
+// be restored when replacements should no longer apply.
+// -----------------------------------------------------------------------------
+
+/**
+ * Returns the text the page itself put in a node, before any replacement.
+ * Works for Text nodes and for Attr nodes (attribute values).
+ *
+ * If we changed this node earlier and it still shows exactly what we wrote,
+ * the remembered original is returned. If the page has since rewritten the
+ * node (e.g., a framework re-render), the page's new text IS the new original,
+ * so the stale record is dropped.
+ *
+ * @param {Text} node - A DOM Text node.
+ * @returns {string} - The page's original text for this node.
+ */
+function getOriginalText(node) {
+  const record = originalTextMap.get(node);
+  if (!record) return node.nodeValue;
+  if (node.nodeValue === record.replaced) return record.original;
+  // Highlights of our old replacement would now repeat text the page
+  // replaced itself; they go together with the stale record.
+  removeHighlights(record);
+  originalTextMap.delete(node);
+  return node.nodeValue;
+}
+
+/**
+ * Checks whether a node still shows exactly the text we last wrote to it.
+ * The MutationObserver uses this to ignore the characterData mutations our
+ * own replacements cause, so a rule like "cat" → "cats" is not re-applied
+ * to its own output over and over.
+ *
+ * @param {Text} node - A DOM Text node.
+ * @returns {boolean} - True if the node's current text is our replacement.
+ */
+function isOwnWrite(node) {
+  const record = originalTextMap.get(node);
+  return record !== undefined && node.nodeValue === record.replaced;
+}
+
+/**
+ * Records that we replaced a node's text, so it can be restored later.
+ * When the map has grown past nextOriginalTextPrune entries, records for
+ * nodes that are no longer in the document are dropped in one batch and the
+ * threshold is doubled, keeping the cleanup cost amortized O(1) per call.
+ *
+ * @param {Text} node - The Text node we just wrote to.
+ * @param {string} original - The page's text before replacement.
+ * @param {string} replaced - The text we wrote.
+ */
+function rememberOriginalText(node, original, replaced) {
+  originalTextMap.set(node, { original, replaced });
+
+  if (originalTextMap.size > nextOriginalTextPrune) {
+    for (const trackedNode of originalTextMap.keys()) {
+      // Attr nodes are never "connected" themselves; their element is.
+      const owner = trackedNode.ownerElement ?? trackedNode;
+      if (!owner.isConnected) originalTextMap.delete(trackedNode);
+    }
+    nextOriginalTextPrune = Math.max(1000, originalTextMap.size * 2);
+  }
+}
+
+/**
+ * Puts the page's own text back into every node we have changed.
+ * Used when the master switch is turned off and before re-applying rules
+ * after they change. Nodes the page has rewritten since our replacement are
+ * left alone — their current text already belongs to the page.
+ */
+function restoreOriginalText() {
+  for (const [node, record] of originalTextMap) {
+    removeHighlights(record);
+    if (node.nodeValue === record.replaced) {
+      node.nodeValue = record.original;
+    }
+  }
+  originalTextMap.clear();
+  unhideAllElements();
+  resetOccurrenceNumbers();
+}
+
+/**
+ * Re-applies the current rules to the whole page after they change.
+ * Restoring first means removed, disabled, or edited rules stop showing
+ * their old replacements; processDocument() then applies the current set.
+ */
+function reapplyRules() {
+  restoreOriginalText();
+  processDocument();
+}
+
+// -----------------------------------------------------------------------------
+// INCREMENTAL RULE CHANGES
+// Editing one rule shouldn't make every open tab put back and re-process all
+// of its text. When only the rules change, the storage listener remembers
+// the rules the page was showing (scheduleReapply), and once the edits have
+// settled reapplyChangedRules() works out which rules were added, removed
+// or edited (diffRuleMaps) and re-processes only the text they can affect:
+//   - text we have changed before (it is in originalTextMap) is processed
+//     again from the page's own text, as the rule behind it may be gone;
+//   - any other text is left alone unless an old or a new version of a
+//     changed rule matches it (isUnaffected). The other rules didn't change
+//     it before, so they won't now either.
+// The page is still walked, but text that is skipped costs one search per
+// changed rule instead of a run of every rule and a possible rewrite.
+// Some changes still re-apply everything (see reapplyChangedRules): hide
+// rules (hidden elements are only ever restored all together), any active
+// {count} replacement (its numbers run through the whole page), and other
+// settings changed together with the rules. A new rule order saved with the
+// rules (a rename or removal updates both) is the exception as long as it
+// only drops or renames the changed rules (keepsRuleOrder).
+// -----------------------------------------------------------------------------
+
+/**
+ * Schedules re-applying the rules after a settings change, debounced so
+ * rapid edits in the management page are handled together.
+ *
+ * @param {Object|null} [previousWordMap] - The rules the page showed before
+ *   the change, if only the rules changed; null re-applies every rule.
+ */
+function scheduleReapply(previousWordMap = null) {
+  // A re-apply that is already waiting keeps its starting point: the page
+  // still shows the rules from before its first change.
+  if (reprocessTimeout === null) {
+    reapplyFrom = previousWordMap;
+  } else if (previousWordMap === null) {
+    reapplyFrom = null;
+  }
+  clearTimeout(reprocessTimeout);
+  reprocessTimeout = setTimeout(runScheduledReapply, 200);
+}
+
+/**
+ * Runs the re-apply scheduled by scheduleReapply().
+ */
+function runScheduledReapply() {
+  const previousWordMap = reapplyFrom;
+  reprocessTimeout = null;
+  reapplyFrom = null;
+  if (previousWordMap === null) {
+    reapplyRules();
+  } else {
+    reapplyChangedRules(previousWordMap);
+  }
+}
+
+/**
+ * Lists the rules that were added, removed or edited between two rule sets.
+ *
+ * @param {Object} oldMap - The rules before the change.
+ * @param {Object} newMap - The rules after the change.
+ * @returns {string[]} - The keys of the changed rules.
+ */
+function diffRuleMaps(oldMap, newMap) {
+  const changed = [];
+  for (const word of new Set([...Object.keys(oldMap), ...Object.keys(newMap)])) {
+    if (JSON.stringify(oldMap[word]) !== JSON.stringify(newMap[word])) {
+      changed.push(word);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Checks whether the rules that didn't change still run in the same order:
+ * a rule order saved along with the rules that only drops or renames the
+ * changed rules, so re-applying just the changed rules is still enough.
+ *
+ * @param {Object} oldMap - The rules before the change.
+ * @param {string[]} oldOrder - The stored rule order before the change.
+ * @param {Object} newMap - The rules after the change.
+ * @param {string[]} newOrder - The stored rule order after the change.
+ * @returns {boolean} - True if the unchanged rules keep their order.
+ */
+function keepsRuleOrder(oldMap, oldOrder, newMap, newOrder) {
+  const changed = new Set(diffRuleMaps(oldMap, newMap));
+  const unchanged = orderRuleKeys(oldMap, oldOrder).filter(word => !changed.has(word));
+  const reordered = orderRuleKeys(newMap, newOrder).filter(word => !changed.has(word));
+  return unchanged.length === reordered.length &&
+    unchanged.every((word, index) => word === reordered[index]);
+}
+
+/**
+ * Builds the search isUnaffected() runs for one version of a changed rule.
+ * It finds what the rule's pass in applyRules() would find: the same
+ * pattern, folding the page text the same way.
+ *
+ * @param {string} word - The rule's key.
+ * @param {Object} data - This version of the rule's data.
+ * @returns {{regex: RegExp|LiteralMatcher, fold: Function|null}|null} - The
+ *   search, or null if the rule can't match anything.
+ */
+function compileChangeTest(word, data) {
+  if (data.isRegex) {
+    const regex = compileRegexRule(word, data);
+    return regex && { regex, fold: null };
+  }
+  const reverse = data.swap ? reverseSwapRule(word, data) : null;
+  const texts = reverse ? [word, reverse.key] : ruleOriginals(word, data);
+  // Rules with a pass of their own, as in updateRegexes().
+  const regex = pipelineEnabled || data.ignoreAccents || data.flexibleSpacing
+    ? buildRegex(texts.map(text => foldRuleText(text, data)), data.caseSensitive, data.flexibleSpacing)
+    : buildMatcher(texts.map(text => literalFold ? literalFold(text) : text), data.caseSensitive);
+  return regex && { regex, fold: ruleFold(data) };
+}
+
+/**
+ * Re-applies only the rules that changed since the page was last processed
+ * (see INCREMENTAL RULE CHANGES), or every rule when that isn't safe.
+ *
+ * @param {Object} previousWordMap - The rules the page showed before.
+ */
+function reapplyChangedRules(previousWordMap) {
+  const changed = diffRuleMaps(previousWordMap, currentWordMap);
+  if (changed.length === 0) return;
+
+  const countsOccurrences = [...ruleTemplates.values()].some(parts => parts.some(part => part.token === 'count'));
+  // Without active rules processDocument() doesn't walk the page at all.
+  if (countsOccurrences || !hasActiveRules()) {
+    reapplyRules();
+    return;
+  }
+
+  const pageUrl = getPageUrl();
+  const tests = [];
+  for (const word of changed) {
+    if (word === '__proto__' || word === 'constructor' || word === 'prototype') continue;
+    for (const data of [previousWordMap[word], currentWordMap[word]]) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) continue;
+      if (data.enabled === false || !ruleAppliesToPage(data, pageUrl)) continue;
+      if (data.action === 'hide') {
+        reapplyRules();
+        return;
+      }
+      const test = compileChangeTest(word, data);
+      if (test) tests.push(test);
+    }
+  }
+
+  changedRuleTests = tests;
+  try {
+    processDocument();
+  } finally {
+    changedRuleTests = null;
+  }
+}
+
+/**
+ * Checks whether text can be skipped while only the changed rules are
+ * re-applied: we haven't changed any of its nodes, and no version of a
+ * changed rule matches it (see INCREMENTAL RULE CHANGES).
+ *
+ * @param {Array<Text|Attr>} nodes - The nodes the text comes from.
+ * @param {string} text - The page's own text of those nodes.
+ * @returns {boolean} - True if the rules leave the text as it is.
+ */
+function isUnaffected(nodes, text) {
+  if (changedRuleTests === null) return false;
+  if (nodes.some(node => originalTextMap.has(node))) return false;
+  return !changedRuleTests.some(test => {
+    test.regex.lastIndex = 0;
+    return test.regex.exec(test.fold ? test.fold(text) : text) !== null;
+  });
+}
+
+// -----------------------------------------------------------------------------
+// REDACTION
+// Besides replacing text, a rule can hide what it matches — for names,
+// spoilers or client identifiers during a screen share. The rule's "action"
+// (chosen in the management page; missing means "replace") is one of:
+//   "mask" — every character becomes █ (spaces are kept), so the text
+//            keeps its length
+//   "blur" — the text stays but is blurred
+//   "bar"  — the text stays but is covered by a solid black bar
+// (Rules with action "hide" hide a whole element instead — see HIDING
+// ELEMENTS.)
+// Blur and bar are drawn by wrapping the match in an element (see
+// createHighlight), so the page's layout is unchanged. Text that can't hold
+// elements — the tab title, <option> text and attribute values (see
+// canHighlight) — would show the match in full, so blur and bar rules mask
+// it there instead. Redacted text never gets a tooltip: it would show the
+// very text being hidden.
+// NOTE: The action names are duplicated in manage.js (see Logger note above).
+// -----------------------------------------------------------------------------
+const MASK_CHARACTER = '█';
+
+// Inline styles for the actions that are drawn over the text. Applied
+// through the style object (see createHighlight).
+const REDACTION_STYLES = {
+  blur: { filter: 'blur(5px)' },
+  bar: { backgroundColor: '#000', color: '#000' }
+};
+
+// Whether the text being processed can hold the elements blur and bar are
+// drawn with (set per text by replaceNodeValue and processTextRun).
+let redactionDrawable = true;
+
+/**
+ * Returns the text a redaction rule shows for a match, or null if the rule
+ * replaces text normally. Blur and bar keep the match for their element to
+ * cover, except in text that can't hold one, where they mask it.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @param {string} match - The matched text.
+ * @returns {string|null} - The redacted text, or null for "replace" rules.
+ */
+function redactionOutput(data, match) {
+  const drawn = Object.hasOwn(REDACTION_STYLES, data.action);
+  if (data.action === 'mask' || (drawn && !redactionDrawable)) {
+    // Array.from splits by character, so an emoji becomes one █, not two.
+    return Array.from(match, character => (/\s/.test(character) ? character : MASK_CHARACTER)).join('');
+  }
+  if (drawn) {
+    return match;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a rule's matches always need an element of their own,
+ * even when highlighting is off: click-to-reveal rules and the redactions
+ * drawn over the text.
+ *
+ * @param {Object|undefined} data - The rule data from storage.
+ * @returns {boolean} - True if the rule's matches are wrapped in elements.
+ */
+function needsElement(data) {
+  return Boolean(data) && (data.clickToReveal === true || Object.hasOwn(REDACTION_STYLES, data.action));
+}
+
+// -----------------------------------------------------------------------------
+// HIDING ELEMENTS (per rule)
+// For muting topics on feeds, a rule with action "hide" doesn't change the
+// text it matches: it hides the whole post around it. The post is the
+// nearest ancestor of the matched text that matches the rule's hideSelector,
+// or, for rules without one, the default selector for the current site
+// (DEFAULT_HIDE_SELECTORS, falling back to FALLBACK_HIDE_SELECTOR).
+//
+// A hidden element gets display: none, and a small placeholder is inserted
+// before it: 'Hidden by rule "x" — Show'. Clicking Show brings the element
+// back and keeps it visible until the page is reloaded. New posts from
+// infinite scroll reach hideMatchingElement() through the MutationObserver
+// like any other new text. Hidden elements come back whenever the rules are
+// re-applied or the extension is turned off (see restoreOriginalText).
+// -----------------------------------------------------------------------------
+
+// Posts on popular feeds. Hosts match themselves and their subdomains.
+const DEFAULT_HIDE_SELECTORS = [
+  { hosts: ['twitter.com', 'x.com'], selector: 'article' },
+  { hosts: ['reddit.com'], selector: 'shreddit-post, shreddit-comment, .thing' },
+  { hosts: ['news.ycombinator.com'], selector: 'tr.athing' },
+  { hosts: ['facebook.com'], selector: '[role="article"]' },
+  { hosts: ['youtube.com'], selector: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-compact-video-renderer, ytd-comment-thread-renderer' }
+];
+
+// Used on every other site. Only containers that mark up a post: list items
+// would match navigation menus too, and hiding a menu entry breaks the page.
+// Rules that should hide list items on other sites set their own hideSelector.
+const FALLBACK_HIDE_SELECTOR = 'article, [role="article"]';
+
+// Hidden element → { placeholder, display, priority } (the element's own
+// inline display value, put back when it is shown again).
+const hiddenElements = new Map();
+
+// Elements the reader chose to show again. They are never hidden twice.
+const shownElements = new WeakSet();
+
+/**
+ * Returns the CSS selector of the element a hide rule hides.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @param {string} url - The page URL.
+ * @returns {string} - The rule's own selector, or this site's default.
+ */
+function getHideSelector(data, url) {
+  if (typeof data.hideSelector === 'string' && data.hideSelector.trim()) {
+    return data.hideSelector.trim();
+  }
+  const host = getHost(url);
+  const site = DEFAULT_HIDE_SELECTORS.find(entry =>
+    entry.hosts.some(name => host === name || host.endsWith('.' + name)));
+  return site ? site.selector : FALLBACK_HIDE_SELECTOR;
+}
+
+/**
+ * Hides the element around a text node if a hide rule matches its text.
+ *
+ * @param {Text} node - The text node (the first node of the run, in
+ *   cross-node mode).
+ * @param {string} text - The page's own text for the node (or the run).
+ */
+function hideMatchingElement(node, text) {
+  if (hideRules.length === 0 || !node.parentElement) return;
+  for (const rule of hideRules) {
+    rule.regex.lastIndex = 0; // The regexes are global (see buildRegex)
+    if (!rule.regex.test(rule.fold ? rule.fold(text) : text)) continue;
+    let target = null;
+    try {
+      target = node.parentElement.closest(rule.selector);
+    } catch (error) {
+      // manage.js validates selectors; this only catches edited storage.
+      Logger.warn('Skipping hide rule with invalid selector:', rule.selector);
+      continue;
+    }
+    if (target) {
+      hideElement(target, rule);
+      return;
+    }
+  }
+}
+
+/**
+ * Hides an element and puts a placeholder with a Show button before it.
+ *
+ * @param {Element} element - The element to hide.
+ * @param {{key: string, data: Object}} rule - The hide rule that matched.
+ */
+function hideElement(element, rule) {
+  // Never hide the whole page, and never hide the same element twice.
+  if (element === document.body || element === document.documentElement) return;
+  if (hiddenElements.has(element) || shownElements.has(element) || !element.parentNode) return;
+
+  const label = rule.data.isRegex ? `/${rule.key}/` : rule.key;
+  // A <div> would not be valid between list items.
+  const placeholder = document.createElement(element.tagName === 'LI' ? 'li' : 'div');
+  placeholder.style.fontSize = '0.85em';
+  placeholder.style.color = '#777';
+  placeholder.style.padding = '4px 8px';
+  placeholder.style.border = '1px dashed #ccc';
+  placeholder.appendChild(document.createTextNode(`Hidden by rule "${label}" — `));
+  const showButton = document.createElement('button');
+  showButton.type = 'button';
+  showButton.textContent = 'Show';
+  showButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    shownElements.add(element);
+    unhideElement(element);
+  });
+  placeholder.appendChild(showButton);
+  highlightNodes.add(placeholder);
+
+  hiddenElements.set(element, {
+    placeholder,
+    display: element.style.getPropertyValue('display'),
+    priority: element.style.getPropertyPriority('display')
+  });
+  // !important, so the page's own stylesheets can't show the element again.
+  element.style.setProperty('display', 'none', 'important');
+  element.parentNode.insertBefore(placeholder, element);
+}
+
+/**
+ * Shows a hidden element again and removes its placeholder.
+ *
+ * @param {Element} element - An element hidden by hideElement().
+ */
+function unhideElement(element) {
+  const state = hiddenElements.get(element);
+  if (!state) return;
+  hiddenElements.delete(element);
+  if (state.display) {
+    element.style.setProperty('display', state.display, state.priority);
+  } else {
+    element.style.removeProperty('display');
+  }
+  state.placeholder.parentNode?.removeChild(state.placeholder);
+}
+
+/**
+ * Shows every element hidden by a hide rule (see restoreOriginalText).
+ */
+function unhideAllElements() {
+  for (const element of Array.from(hiddenElements.keys())) {
+    unhideElement(element);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// CASE PRESERVATION
+// For rules with preserveCase: true, the replacement takes on the casing of
+// the text it replaces. With a case-insensitive rule "cat" → "dog":
+//   "cat" → "dog"    (lowercase)
+//   "Cat" → "Dog"    (Title Case, applied word by word)
+//   "CAT" → "DOG"    (UPPERCASE)
+//   "cAt" → "dOg"    (mixed — copied letter by letter when lengths match)
+// Mixed casing with a different-length replacement has no sensible mapping,
+// so the replacement is used exactly as written.
+// -----------------------------------------------------------------------------
+
+/**
+ * Capitalizes the first letter of every word and lowercases the rest.
+ * A "word" starts at any letter that follows a non-letter (space, hyphen,
+ * punctuation) or the start of the string. \p{L} matches letters in every
+ * script, not just A–Z.
+ *
+ * @param {string} text - The text to convert.
+ * @returns {string} - The text in Title Case.
+ */
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Copies the casing pattern of the matched text onto the replacement.
+ * See the section comment above for the supported patterns.
+ *
+ * @param {string} match - The text found on the page.
+ * @param {string} replacement - The rule's replacement text.
+ * @returns {string} - The replacement, re-cased to match.
+ */
+function applyMatchCase(match, replacement) {
+  const lower = match.toLowerCase();
+  const upper = match.toUpperCase();
+
+  // No cased letters at all (digits, punctuation, CJK): nothing to copy.
+  if (lower === upper) return replacement;
+  if (match === lower) return replacement.toLowerCase();
+
+  // A single capital letter ("A") reads as Title Case, not as shouting, so
+  // UPPERCASE needs at least two cased letters.
+  if (match === upper && upper.replace(/[^\p{Lu}]/gu, '').length > 1) {
+    return replacement.toUpperCase();
+  }
+  if (match === toTitleCase(match)) return toTitleCase(replacement);
+
+  // Mixed casing: copy it character by character when lengths allow.
+  if (match.length === replacement.length) {
+    let result = '';
+    for (let i = 0; i < match.length; i++) {
+      const sourceChar = match[i];
+      if (sourceChar !== sourceChar.toLowerCase()) {
+        result += replacement[i].toUpperCase();
+      } else if (sourceChar !== sourceChar.toUpperCase()) {
+        result += replacement[i].toLowerCase();
+      } else {
+        result += replacement[i];
+      }
+    }
+    return result;
+  }
+
+  return replacement;
+}
+
+// -----------------------------------------------------------------------------
+// REPLACEMENT TEMPLATES
+// A replacement can contain tokens that are filled in for every match:
+//   {match}        — the matched text, as the page wrote it
+//   {match.upper}  — the matched text in UPPERCASE
+//   {host}         — the page's host name ("news.example.com")
+//   {date}         — today's date, written the way the browser's locale does
+//   {count}        — the occurrence number: 1 for the rule's first
+//                    replacement on the page, 2 for the next, ... (numbered
+//                    again from 1 whenever the rules are re-applied)
+// Only a replacement that uses one of these tokens is a template. In a
+// template "{{" and "}}" stand for literal braces, and anything else in
+// braces is kept as written (manage.js rejects unknown lowercase tokens in
+// templates, so typos show up when the rule is saved). Other replacements
+// are used exactly as written, so ones from before templates existed
+// ("{redacted}", "{{x}}") still show what they always did.
+//
+// Templates are parsed into parts once per rule (compileTemplate) and the
+// parts are joined per match (renderTemplate). No text is ever evaluated
+// as code.
+//
+// A text is processed again whenever the page moves it, the title changes
+// or cross-node matching re-reads its block, so {count} can't just number
+// matches as they are made. Instead each text (keyed by its node, or the
+// first node of a cross-node run) keeps the numbers its occurrences got, in
+// occurrenceNumbers, for as long as its original text stays the same: the
+// k-th match of a rule in it gets the same number every time. Only matches
+// beyond those it had before take new numbers from templateCounts. The
+// numbers are kept before the text is written, so a run that times out
+// keeps them too and gets them back when it is processed again.
+//
+// NOTE: The token names are duplicated in manage.js (see Logger note above).
+// -----------------------------------------------------------------------------
+const TEMPLATE_TOKEN_PATTERN = /\{\{|\}\}|\{([a-z]+(?:\.[a-z]+)?)\}/g;
+const TEMPLATE_TOKENS = new Set(['match', 'match.upper', 'host', 'date', 'count']);
+
+let templateHost = '';          // {host} for this page (set in updateRegexes)
+const templateCounts = new Map(); // Rule data → occurrence numbers handed out so far ({count})
+// Text node → { text, numbers: Map(rule data → number[]) }: the numbers the
+// occurrences in its original text got (see above). Replaced, not cleared
+// (WeakMaps can't be), when the numbering starts again.
+let occurrenceNumbers = new WeakMap();
+// The text being processed, for numbering its occurrences: its node, its
+// original text, and (once it has a {count} match) how many matches of each
+// rule have been numbered so far in this run.
+let countingNode = null;
+let countingText = '';
+let countingRun = null;
+
+/**
+ * Starts numbering occurrences from 1 again (when the rules are re-applied).
+ */
+function resetOccurrenceNumbers() {
+  templateCounts.clear();
+  occurrenceNumbers = new WeakMap();
+}
+
+/**
+ * Tells {count} which text is being processed next.
+ *
+ * @param {Node|null} node - Its node (the first one, for a cross-node run).
+ * @param {string} text - Its original text.
+ */
+function startCounting(node, text) {
+  countingNode = node;
+  countingText = text;
+  countingRun = null;
+}
+
+/**
+ * Returns the number of a rule's next occurrence in the text being
+ * processed: the one it had the last time, or a new one.
+ *
+ * @param {Object} data - The rule data.
+ * @returns {number} - The occurrence number.
+ */
+function nextOccurrenceNumber(data) {
+  if (countingRun === null) {
+    let entry = countingNode ? occurrenceNumbers.get(countingNode) : undefined;
+    if (!entry || entry.text !== countingText) {
+      entry = { text: countingText, numbers: new Map() };
+      if (countingNode) occurrenceNumbers.set(countingNode, entry);
+    }
+    countingRun = { numbers: entry.numbers, used: new Map() };
+  }
+
+  const index = countingRun.used.get(data) ?? 0;
+  countingRun.used.set(data, index + 1);
+  let numbers = countingRun.numbers.get(data);
+  if (!numbers) {
+    numbers = [];
+    countingRun.numbers.set(data, numbers);
+  }
+  if (index === numbers.length) {
+    const count = (templateCounts.get(data) ?? 0) + 1;
+    templateCounts.set(data, count);
+    numbers.push(count);
+  }
+  return numbers[index];
+}
+
+/**
+ * Parses a replacement into literal text and tokens.
+ *
+ * @param {*} replacement - The rule's replacement text.
+ * @returns {Array<string|{token: string}>|null} - The parts, or null if
+ *   the replacement has no tokens (it is used as-is).
+ */
+function compileTemplate(replacement) {
+  if (typeof replacement !== 'string' || !/[{}]/.test(replacement)) return null;
+
+  const parts = [];
+  let text = '';
+  let isTemplate = false;
+  let last = 0;
+  for (const found of replacement.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+    text += replacement.slice(last, found.index);
+    last = found.index + found[0].length;
+    if (found[1] === undefined) {
+      text += found[0][0]; // "{{" → "{", "}}" → "}"
+    } else if (TEMPLATE_TOKENS.has(found[1])) {
+      if (text) parts.push(text);
+      parts.push({ token: found[1] });
+      text = '';
+      isTemplate = true;
+    } else {
+      text += found[0];
+    }
+  }
+  text += replacement.slice(last);
+  if (text) parts.push(text);
+  return isTemplate ? parts : null;
+}
+
+/**
+ * Fills in a compiled template for one match.
+ *
+ * @param {Array<string|{token: string}>} parts - From compileTemplate().
+ * @param {Object} data - The rule data (counts are kept per rule).
+ * @param {string} match - The matched text.
+ * @param {Function|null} [expandText] - Applied to the template's own
+ *   text (regex rules expand their $-references with it).
+ * @returns {string} - The replacement text.
+ */
+function renderTemplate(parts, data, match, expandText = null) {
+  let output = '';
+  let count = null; // One number per match, however often {count} appears
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      output += expandText ? expandText(part) : part;
+    } else if (part.token === 'match') {
+      output += match;
+    } else if (part.token === 'match.upper') {
+      output += match.toUpperCase();
+    } else if (part.token === 'host') {
+      output += templateHost;
+    } else if (part.token === 'date') {
+      output += new Date().toLocaleDateString();
+    } else if (part.token === 'count') {
+      count ??= nextOccurrenceNumber(data);
+      output += String(count);
+    }
+  }
+  return output;
+}
+
+// -----------------------------------------------------------------------------
+// REPLACEMENT ENGINE
+// These functions perform the actual text replacement on the page.
+// -----------------------------------------------------------------------------
+
+/**
+ * Returns the text a rule produces for one match, filling in its template
+ * (see REPLACEMENT TEMPLATES) and applying case preservation when the rule
+ * asks for it (or redaction, see REDACTION).
+ *
+ * The ?? (nullish coalescing) operator provides a safety net: if a rule
+ * somehow has replacement === undefined or null (e.g., corrupted storage,
+ * manual edits, old data format), we fall back to the original matched text
+ * instead of replacing it with the literal string "undefined". We use ??
+ * instead of || so that empty string "" (intentional text deletion) still works.
+ *
+ * @param {Object} data - The rule data from storage.
+ * @param {string} match - The matched text.
+ * @returns {string} - The replacement text for this match.
+ */
+function ruleOutput(data, match) {
+  const redacted = redactionOutput(data, match);
+  if (redacted !== null) return redacted;
+
+  const parts = ruleTemplates.get(data);
+  const replacement = parts ? renderTemplate(parts, data, match) : (data.replacement ?? match);
+  return data.preserveCase ? applyMatchCase(match, replacement) : replacement;
+}
 
 /**
  * Callback function used by String.prototype.replace() to determine what
@@ -415,20 +2824,18 @@ const replaceCallback = (match) => {
 
   // Step 1: Try exact match (handles case-sensitive rules).
   // This is the fastest path — direct hash map lookup, O(1).
-  // The ?? (nullish coalescing) operator provides a safety net: if a rule
-  // somehow has replacement === undefined or null (e.g., corrupted storage,
-  // manual edits, old data format), we fall back to the original matched text
-  // instead of replacing it with the literal string "undefined". We use ??
-  // instead of || so that empty string "" (intentional text deletion) still works.
-  if (match in wordMapCache) return wordMapCache[match].replacement ?? match;
+  // ruleOutput() handles missing replacements and case preservation.
+  // Disguised text is looked up by its plain form (see DISGUISED TEXT).
+  const text = literalFold ? literalFold(match) : match;
+  if (text in wordMapCache) return ruleOutput(wordMapCache[text], match);
 
   // Step 2: Try case-insensitive match using our pre-built lowercase map.
-  // This is also O(1) — we lowercase the match and look it up directly.
+  // This is also O(1) — we fold the match (see foldCase) and look it up directly.
   // OLD APPROACH: Looped through ALL keys comparing case-insensitively — O(n)!
   // NEW APPROACH: Direct hash lookup — O(1), instant regardless of rule count.
-  const lowerMatch = match.toLowerCase();
+  const lowerMatch = foldCase(text);
   if (lowerMatch in wordMapCacheLower) {
-    return wordMapCacheLower[lowerMatch].replacement ?? match;
+    return ruleOutput(wordMapCacheLower[lowerMatch], match);
   }
 
   // Step 3: Fallback — return the original match unchanged.
@@ -437,17 +2844,228 @@ const replaceCallback = (match) => {
   return match;
 };
 
+/**
+ * Finds the literal rule that produced a match of the combined matchers,
+ * using the same lookups as replaceCallback.
+ *
+ * @param {string} match - The matched text.
+ * @returns {{key: string, data: Object}|null} - The rule, or null if none.
+ */
+function findLiteralRule(match) {
+  const text = literalFold ? literalFold(match) : match;
+  const data = text in wordMapCache ? wordMapCache[text] : wordMapCacheLower[foldCase(text)];
+  return data ? { key: ruleKeys.get(data), data } : null;
+}
+
+/**
+ * Works out what the page originally showed for a range of text that has
+ * already been through earlier passes: untouched characters are copied, and
+ * each earlier replacement in the range stands for its own original text.
+ *
+ * @param {string} text - The current text.
+ * @param {number[]} marks - Highlight record index per character (-1 = untouched).
+ * @param {Object[]} records - Highlight records ({ original, rule }).
+ * @param {number} start - First character of the range.
+ * @param {number} end - One past the last character of the range.
+ * @returns {string} - The page's original text for the range.
+ */
+function originalOfRange(text, marks, records, start, end) {
+  let original = '';
+  for (let i = start; i < end; i++) {
+    if (marks[i] === -1) {
+      original += text[i];
+    } else if (i === start || marks[i] !== marks[i - 1]) {
+      original += records[marks[i]].original;
+    }
+  }
+  return original;
+}
+
+/**
+ * Creates the tracking object applyRules() keeps up to date when it has to
+ * know more than the resulting text (see replacePass).
+ *
+ * @param {string[]} texts - The text of each node, in order.
+ * @param {boolean} highlighting - Whether to track replaced ranges too.
+ * @returns {{owners: number[], marks: number[]|null, records: Object[]}}
+ */
+function createTracking(texts, highlighting) {
+  const owners = [];
+  texts.forEach((text, index) => {
+    for (let i = 0; i < text.length; i++) owners.push(index);
+  });
+  return {
+    owners,
+    marks: highlighting ? new Array(owners.length).fill(-1) : null,
+    records: []
+  };
+}
+
+/**
+ * Runs one replacement pass — text.replace(regex, callback) — and, when a
+ * tracking object is given, keeps it up to date:
+ *
+ * - owners[i] says which text node character i of the text came from (see
+ *   processTextRun). Unmatched characters keep their owner; a replacement
+ *   belongs entirely to the node where its match started, so the nodes the
+ *   match reached into lose the matched characters.
+ * - marks[i] (highlight mode only) says which replacement character i was
+ *   written by: an index into records, each { original, rule }, or -1 for
+ *   the page's own text (see HIGHLIGHT MODE).
+ *
+ * @param {string} text - The text to run the pass on.
+ * @param {RegExp|LiteralMatcher} regex - A global regex, or a combined
+ *   pass's matcher (see LITERAL MATCHER).
+ * @param {Function} callback - The replace() callback for this regex.
+ * @param {Object|null} tracking - From createTracking(), or null.
+ * @param {{key: string, data: Object, fold: ?Function}|null} [rule] - The
+ *   rule behind this regex, or null for the combined literal matchers
+ *   (looked up per match).
+ * @returns {string} - The text after this pass.
+ */
+function replacePass(text, regex, callback, tracking, rule = null) {
+  regex.lastIndex = 0;
+  // Rules that ignore accents, and literal rules catching disguised text,
+  // match the folded text (see IGNORING ACCENTS and DISGUISED TEXT).
+  const fold = rule ? rule.fold : literalFold;
+  const replace = fold
+    ? replacer => replaceFolded(text, regex, replacer, fold)
+    : replacer => text.replace(regex, replacer);
+  if (!tracking) return replace(callback);
+
+  const { owners, marks, records } = tracking;
+  const matches = [];
+  const result = replace((...args) => {
+    const output = callback(...args);
+    // replace() passes (match, ...groups, offset, string), plus a named
+    // groups object at the end when the regex has named groups.
+    const offsetIndex = typeof args[args.length - 1] === 'string' ? args.length - 2 : args.length - 3;
+    matches.push({ offset: args[offsetIndex], match: args[0], output });
+    return output;
+  });
+
+  const newOwners = [];
+  const newMarks = marks ? [] : null;
+  let position = 0;
+  for (const { offset, match, output } of matches) {
+    for (; position < offset; position++) {
+      newOwners.push(owners[position]);
+      if (marks) newMarks.push(marks[position]);
+    }
+    // An empty match at the very end has no character of its own; it
+    // belongs to the node before it.
+    const owner = owners[offset] ?? owners[offset - 1] ?? 0;
+    let mark = -1;
+    if (marks) {
+      // Blur and bar rules leave the text as it is, but still need a mark
+      // so their element gets drawn.
+      const matchRule = rule ?? findLiteralRule(match);
+      if (output !== match || needsElement(matchRule?.data)) {
+        mark = records.length;
+        records.push({
+          original: originalOfRange(text, marks, records, offset, offset + match.length),
+          rule: matchRule
+        });
+      }
+    }
+    for (let i = 0; i < output.length; i++) {
+      newOwners.push(owner);
+      if (marks) newMarks.push(mark);
+    }
+    position = offset + match.length;
+  }
+  for (; position < owners.length; position++) {
+    newOwners.push(owners[position]);
+    if (marks) newMarks.push(marks[position]);
+  }
+  tracking.owners = newOwners;
+  tracking.marks = newMarks;
+
+  return result;
+}
+
+/**
+ * Applies every active rule to a piece of text and returns the result.
+ * Shared by text nodes (processNode), runs of text nodes (processTextRun)
+ * and attributes (processAttributes).
+ *
+ * The caller must start the timeout timer (nodeProcessingStartTime and
+ * matchCounter) and catch RegexTimeoutError.
+ *
+ * @param {string} text - The page's original text.
+ * @param {Object|null} [tracking] - From createTracking(): which node and
+ *   which replacement each character came from (see replacePass). Only
+ *   needed for cross-node matching and highlight mode.
+ * @returns {string} - The text with all replacements applied.
+ * @throws {RegexTimeoutError} - If processing exceeds REGEX_TIMEOUT_MS.
+ */
+function applyRules(text, tracking = null) {
+  // TWO-PASS REPLACEMENT (cascade design)
+  // ─────────────────────────────────────────────────────────────────────
+  // JavaScript's RegExp does not support per-pattern flags — a single
+  // regex is either case-sensitive or case-insensitive, not both. So we
+  // must use two separate passes: one for case-sensitive rules and one
+  // for case-insensitive rules. The literal rules' matchers (see LITERAL
+  // MATCHER) keep the same two passes, so the cascade below still holds.
+  //
+  // IMPORTANT: This is a CASCADE — the output of pass 1 feeds into
+  // pass 2. This means if a case-sensitive rule produces text that
+  // matches a case-insensitive rule, the second rule WILL fire. This
+  // behavior is consistent and predictable, analogous to running
+  // sequential find-and-replace operations in a text editor.
+  //
+  // If this is unwanted, the user should avoid creating rules whose
+  // outputs match other rules' inputs. A true "independent merge"
+  // solution (applying all rules to the original text simultaneously)
+  // would be significantly more complex, with its own edge cases around
+  // overlapping matches, and would provide marginal benefit for the
+  // vast majority of use cases.
+  // ─────────────────────────────────────────────────────────────────────
+
+  // Pass 1: Apply case-sensitive replacements first.
+  // Order matters: if a word appears in both sensitive and insensitive rules,
+  // the sensitive rule takes priority.
+  // replacePass() resets each regex's lastIndex first, for safety. While
+  // .replace() resets it per spec, an errant .test() or .exec() call
+  // elsewhere could leave it dirty.
+  if (sensitiveMatcher) {
+    text = replacePass(text, sensitiveMatcher, replaceCallback, tracking);
+  }
+
+  // Pass 2: Apply case-insensitive replacements to the (possibly modified) text.
+  if (insensitiveMatcher) {
+    text = replacePass(text, insensitiveMatcher, replaceCallback, tracking);
+  }
+
+  // Pass 3: Apply regex rules, one at a time and in the user's order, to
+  // the (possibly modified) text. This continues the cascade described
+  // above. Literal rules that need a pass of their own run here too: those
+  // that ignore accents (see IGNORING ACCENTS) or spacing (see FLEXIBLE
+  // SPACING), and in pipeline mode every rule, which makes this the only
+  // pass (the combined matchers are null — see RULE ORDER).
+  // Each rule checks the shared time budget before it starts, because a
+  // rule with few matches would otherwise never reach the every-50th-match
+  // check.
+  for (const rule of regexRules) {
+    if (performance.now() - nodeProcessingStartTime > REGEX_TIMEOUT_MS) {
+      throw new RegexTimeoutError();
+    }
+    text = replacePass(text, rule.regex, rule.callback, tracking, rule);
+  }
+
+  return text;
+}
+
 /**
  * The core function that replaces text in a single DOM text node.
- * It applies both case-sensitive and case-insensitive regex patterns,
- * and only updates the DOM if the text actually changed.
+ * It applies both case-sensitive and case-insensitive regex patterns, then
+ * any user-written regex rules, and only updates the DOM if the text
+ * actually changed.
  *
  * SAFETY FEATURES:
  * - Checks the master switch (extensionEnabled) before processing.
  * - Skips nodes inside ignored tags (SCRIPT, STYLE, etc.) and editable areas.
- * - Includes a timeout mechanism: if regex processing takes longer than
- *   REGEX_TIMEOUT_MS (100ms), the node is silently skipped. This prevents
- *   the browser from hanging on complex patterns applied to large text.
+ * - Includes a timeout mechanism (see replaceNodeValue).
  * - Only updates the DOM if text actually changed, avoiding unnecessary reflows.
  *
  * @param {Text} node - A DOM Text node to process.
@@ -463,88 +3081,66 @@ function processNode(node) {
   // new code path that doesn't use a TreeWalker.
   if (!shouldProcessNode(node)) return;
 
-  let text = node.nodeValue;
+  // Text no changed rule touches keeps its hide state too: a change to a
+  // hide rule always re-applies every rule (see INCREMENTAL RULE CHANGES).
+  const original = getOriginalText(node);
+  if (isUnaffected([node], original)) return;
+  hideMatchingElement(node, original);
+  replaceNodeValue(node);
+}
 
-  if (text.length > MAX_TEXT_NODE_LENGTH) {
-    Logger.debug('Skipping oversized text node:', text.length, 'chars');
+/**
+ * Applies the rules to a node's nodeValue — a Text node's text, or an Attr
+ * node's attribute value — and writes the result back if it changed.
+ *
+ * TIMEOUT: if regex processing takes longer than REGEX_TIMEOUT_MS (100ms),
+ * the node is silently skipped. This prevents the browser from hanging on
+ * complex patterns applied to large text.
+ *
+ * @param {Text|Attr} node - The node whose value should be processed.
+ */
+function replaceNodeValue(node) {
+  // Always start from the page's own text, never from our earlier output.
+  // Otherwise re-processing a node (after a rule edit, or when a framework
+  // moves it) would apply the rules twice — "cat" → "cats" → "catss".
+  const original = getOriginalText(node);
+  if (isUnaffected([node], original)) return;
+
+  if (original.length > MAX_TEXT_NODE_LENGTH) {
+    Logger.debug('Skipping oversized text node:', original.length, 'chars');
     return;
   }
 
-  let changed = false;
-
   // Start the timeout timer for this node. The REGEX_TIMEOUT_MS budget is
-  // shared across BOTH regex passes (case-sensitive first, then case-insensitive).
-  // If pass 1 is slow, pass 2 gets less time. This is intentional: the goal is
-  // to protect the browser from spending too long on any single text node,
-  // regardless of how many passes are needed.
+  // shared across ALL passes in applyRules() (case-sensitive, then
+  // case-insensitive, then regex rules). If pass 1 is slow, later passes
+  // get less time. This is intentional: the goal is to protect the browser
+  // from spending too long on any single text node, regardless of how many
+  // passes are needed.
   nodeProcessingStartTime = performance.now();
   matchCounter = 0;
-  // Note: matchCounter is NOT reset between the case-sensitive and case-insensitive
-  // passes. This is intentional — the timeout budget is shared across both passes,
-  // so the counter reflects total work done on this node, not per-pass work.
+  // Note: matchCounter is NOT reset between passes either, so the counter
+  // reflects total work done on this node, not per-pass work.
+  startCounting(node, original);
+
+  // Highlights, click-to-reveal and redactions need to know which ranges
+  // were replaced, not just the resulting text.
+  redactionDrawable = canHighlight(node);
+  const highlighting = (highlightEnabled || elementRulesActive) && redactionDrawable;
+  const tracking = highlighting ? createTracking([original], true) : null;
 
   try {
-    // TWO-PASS REPLACEMENT (cascade design)
-    // ─────────────────────────────────────────────────────────────────────
-    // JavaScript's RegExp does not support per-pattern flags — a single
-    // regex is either case-sensitive or case-insensitive, not both. So we
-    // must use two separate passes: one for case-sensitive rules and one
-    // for case-insensitive rules.
-    //
-    // IMPORTANT: This is a CASCADE — the output of pass 1 feeds into
-    // pass 2. This means if a case-sensitive rule produces text that
-    // matches a case-insensitive rule, the second rule WILL fire. This
-    // behavior is consistent and predictable, analogous to running
-    // sequential find-and-replace operations in a text editor.
-    //
-    // If this is unwanted, the user should avoid creating rules whose
-    // outputs match other rules' inputs. A true "independent merge"
-    // solution (applying all rules to the original text simultaneously)
-    // would be significantly more complex, with its own edge cases around
-    // overlapping matches, and would provide marginal benefit for the
-    // vast majority of use cases.
-    // ─────────────────────────────────────────────────────────────────────
-
-    // Pass 1: Apply case-sensitive replacements first.
-    // Order matters: if a word appears in both sensitive and insensitive rules,
-    // the sensitive rule takes priority.
-    if (sensitiveRegex) {
-      // Reset lastIndex for safety. While .replace() resets it per spec,
-      // an errant .test() or .exec() call elsewhere could leave it dirty.
-      sensitiveRegex.lastIndex = 0;
-      const newText = text.replace(sensitiveRegex, replaceCallback);
-      if (newText !== text) {
-        text = newText;
-        changed = true;
-      }
-    }
-
-    // Pass 2: Apply case-insensitive replacements to the (possibly modified) text.
-    if (insensitiveRegex) {
-      // Reset lastIndex for safety. While .replace() resets it per spec,
-      // an errant .test() or .exec() call elsewhere could leave it dirty.
-      insensitiveRegex.lastIndex = 0;
-      const newText = text.replace(insensitiveRegex, replaceCallback);
-      if (newText !== text) {
-        text = newText;
-        changed = true;
-      }
-    }
-
-    // Only touch the DOM if we actually changed something.
-    // Writing to node.nodeValue triggers a browser reflow, so we avoid it
-    // when unnecessary to keep the page responsive.
-    if (changed) {
-      // Guard against replacements that inflate the text to an extreme size.
-      // For example, replacing a single character with a 255-character string
-      // could multiply the node's length far beyond what's reasonable.
-      if (text.length > MAX_TEXT_NODE_LENGTH * 2) {
-        Logger.warn('Replacement inflated text node to', text.length, 'chars (limit:', MAX_TEXT_NODE_LENGTH * 2, ') — skipping write-back to protect performance.');
-        return;
-      }
+    const text = applyRules(original, tracking);
 
-      node.nodeValue = text;
+    // Guard against replacements that inflate the text to an extreme size.
+    // For example, replacing a single character with a 255-character string
+    // could multiply the node's length far beyond what's reasonable.
+    if (text.length > MAX_TEXT_NODE_LENGTH * 2) {
+      Logger.warn('Replacement inflated text node to', text.length, 'chars (limit:', MAX_TEXT_NODE_LENGTH * 2, ') — skipping write-back to protect performance.');
+      return;
     }
+
+    writeNodeValue(node, original, text, tracking);
   } catch (error) {
     if (error instanceof RegexTimeoutError) {
       Logger.warn('Regex timeout on node (skipping)');
@@ -558,6 +3154,124 @@ function processNode(node) {
   }
 }
 
+/**
+ * Writes a node's new value and records the page's original, or puts the
+ * original back when no rule applies any more.
+ *
+ * Only touches the DOM if something actually changed. Writing to
+ * node.nodeValue triggers a browser reflow, so we avoid it when unnecessary
+ * to keep the page responsive.
+ *
+ * @param {Text|Attr} node - The node to update.
+ * @param {string} original - The page's own text for this node.
+ * @param {string} text - The text the rules produced.
+ * @param {{marks: number[]|null, records: Object[]}|null} [highlight] - Which
+ *   characters of text were replaced, when replacements may need elements of
+ *   their own (see HIGHLIGHT MODE and CLICK TO REVEAL).
+ */
+function writeNodeValue(node, original, text, highlight = null) {
+  // Highlights from an earlier run are rebuilt from scratch.
+  removeHighlights(originalTextMap.get(node));
+
+  const showsMarks = highlight && highlight.marks &&
+    highlight.marks.some(mark => mark !== -1 && isShownRecord(highlight.records[mark]));
+
+  // (Blur and bar rules draw elements even though the text is unchanged.)
+  if (showsMarks) {
+    renderHighlights(node, original, text, highlight.marks, highlight.records);
+  } else if (text !== original) {
+    // Skip the write if the node already shows this exact result (e.g.,
+    // re-processing a node whose rules didn't change).
+    if (node.nodeValue !== text) {
+      node.nodeValue = text;
+    }
+    rememberOriginalText(node, original, text);
+  } else if (node.nodeValue !== original) {
+    // No rule matches any more, but the node still shows an older
+    // replacement of ours — put the page's text back.
+    node.nodeValue = original;
+    originalTextMap.delete(node);
+  }
+}
+
+/**
+ * Applies the rules to a run of neighbouring text nodes as if they were one
+ * piece of text, so a phrase split by formatting ("Acme <b>Corp</b>") still
+ * matches. Used in cross-node matching mode (see CROSS-NODE MATCHING).
+ *
+ * The nodes' original texts are joined, the rules run once over the result,
+ * and every character of the output is handed back to the node it came
+ * from. A replacement goes into the node where its match started; the rest
+ * of the match is removed from the nodes after it. The elements around the
+ * nodes (<b>, <a>, ...) are never touched.
+ *
+ * @param {Text[]} nodes - Text nodes in document order, read as one string.
+ */
+function processTextRun(nodes) {
+  const originals = nodes.map(getOriginalText);
+  const combined = originals.join('');
+  if (isUnaffected(nodes, combined)) return;
+  hideMatchingElement(nodes[0], combined);
+
+  if (nodes.length === 1) {
+    replaceNodeValue(nodes[0]);
+    return;
+  }
+
+  // Too long to process as one string: fall back to node-by-node, where
+  // the usual per-node size limit applies.
+  if (combined.length > MAX_TEXT_NODE_LENGTH) {
+    Logger.debug('Text run too long for cross-node matching:', combined.length, 'chars');
+    nodes.forEach(replaceNodeValue);
+    return;
+  }
+
+  // tracking.owners[i] = index (in nodes) of the node character i came from.
+  const tracking = createTracking(originals, highlightEnabled || elementRulesActive);
+
+  // One timeout budget for the whole run, as for a single node.
+  nodeProcessingStartTime = performance.now();
+  matchCounter = 0;
+  startCounting(nodes[0], combined);
+  redactionDrawable = nodes.every(canHighlight);
+
+  try {
+    const text = applyRules(combined, tracking);
+
+    if (text.length > MAX_TEXT_NODE_LENGTH * 2) {
+      Logger.warn('Replacement inflated text run to', text.length, 'chars (limit:', MAX_TEXT_NODE_LENGTH * 2, ') — skipping write-back to protect performance.');
+      return;
+    }
+
+    // Cut the output into each node's share. Owners never decrease along
+    // the text, so every node's share is one contiguous slice.
+    const { owners, marks, records } = tracking;
+    const pieces = nodes.map(() => '');
+    const pieceMarks = nodes.map(() => []);
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+      if (i === text.length || owners[i] !== owners[start]) {
+        pieces[owners[start]] += text.slice(start, i);
+        if (marks) {
+          for (let j = start; j < i; j++) pieceMarks[owners[start]].push(marks[j]);
+        }
+        start = i;
+      }
+    }
+
+    nodes.forEach((node, index) => {
+      const highlight = marks && canHighlight(node) ? { marks: pieceMarks[index], records } : null;
+      writeNodeValue(node, originals[index], pieces[index], highlight);
+    });
+  } catch (error) {
+    if (error instanceof RegexTimeoutError) {
+      Logger.warn('Regex timeout on text run (skipping)');
+      return;
+    }
+    Logger.error('Unexpected error processing text run (skipping):', error);
+  }
+}
+
 /**
  * Scans the ENTIRE document for text to replace.
  * Uses a TreeWalker, which is the most efficient way to traverse the DOM
@@ -573,29 +3287,11 @@ function processNode(node) {
  */
 function processDocument() {
   if (!extensionEnabled) return;
-  if (!sensitiveRegex && !insensitiveRegex) return;
+  if (!hasActiveRules()) return;
+  processTitle();
   if (!document.body) return; // Safety check: page might not be fully loaded yet
 
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: (node) => {
-        // Use the shared safety filter (checks for detached nodes, ignored tags,
-        // and editable areas). For text nodes (SHOW_TEXT filter), FILTER_REJECT
-        // and FILTER_SKIP are equivalent because text nodes have no children
-        // to skip over. We use FILTER_REJECT by convention.
-        if (!shouldProcessNode(node)) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        return NodeFilter.FILTER_ACCEPT;
-      }
-    }
-  );
-
-  while (walker.nextNode()) {
-    processNode(walker.currentNode);
-  }
+  processTree(document.body);
 }
 
 /**
@@ -611,12 +3307,18 @@ function processDocument() {
 function processElement(element) {
   if (!element || !element.nodeType) return;
   if (!extensionEnabled) return;
-  if (!sensitiveRegex && !insensitiveRegex) return;
+  if (!hasActiveRules()) return;
+  // Highlights we just inserted show up as added nodes; they are ours.
+  if (highlightNodes.has(element)) return;
 
   // Skip entire element subtrees for tags we never modify (SCRIPT, STYLE, etc.).
   // This avoids creating a TreeWalker and iterating all children only to reject
   // every text node inside — a common scenario when SPAs inject code blocks.
+  // (Their attributes may still be user-visible labels — see ATTRIBUTE_ONLY_TAGS.)
   if (element.nodeType === Node.ELEMENT_NODE && IGNORED_TAGS.has(element.tagName)) {
+    if (replacedAttributes.length > 0) {
+      processAttributes(element);
+    }
     return;
   }
 
@@ -627,35 +3329,125 @@ function processElement(element) {
     if (!shouldProcessNode(element)) {
       return;
     }
-    processNode(element);
+    if (crossNodeEnabled) {
+      // The text around it may now complete (or no longer complete) a phrase.
+      processBlock(getBlockContainer(element));
+    } else {
+      processNode(element);
+    }
     return;
   }
 
-  // If it's an element node, use a TreeWalker to efficiently find all
-  // descendant text nodes while respecting our safety filters.
   if (element.nodeType === Node.ELEMENT_NODE) {
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Use the shared safety filter (see shouldProcessNode for details).
-          // FILTER_REJECT and FILTER_SKIP are equivalent for text nodes
-          // (no children to skip). See processDocument() for full explanation.
-          if (!shouldProcessNode(node)) {
-            return NodeFilter.FILTER_REJECT;
+    processTree(element);
+  }
+}
+
+/**
+ * Walks a subtree and processes every eligible text node in it, including
+ * text inside open shadow roots (web components), plus element attributes
+ * when the attribute pass is on.
+ *
+ * The TreeWalker visits elements as well as text nodes so it can spot
+ * shadow hosts — elements with an open shadowRoot. A TreeWalker never
+ * enters shadow DOM by itself, so each shadow root found is observed (see
+ * observeShadowRoot) and walked with a TreeWalker of its own. Closed shadow
+ * roots return null from element.shadowRoot and cannot be reached. Custom
+ * elements that aren't defined yet may get a shadow root later; they are
+ * watched until then (see LATE SHADOW ROOTS).
+ *
+ * FILTERS:
+ * - Elements in IGNORED_TAGS are rejected with FILTER_REJECT, which skips
+ *   their whole subtree (nothing inside a SCRIPT or SVG is ever visited).
+ *   INPUT and TEXTAREA are accepted instead while the attribute pass is on,
+ *   for their placeholder/title/value (their text children are still
+ *   rejected by shouldProcessNode).
+ * - Other elements get FILTER_SKIP: they are not returned themselves, but
+ *   their children are still visited. Shadow hosts are the exception — they
+ *   are accepted so the loop below can process their shadow root — and so is
+ *   every element while the attribute pass is on.
+ * - Text nodes use the shared safety filter (checks for detached nodes,
+ *   ignored tags, and editable areas).
+ *
+ * @param {Element|ShadowRoot} root - Where to start walking.
+ */
+function processTree(root) {
+  const processingAttributes = replacedAttributes.length > 0;
+  const processedBlocks = new Set(); // Blocks already handled (cross-node mode)
+
+  // The walker never returns its own root, so a root element's attributes
+  // and a root that is itself a shadow host (e.g., a newly-added web
+  // component) are handled here.
+  if (processingAttributes && root.nodeType === Node.ELEMENT_NODE) {
+    processAttributes(root);
+  }
+  if (root.shadowRoot) {
+    processShadowRoot(root.shadowRoot);
+  } else if (root.nodeType === Node.ELEMENT_NODE) {
+    watchForShadowRoot(root);
+  }
+
+  const walker = document.createTreeWalker(
+    root,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: (node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (highlightNodes.has(node)) return NodeFilter.FILTER_REJECT;
+          if (IGNORED_TAGS.has(node.tagName)) {
+            return processingAttributes && ATTRIBUTE_ONLY_TAGS.has(node.tagName)
+              ? NodeFilter.FILTER_ACCEPT
+              : NodeFilter.FILTER_REJECT;
           }
-          return NodeFilter.FILTER_ACCEPT;
+          if (!node.shadowRoot) watchForShadowRoot(node);
+          return processingAttributes || node.shadowRoot ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }
+        if (!shouldProcessNode(node)) {
+          return NodeFilter.FILTER_REJECT;
         }
+        return NodeFilter.FILTER_ACCEPT;
       }
-    );
+    }
+  );
 
-    while (walker.nextNode()) {
-      processNode(walker.currentNode);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (!crossNodeEnabled) {
+        processNode(node);
+        continue;
+      }
+      // In cross-node mode the whole block is processed at its first text
+      // node. (The block may extend beyond root: new inline content can
+      // complete a phrase with the text around it.)
+      const block = getBlockContainer(node);
+      if (!processedBlocks.has(block)) {
+        processedBlocks.add(block);
+        processBlock(block);
+      }
+      continue;
+    }
+    if (processingAttributes) {
+      processAttributes(node);
+    }
+    if (node.shadowRoot) {
+      // A shadow host: its light-DOM children are still walked by this
+      // walker; the shadow tree needs its own walk and its own observation.
+      processShadowRoot(node.shadowRoot);
     }
   }
 }
 
+/**
+ * Starts observing an open shadow root and processes the text inside it.
+ *
+ * @param {ShadowRoot} shadowRoot - The open shadow root of a shadow host.
+ */
+function processShadowRoot(shadowRoot) {
+  observeShadowRoot(shadowRoot);
+  processTree(shadowRoot);
+}
+
 // -----------------------------------------------------------------------------
 // DYNAMIC CONTENT OBSERVER (MutationObserver)
 //
@@ -667,52 +3459,113 @@ function processElement(element) {
 // When Twitter adds 10 new tweets, we process only those 10 elements,
 // not the entire page with thousands of existing tweets.
 //
-// RACE CONDITION FIX:
-// We start the observer IMMEDIATELY (before loading rules from storage).
-// This ensures we don't miss any dynamic content that loads while we're
-// fetching settings from the browser's storage API (which is asynchronous).
-//
-// The observer is safe to run early because processElement() has built-in
-// guards that skip processing when regexes aren't ready yet (they're null).
+// STARTUP ORDER:
+// The observer starts once settings have loaded from storage, and only if
+// the global site list allows this page — on excluded sites we never watch
+// the page at all. It starts BEFORE the first full scan (processDocument),
+// so content added while the scan runs is still caught, and anything added
+// before it started is covered by the scan itself.
 // -----------------------------------------------------------------------------
 
 const observer = new MutationObserver((mutations) => {
   if (!extensionEnabled) return;
+  // Upgraded web components often change their own children or attributes
+  // as they attach their shadow root (see LATE SHADOW ROOTS).
+  let pendingHostChanged = false;
+
+  // Text nodes whose content changed in place. A live counter or streaming
+  // chat message can change the same node many times in one batch, so we
+  // collect them in a Set and process each node once, after the loop.
+  const changedTextNodes = new Set();
 
   for (const mutation of mutations) {
-    // Only care about added nodes (ignore attribute or text changes to
-    // existing nodes — those are typically caused by other scripts or
-    // by our own replacements, and re-processing them would be wasteful).
+    if (pendingShadowHosts.has(mutation.target)) pendingHostChanged = true;
+
+    // New elements or text nodes (infinite scroll, AJAX, re-rendered lists).
     if (mutation.addedNodes.length > 0) {
       for (const node of mutation.addedNodes) {
         processElement(node);
       }
     }
+
+    // Existing text nodes whose content was rewritten (React/Vue re-renders,
+    // counters, streaming output).
+    if (mutation.type === 'characterData') {
+      changedTextNodes.add(mutation.target);
+    }
+
+    // A watched attribute changed (only reported while the attribute pass
+    // is on — see getObserverOptions). Our own writes are skipped, as below.
+    if (mutation.type === 'attributes') {
+      const attr = mutation.target.getAttributeNode(mutation.attributeName);
+      if (attr && !isOwnWrite(attr)) {
+        processAttributes(mutation.target, [mutation.attributeName]);
+      }
+    }
+  }
+
+  for (const node of changedTextNodes) {
+    // GUARD: our own nodeValue writes also produce characterData mutations.
+    // If the node still shows exactly what we wrote, nothing new happened.
+    // (processNode() always starts from the page's original text, so even
+    // without this guard "cat" → "cats" could not grow into "catss" — but
+    // skipping here avoids re-running every rule on our own output.)
+    if (!isOwnWrite(node)) {
+      processElement(node);
+    }
   }
+
+  if (pendingHostChanged) checkPendingShadowHosts();
 });
 
-// Start watching immediately — even before rules load from storage.
-// childList: watch for nodes being added/removed
-// subtree: watch the entire DOM tree, not just direct children of <body>
-// NOTE: characterData is intentionally NOT observed. If we watched text
-// content changes, our own replacement (writing to node.nodeValue) would
-// trigger another mutation, creating an infinite loop. Frameworks that
-// update text bindings (React, Vue, etc.) typically replace the entire
-// text node (a childList change), not just its content, so this is not
-// a significant limitation in practice.
-if (document.body) {
-  try {
-    observer.observe(document.body, { childList: true, subtree: true });
-  } catch (e) {
-    Logger.error('Failed to start MutationObserver:', e);
+// A second, much smaller observer for the tab title. <head> also receives
+// scripts, styles and meta tags, which the main observer has no business
+// processing, so this one only reacts to changes that touch the <title>.
+// Our own title writes also show up here; processTitle() re-derives the
+// same text from the remembered original, so they cause no further writes.
+const titleObserver = new MutationObserver((mutations) => {
+  if (mutations.some(isTitleMutation)) {
+    processTitle();
+  }
+});
+
+/**
+ * Returns what the observer watches, on <body> and on every open shadow root:
+ * childList: watch for nodes being added/removed
+ * characterData: watch for text changing inside existing text nodes
+ * subtree: watch the entire DOM tree, not just direct children of the target
+ * attributes + attributeFilter: while the attribute pass is on, watch the
+ *   chosen attributes (and only those) for changes
+ * Our own replacements also cause characterData/attribute mutations; the
+ * observer callback filters those out with isOwnWrite().
+ *
+ * @returns {MutationObserverInit} - Options for observer.observe().
+ */
+function getObserverOptions() {
+  const options = { childList: true, characterData: true, subtree: true };
+  if (replacedAttributes.length > 0) {
+    options.attributes = true;
+    options.attributeFilter = replacedAttributes;
   }
-} else {
-  // document.body is not yet available. This can happen on about:blank frames
-  // or if the content script loads before the parser creates <body>.
-  const startObserver = () => {
+  return options;
+}
+
+/**
+ * Starts watching the page for new content. Safe to call more than once.
+ */
+function startObserver() {
+  if (observerRunning) return;
+
+  const observeBody = () => {
+    // The site list may have changed while we were waiting for <body>.
+    if (observerRunning || !siteAllowed) return;
     if (document.body) {
       try {
-        observer.observe(document.body, { childList: true, subtree: true });
+        observer.observe(document.body, getObserverOptions());
+        if (IS_TOP_FRAME && titleEnabled && document.head) {
+          titleObserver.observe(document.head, { childList: true, characterData: true, subtree: true });
+        }
+        observerRunning = true;
       } catch (e) {
         Logger.error('Failed to start MutationObserver:', e);
       }
@@ -720,35 +3573,150 @@ if (document.body) {
       Logger.warn('document.body still not available — observer not started.');
     }
   };
-  // If the document is still loading, wait for DOMContentLoaded.
-  // If it has already finished loading (e.g., bfcache restoration),
-  // start the observer immediately since DOMContentLoaded won't fire again.
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', startObserver);
+
+  // document.body may not be available yet. This can happen on about:blank
+  // frames or if the content script loads before the parser creates <body>.
+  // If the document is still loading, wait for DOMContentLoaded. If it has
+  // already finished loading (e.g., bfcache restoration), start immediately
+  // since DOMContentLoaded won't fire again.
+  if (!document.body && document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', observeBody, { once: true });
   } else {
-    startObserver();
+    observeBody();
+  }
+}
+
+/**
+ * Stops watching the page (used when the global site list excludes it).
+ */
+function stopObserver() {
+  observer.disconnect();
+  titleObserver.disconnect();
+  observerRunning = false;
+  observedShadowRoots = new WeakSet();
+  pendingShadowHosts.clear();
+  clearTimeout(shadowHostCheckTimeout);
+  shadowHostCheckTimeout = null;
+}
+
+/**
+ * Starts watching an open shadow root for new content. A "subtree" observer
+ * on <body> does not see changes inside shadow DOM, so every shadow root
+ * found by processTree() is added as an extra target of the same observer.
+ * Safe to call more than once for the same root.
+ *
+ * @param {ShadowRoot} shadowRoot - The open shadow root to watch.
+ */
+function observeShadowRoot(shadowRoot) {
+  if (!observerRunning || observedShadowRoots.has(shadowRoot)) return;
+  try {
+    observer.observe(shadowRoot, getObserverOptions());
+    observedShadowRoots.add(shadowRoot);
+  } catch (e) {
+    Logger.error('Failed to observe shadow root:', e);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// LATE SHADOW ROOTS
+// Attaching a shadow root causes no mutation, so a web component that is
+// already on the page when its script defines it (the usual case: the page's
+// HTML arrives before its component bundle) would only have its shadow
+// content replaced at the next full scan. Instead, every custom element
+// that processTree() finds still undefined (:not(:defined)) is remembered in
+// pendingShadowHosts and checked again:
+//   - whenever the observer reports a change to it (upgrades usually set
+//     attributes or render children), and
+//   - on a timer, every SHADOW_HOST_CHECK_MS at first and less often
+//     (up to SHADOW_HOST_CHECK_MAX_MS) while nothing changes.
+// Once an element is defined it leaves the set, and its open shadow root
+// (if it has one) is observed and processed like any other.
+// (customElements.whenDefined() can't be used instead: content scripts
+// don't see the page's custom element registry.)
+// -----------------------------------------------------------------------------
+const SHADOW_HOST_CHECK_MS = 250;
+const SHADOW_HOST_CHECK_MAX_MS = 5000;
+
+// Custom elements on the page that aren't defined yet.
+const pendingShadowHosts = new Set();
+let shadowHostCheckTimeout = null;
+let shadowHostCheckDelay = SHADOW_HOST_CHECK_MS;
+
+/**
+ * Remembers a custom element that isn't defined yet, so its shadow root is
+ * processed once it gets one.
+ *
+ * @param {Element} element - An element without a shadow root.
+ */
+function watchForShadowRoot(element) {
+  if (!element.tagName.includes('-') || pendingShadowHosts.has(element)) return;
+  if (!element.matches(':not(:defined)')) return;
+  pendingShadowHosts.add(element);
+  shadowHostCheckDelay = SHADOW_HOST_CHECK_MS;
+  if (shadowHostCheckTimeout === null && observerRunning) {
+    shadowHostCheckTimeout = setTimeout(checkPendingShadowHosts, shadowHostCheckDelay);
+  }
+}
+
+/**
+ * Processes the shadow roots of custom elements that have been defined
+ * since they were found, and schedules the next check for the rest.
+ */
+function checkPendingShadowHosts() {
+  clearTimeout(shadowHostCheckTimeout);
+  shadowHostCheckTimeout = null;
+  if (!observerRunning) return;
+
+  let upgraded = false;
+  for (const host of pendingShadowHosts) {
+    if (!host.isConnected) {
+      pendingShadowHosts.delete(host);
+    } else if (host.shadowRoot || host.matches(':defined')) {
+      pendingShadowHosts.delete(host);
+      upgraded = true;
+      if (host.shadowRoot) {
+        observeShadowRoot(host.shadowRoot);
+        if (extensionEnabled && hasActiveRules()) processTree(host.shadowRoot);
+      }
+    }
+  }
+
+  if (pendingShadowHosts.size > 0) {
+    shadowHostCheckDelay = upgraded
+      ? SHADOW_HOST_CHECK_MS
+      : Math.min(shadowHostCheckDelay * 2, SHADOW_HOST_CHECK_MAX_MS);
+    shadowHostCheckTimeout = setTimeout(checkPendingShadowHosts, shadowHostCheckDelay);
   }
 }
 
 // KNOWN LIMITATIONS:
-// - Shadow DOM: Text inside web components using Shadow DOM (open or closed)
-//   is not processed. The TreeWalker and MutationObserver cannot reach into
-//   shadow roots. Closed shadow roots are inaccessible by design; observing
-//   open shadow roots would require recursive observer setup on every shadow
-//   host, which is complex and has its own edge cases.
-// - Iframes: The content script runs in the top-level frame only (the manifest
-//   does not set "all_frames": true). Same-origin iframes get their own
-//   content script injection by the browser, but cross-origin iframes are
-//   isolated. This is intentional — modifying cross-origin iframe content
-//   would require additional permissions and raises security concerns.
+// - Shadow DOM: Open shadow roots are found while walking the page (see
+//   processTree) and observed from then on, including those attached when a
+//   custom element already on the page is defined (see LATE SHADOW ROOTS).
+//   Closed shadow roots are inaccessible by design. An element that is
+//   already defined and attaches a shadow root later, without changing
+//   anything the observer sees, is picked up at the next full scan.
+// - Iframes: The manifest injects this script into every frame, so each
+//   iframe (same- or cross-origin, plus about:blank frames) is processed by
+//   its own copy with the same rules, master switch and site list as the
+//   top page. The "Run inside frames" setting turns this off. Frames the
+//   browser protects (browser pages, other extensions) are never injected.
+// - Site-scoped rules: includeSites/excludeSites are checked against the URL
+//   when rules are loaded or changed. Single-page apps that change the URL
+//   without loading a new page keep the rules chosen for the first URL.
 
 // -----------------------------------------------------------------------------
 // INITIALIZATION
 // Load replacement rules and process the initial page content.
-// This runs asynchronously, but the MutationObserver above is already watching
-// for dynamic content, so nothing is missed during the loading delay.
+// The global site list (and, in iframes, the frames setting) is checked
+// first: on excluded pages we stop here, before compiling any rules or
+// starting the MutationObserver.
 // -----------------------------------------------------------------------------
-chrome.storage.sync.get(['wordMap', 'extensionEnabled'], (data) => {
+chrome.storage.sync.get([
+  'wordMap', 'extensionEnabled', 'siteListMode', 'siteList', 'processFrames',
+  'replaceAttributes', 'attributeNames', 'replaceTitle', 'crossNodeMatching',
+  'highlightReplacements', 'ruleOrder', 'rulePipeline', 'obfuscationMatching'
+], (data) => {
   // Handle storage API errors gracefully (e.g., storage corruption, quota issues).
   if (chrome.runtime.lastError) {
     Logger.error('Failed to load settings:', chrome.runtime.lastError);
@@ -761,6 +3729,31 @@ chrome.storage.sync.get(['wordMap', 'extensionEnabled'], (data) => {
   Logger.debug('Settings loaded. Extension enabled:', extensionEnabled);
   Logger.debug('Number of rules loaded:', data.wordMap ? Object.keys(data.wordMap).length : 0);
 
+  // Missing keys mean "deny nothing" — the extension runs everywhere.
+  siteListMode = data.siteListMode === 'allow' ? 'allow' : 'deny';
+  siteList = Array.isArray(data.siteList) ? data.siteList : [];
+  framesEnabled = data.processFrames !== false;
+  siteAllowed = isAllowedHere();
+  if (!siteAllowed) {
+    Logger.debug('This page or frame is excluded by the site access settings — not running.');
+    return;
+  }
+
+  // Set up the attribute pass before the observer starts, since the
+  // observer's options depend on it.
+  attributePassEnabled = data.replaceAttributes === true;
+  attributeNames = data.attributeNames;
+  replacedAttributes = getReplacedAttributes(attributePassEnabled, attributeNames);
+  // The title is processed by default, like page text.
+  titleEnabled = data.replaceTitle !== false;
+  crossNodeEnabled = data.crossNodeMatching === true;
+  highlightEnabled = data.highlightReplacements === true;
+  ruleOrder = Array.isArray(data.ruleOrder) ? data.ruleOrder : [];
+  pipelineEnabled = data.rulePipeline === true;
+  obfuscationEnabled = data.obfuscationMatching === true;
+
+  startObserver();
+
   // Build the regex patterns and process the initial page content.
   if (data.wordMap && extensionEnabled) {
     updateRegexes(data.wordMap);
@@ -775,6 +3768,38 @@ chrome.storage.sync.get(['wordMap', 'extensionEnabled'], (data) => {
 // management page. No need to reload the webpage — changes take effect
 // immediately on all open tabs.
 // -----------------------------------------------------------------------------
+
+/**
+ * Re-checks the site access settings (site list, frames setting) after they
+ * change, and starts or stops the extension in this document to match.
+ * Leaving a page puts all of its original text back; joining one loads the
+ * rules and scans the page.
+ */
+function refreshSiteAccess() {
+  const wasAllowed = siteAllowed;
+  siteAllowed = isAllowedHere();
+
+  if (wasAllowed && !siteAllowed) {
+    stopObserver();
+    clearTimeout(reprocessTimeout);
+    reprocessTimeout = null;
+    restoreOriginalText();
+    updateRegexes({});
+  } else if (!wasAllowed && siteAllowed) {
+    startObserver();
+    chrome.storage.sync.get('wordMap', (reloadData) => {
+      if (chrome.runtime.lastError) {
+        Logger.error('Failed to load rules after site list change:', chrome.runtime.lastError);
+        return;
+      }
+      updateRegexes(reloadData.wordMap ?? {});
+      if (extensionEnabled) {
+        processDocument();
+      }
+    });
+  }
+}
+
 chrome.storage.onChanged.addListener((changes, area) => {
   // Guard against the extension context being invalidated (e.g., after an
   // extension update or uninstall while the page is still open). Accessing
@@ -789,6 +3814,90 @@ chrome.storage.onChanged.addListener((changes, area) => {
     // Track what actually changed so we only do the minimum work needed.
     let needsReprocess = false;
 
+    // Check if the site access settings changed. This runs first because
+    // it decides whether anything below applies to this page at all.
+    if (changes.siteListMode || changes.siteList || changes.processFrames) {
+      if (changes.siteListMode) {
+        siteListMode = changes.siteListMode.newValue === 'allow' ? 'allow' : 'deny';
+      }
+      if (changes.siteList) {
+        siteList = Array.isArray(changes.siteList.newValue) ? changes.siteList.newValue : [];
+      }
+      if (changes.processFrames) {
+        framesEnabled = changes.processFrames.newValue !== false;
+      }
+      refreshSiteAccess();
+    }
+
+    // Check if the attribute pass was switched on/off or its attribute list
+    // changed. The observer has to be restarted, because what it watches
+    // depends on the setting (see getObserverOptions). reapplyRules() then
+    // restores attributes we no longer process and applies rules to the new
+    // ones (and re-attaches the observer to shadow roots).
+    // The same goes for the tab title setting (the title observer only runs
+    // while it is on).
+    if (changes.replaceAttributes || changes.attributeNames || changes.replaceTitle) {
+      if (changes.replaceTitle) {
+        titleEnabled = changes.replaceTitle.newValue !== false;
+      }
+      if (changes.replaceAttributes) {
+        attributePassEnabled = changes.replaceAttributes.newValue === true;
+      }
+      if (changes.attributeNames) {
+        attributeNames = changes.attributeNames.newValue;
+      }
+      replacedAttributes = getReplacedAttributes(attributePassEnabled, attributeNames);
+
+      if (observerRunning) {
+        stopObserver();
+        startObserver();
+      }
+      if (siteAllowed) {
+        needsReprocess = true;
+      }
+    }
+
+    // Check if cross-node matching was switched on/off. Every replacement
+    // has to be recomputed: restoring first (in reapplyRules) undoes the
+    // replacements made under the old mode.
+    if (changes.crossNodeMatching) {
+      crossNodeEnabled = changes.crossNodeMatching.newValue === true;
+      if (siteAllowed) {
+        needsReprocess = true;
+      }
+    }
+
+    // The same goes for highlight mode: restoring removes the old highlights
+    // (or the plain replacements) before the page is processed again.
+    if (changes.highlightReplacements) {
+      highlightEnabled = changes.highlightReplacements.newValue === true;
+      if (siteAllowed) {
+        needsReprocess = true;
+      }
+    }
+
+    // Check if the rule order, the pipeline setting or "Catch disguised
+    // text" changed. All of them change how the rules are compiled; if the
+    // rules changed too, the wordMap check below recompiles them anyway.
+    const shownRuleOrder = ruleOrder;
+    if (changes.ruleOrder || changes.rulePipeline || changes.obfuscationMatching) {
+      if (changes.ruleOrder) {
+        ruleOrder = Array.isArray(changes.ruleOrder.newValue) ? changes.ruleOrder.newValue : [];
+      }
+      if (changes.rulePipeline) {
+        pipelineEnabled = changes.rulePipeline.newValue === true;
+      }
+      if (changes.obfuscationMatching) {
+        obfuscationEnabled = changes.obfuscationMatching.newValue === true;
+      }
+      // A rule order saved with the rules is checked with them below.
+      const orderOnly = !changes.rulePipeline && !changes.obfuscationMatching;
+      if (siteAllowed && !(orderOnly && changes.wordMap)) {
+        if (!changes.wordMap) updateRegexes(currentWordMap);
+        needsReprocess = true;
+      }
+    }
+
     // Check if the master switch was toggled.
     if (changes.extensionEnabled) {
       const wasEnabled = extensionEnabled;
@@ -800,11 +3909,11 @@ chrome.storage.onChanged.addListener((changes, area) => {
 
       // If we just turned ON (was off, now on), we need to process the page
       // to apply rules that were previously inactive.
-      if (!wasEnabled && extensionEnabled) {
+      if (!wasEnabled && extensionEnabled && siteAllowed) {
         // If regexes were never built (e.g., extension was toggled off before
         // the initial storage load completed), reload the wordMap from storage
         // before attempting to reprocess the page.
-        if (!sensitiveRegex && !insensitiveRegex) {
+        if (!hasActiveRules()) {
           chrome.storage.sync.get('wordMap', (reloadData) => {
             if (chrome.runtime.lastError) {
               Logger.error('Failed to reload wordMap on enable:', chrome.runtime.lastError);
@@ -821,21 +3930,32 @@ chrome.storage.onChanged.addListener((changes, area) => {
       }
 
       // If turning OFF, cancel any pending debounced reprocess so it
-      // doesn't fire after disable.
+      // doesn't fire after disable, and put the page's own text back.
       if (wasEnabled && !extensionEnabled) {
         clearTimeout(reprocessTimeout);
         reprocessTimeout = null;
+        restoreOriginalText();
       }
     }
 
-    // Check if the replacement rules themselves changed.
-    if (changes.wordMap) {
+    // Check if the replacement rules themselves changed. Rules are never
+    // compiled on sites the global site list excludes.
+    let previousWordMap = null;
+    if (changes.wordMap && siteAllowed) {
       // Rebuild regex patterns from the new rules.
+      const shownWordMap = currentWordMap;
       updateRegexes(changes.wordMap.newValue ?? {});
 
       // Only re-scan the page if the extension is currently enabled.
-      // Re-scanning when disabled would be wasted work.
+      // Re-scanning when disabled would be wasted work (and the page already
+      // shows its original text — it was restored when we were switched off).
+      // If nothing else above needs a re-scan, and any new rule order keeps
+      // the other rules in place, only the rules that changed are re-applied
+      // (see INCREMENTAL RULE CHANGES).
       if (extensionEnabled) {
+        const orderKept = !changes.ruleOrder ||
+          keepsRuleOrder(shownWordMap, shownRuleOrder, currentWordMap, ruleOrder);
+        if (!needsReprocess && orderKept) previousWordMap = shownWordMap;
         needsReprocess = true;
       }
     }
@@ -848,8 +3968,9 @@ chrome.storage.onChanged.addListener((changes, area) => {
       // rapidly editing rules in the management page. Each keystroke that
       // triggers a storage change would otherwise cause a full DOM re-scan
       // on every open tab. The 200ms delay batches rapid changes together.
-      clearTimeout(reprocessTimeout);
-      reprocessTimeout = setTimeout(processDocument, 200);
+      // Both ways of re-applying undo disabled, edited and removed rules as
+      // well as applying new ones.
+      scheduleReapply(previousWordMap);
     }
   }
 });
@@ -35,17 +35,24 @@ const QUOTA_BYTES_PER_ITEM = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192; /
 // SAFETY LIMITS
 // These limits protect against performance issues and potential ReDoS
 // (Regular Expression Denial of Service) attacks.
-// - MAX_RULES: Prevents creating so many rules that the browser hangs during
-//   regex compilation or page processing.
+// - MAX_RULES: Prevents creating so many rules that the browser hangs while
+//   compiling them or processing pages.
 // - MAX_PATTERN_LENGTH: Prevents extremely long patterns that could cause
 //   the regex engine to backtrack excessively.
 // These are generous limits that 99% of users will never hit.
 // -----------------------------------------------------------------------------
-// Hard ceiling on rule count. In practice, the browser's 8 KB per-item
-// sync storage limit (~130 rules at typical lengths) is hit well before this.
-// This constant exists as a secondary safety net for regex performance.
-const MAX_RULES = 255;
+// Hard ceiling on rule count, mirrored in content.js. The content script
+// matches plain text rules with an automaton whose speed doesn't depend on
+// the number of rules (see LITERAL MATCHER in content.js), so this is only a
+// safety net. In practice, the browser's 8 KB per-item sync storage limit
+// (~130 rules at typical lengths) is hit well before it.
+const MAX_RULES = 5000;
+// Most rules that can run as a pass of their own (see RULE PASSES).
+// NOTE: MAX_RULE_PASSES is duplicated in content.js (see Logger note below).
+const MAX_RULE_PASSES = 255;
 const MAX_PATTERN_LENGTH = 255; // Maximum characters per original or replacement text
+const MAX_SITE_PATTERNS = 20; // Maximum patterns in a rule's includeSites or excludeSites list
+const MAX_SITE_LIST_PATTERNS = 100; // Maximum patterns in the global site list
 
 // Guard against prototype pollution. Keys like "__proto__", "constructor",
 // or "prototype" could interfere with object property lookups in some
@@ -56,7 +63,65 @@ const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
 // Valid field names for updateReplacement(). Used to prevent unknown
 // properties from being silently persisted to storage (which would eat
 // into the 8 KB quota).
-const VALID_FIELDS = new Set(['originalText', 'replacement', 'caseSensitive', 'enabled']);
+const VALID_FIELDS = new Set([
+    'originalText', 'replacement', 'caseSensitive', 'enabled',
+    'isRegex', 'flags', 'preserveCase', 'includeSites', 'excludeSites',
+    'highlightColor', 'clickToReveal', 'action', 'hideSelector', 'swap', 'aliases',
+    'ignoreAccents', 'flexibleSpacing'
+]);
+
+// Rule fields that are only stored when set. Plain rules keep just
+// { replacement, caseSensitive, enabled }, so turning one of these off
+// deletes the field instead of storing false, '' or an empty list.
+const OPTIONAL_RULE_FIELDS = new Set([
+    'isRegex', 'flags', 'preserveCase', 'includeSites', 'excludeSites', 'highlightColor',
+    'clickToReveal', 'action', 'hideSelector', 'swap', 'aliases', 'ignoreAccents', 'flexibleSpacing'
+]);
+
+// Rule fields that hold lists of site patterns (see SITE PATTERN VALIDATION).
+const SITE_LIST_FIELDS = ['includeSites', 'excludeSites'];
+
+// Attributes the content script can replace text in when "Replace Text In →
+// Attributes" is on. The management page only ever saves names from this
+// list. NOTE: This list is duplicated in content.js (see Logger note above).
+const SUPPORTED_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label', 'value', 'label'];
+
+// Highlight colors (Display → Highlight replacements). A rule's
+// highlightColor is a "#rrggbb" color, stored only when it differs from the
+// default. NOTE: DEFAULT_HIGHLIGHT_COLOR is duplicated in content.js.
+const DEFAULT_HIGHLIGHT_COLOR = '#fff59d';
+const HIGHLIGHT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// What a rule does with its matches. "replace" (the default, stored as no
+// action at all) substitutes the replacement text; the others hide the match:
+// "blur" blurs it, "bar" covers it with a black bar, and "mask" turns every
+// character into █. "hide" hides the whole element around the match — the
+// nearest ancestor matching the rule's hideSelector, or the site's default
+// post selector when it has none. NOTE: These names are duplicated in
+// content.js (see REDACTION and HIDING ELEMENTS there).
+const RULE_ACTIONS = {
+    replace: 'Replace with text',
+    blur: 'Blur',
+    bar: 'Black bar',
+    mask: 'Mask (█)',
+    hide: 'Hide element'
+};
+
+// -----------------------------------------------------------------------------
+// REGEX RULE LIMITS
+// Regex rules (isRegex: true) use the original text as a real regular
+// expression instead of literal text.
+// - REGEX_FLAGS: Extra flags a regex rule may carry. "g" is always implied
+//   (every match is replaced) and "i" is controlled by the Match Case toggle,
+//   so only m (multiline), s (dotAll) and u (unicode) are stored.
+// - NESTED_QUANTIFIER_PATTERN: A heuristic that spots the classic
+//   catastrophic-backtracking shape "(a+)+" — a quantified group that itself
+//   contains a quantifier. Such patterns can freeze a page for seconds inside
+//   a single match attempt, which the content script's timeout cannot
+//   interrupt, so we refuse them up front.
+// -----------------------------------------------------------------------------
+const REGEX_FLAGS = 'msu';
+const NESTED_QUANTIFIER_PATTERN = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
 
 // Maximum import file size (in bytes). This prevents the browser from freezing
 // if a user accidentally selects a very large file. The FileReader API will
@@ -70,6 +135,7 @@ const MAX_IMPORT_FILE_SIZE = 1 * 1024 * 1024; // 1 MB
 // These control the behavior of user interface elements.
 // -----------------------------------------------------------------------------
 const STATUS_DISPLAY_DURATION_MS = 3000; // How long status messages stay visible (3 seconds)
+const RULE_ORDER_SAVE_DELAY_MS = 800;    // Idle time after arrow-key moves before the order is saved
 
 // -----------------------------------------------------------------------------
 // LOGGING UTILITY
@@ -197,6 +263,591 @@ function safeWordMap(rawWordMap) {
     return {};
 }
 
+// -----------------------------------------------------------------------------
+// REGEX RULE VALIDATION
+// Regex rules are compiled from user input, so they get checked here before
+// they are ever saved. The content script re-checks at load time, but catching
+// problems on this page lets us show a helpful message instead.
+// -----------------------------------------------------------------------------
+
+/**
+ * Splits "/pattern/flags" literal syntax into its parts, so users can paste
+ * a regex the way they would write it in JavaScript. Plain patterns (without
+ * the surrounding slashes) return null and are used as-is.
+ *
+ * @param {string} text - The original text typed by the user.
+ * @returns {{pattern: string, flags: string}|null} - The parts, or null.
+ */
+function parseRegexLiteral(text) {
+    const literal = /^\/(.+)\/([a-z]*)$/s.exec(text);
+    if (!literal) return null;
+    return { pattern: literal[1], flags: literal[2] };
+}
+
+/**
+ * Checks that a regex rule is safe and usable before it is saved.
+ *
+ * Rejects:
+ * - Flags other than m, s and u (see REGEX_FLAGS), or repeated flags.
+ * - Patterns that fail to compile.
+ * - Patterns that can match empty text (e.g., "a*"), which would insert the
+ *   replacement between every character on the page.
+ * - Nested quantifiers like "(a+)+" (see NESTED_QUANTIFIER_PATTERN).
+ * - Replacement references ($1, $<name>) to groups the pattern doesn't have.
+ *   The browser would silently output them as literal text, which is almost
+ *   always a typo the user wants to hear about.
+ *
+ * @param {string} pattern - The regex source (the rule's original text).
+ * @param {string} flags - Extra flags (subset of REGEX_FLAGS).
+ * @param {string} replacement - The replacement text, possibly with $-references.
+ * @returns {string|null} - Error message, or null if the rule is valid.
+ */
+function validateRegexRule(pattern, flags, replacement) {
+    for (let i = 0; i < flags.length; i++) {
+        if (!REGEX_FLAGS.includes(flags[i]) || flags.indexOf(flags[i]) !== i) {
+            return `Invalid regex flags "${flags}". Only m, s and u are allowed (use Match Case for case sensitivity).`;
+        }
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+    }
+
+    if (regex.test('')) {
+        return 'This regular expression can match empty text, which would insert the replacement everywhere. Use + instead of * or add required characters.';
+    }
+
+    if (NESTED_QUANTIFIER_PATTERN.test(pattern)) {
+        return 'Nested quantifiers like "(a+)+" can freeze web pages. Please simplify the pattern.';
+    }
+
+    // Adding an empty alternative makes the pattern match '' so exec() reports
+    // how many groups exist (array length) and their names (.groups), without
+    // needing any sample text.
+    const groupInfo = new RegExp(`(?:${pattern})|`, flags).exec('');
+    const groupCount = groupInfo.length - 1;
+    const groupNames = groupInfo.groups ? Object.keys(groupInfo.groups) : [];
+
+    const referencePattern = /\$(\$|&|\d{1,2}|<([^>]*)>)/g;
+    let reference;
+    while ((reference = referencePattern.exec(replacement)) !== null) {
+        const [token, ref, name] = reference;
+        if (name !== undefined) {
+            if (!groupNames.includes(name)) {
+                return `The replacement uses ${token}, but the pattern has no group named "${name}".`;
+            }
+        } else if (/^\d/.test(ref)) {
+            // Mirror the browser: "$12" falls back to "$1" + "2" when there is no group 12.
+            const index = ref.length === 2 && parseInt(ref, 10) > groupCount ? parseInt(ref[0], 10) : parseInt(ref, 10);
+            if (index > groupCount) {
+                return `The replacement uses ${token}, but the pattern only has ${groupCount} capture group(s).`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// SITE PATTERN VALIDATION
+// A rule's includeSites / excludeSites lists limit which websites it runs on.
+// Each entry is either a host ("example.com", "*.example.com" — both cover
+// subdomains) or a browser match pattern ("https://*.example.com/news/*").
+// NOTE: These two shapes mirror compileSitePattern() in content.js, which
+// does the actual matching (see Logger note above for why it's duplicated).
+// -----------------------------------------------------------------------------
+const SITE_MATCH_PATTERN = /^(\*|https?|file|ftp|wss?):\/\/(\*|(?:\*\.)?[^/*:\s]+)?(\/\S*)$/;
+const SITE_HOST_PATTERN = /^(?:\*\.)?[^/*:\s]+$/;
+
+/**
+ * Splits the text of a site list input ("example.com, *.test.org") into
+ * separate patterns. Commas, spaces and line breaks all separate entries.
+ *
+ * @param {string} text - The raw input text.
+ * @returns {string[]} - The patterns, with empty entries removed.
+ */
+function parseSiteList(text) {
+    return text.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Checks a list of site patterns before it is saved.
+ *
+ * @param {*} patterns - The list to check (from the UI or an import file).
+ * @param {number} [maxPatterns] - How many patterns the list may hold.
+ * @returns {string|null} - Error message if invalid, null if valid.
+ */
+function validateSitePatterns(patterns, maxPatterns = MAX_SITE_PATTERNS) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        return 'Expected a list of site patterns.';
+    }
+    if (patterns.length > maxPatterns) {
+        return `Too many site patterns. Maximum ${maxPatterns} per list.`;
+    }
+    for (const pattern of patterns) {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return `Site pattern too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`;
+        }
+        if (!SITE_MATCH_PATTERN.test(pattern) && !SITE_HOST_PATTERN.test(pattern)) {
+            return `"${pattern.substring(0, 30)}" is not a valid site. Use a host like "example.com" or a pattern like "https://*.example.com/*".`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the CSS selector of a hide rule before it is saved. An empty
+ * selector is valid: the content script then uses the site's default.
+ *
+ * @param {*} selector - The selector to check (from the UI or an import file).
+ * @returns {string|null} - Error message if invalid, null if valid.
+ */
+function validateHideSelector(selector) {
+    if (typeof selector !== 'string') {
+        return 'Expected a CSS selector.';
+    }
+    if (selector.length > MAX_PATTERN_LENGTH) {
+        return `Selector too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`;
+    }
+    if (!selector.trim()) return null;
+    // querySelector() throws a SyntaxError for anything that isn't a
+    // selector. An empty fragment keeps the check from touching this page.
+    try {
+        document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+        return `"${selector.substring(0, 30)}" is not a valid CSS selector.`;
+    }
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// CASE FOLDING
+// Case-insensitive rules match text that folds to the same thing: "ß" and
+// "ss" are the same, and so are "İ" and "i". The content script also folds
+// with the page's language (a Turkish page pairs "I" with "ı"), which isn't
+// known here, so rules are compared language-neutrally.
+// NOTE: foldCase() is duplicated in content.js (see Logger note above).
+// -----------------------------------------------------------------------------
+
+/**
+ * Folds text for case-insensitive comparison.
+ *
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
+ */
+function foldCase(text) {
+    return text.toLocaleLowerCase('und').replace(/i\u0307/g, 'i').replace(/ß/g, 'ss');
+}
+
+// -----------------------------------------------------------------------------
+// IGNORING ACCENTS
+// A plain text rule with ignoreAccents: true matches its text with or without
+// accents and in any Unicode form: "cafe" also finds "café", "CAFÉ" and
+// full-width "ｃａｆｅ" (see IGNORING ACCENTS in content.js). The content
+// script matches such rules against folded text, which a regex rule's
+// capture groups would point into, so regex rules can't ignore accents.
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks that a rule only ignores accents if it is a plain text rule.
+ *
+ * @param {Object} data - The rule's data.
+ * @returns {string|null} - Error message if invalid, null if valid.
+ */
+function validateAccentOption(data) {
+    if (data.isRegex && data.ignoreAccents) {
+        return 'Ignoring accents works on plain text, not regular expressions.';
+    }
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// FLEXIBLE SPACING
+// A plain text rule with flexibleSpacing: true matches its words however
+// they are spaced: "New York Times" also finds "New  York" followed by a
+// line break, a non-breaking space or a hyphen (see FLEXIBLE SPACING in
+// content.js). The table and the Add Rule form show the pattern such a rule
+// really matches, since that is no longer the text as typed. A regex rule
+// spells out its own spacing, so it can't have the option.
+// NOTE: GAP_CHARACTERS and the gap handling are duplicated from content.js
+// (see Logger note above).
+// -----------------------------------------------------------------------------
+const GAP_CHARACTERS = '\\s\\u00AD\\u2010\\u2011-';
+const INNER_GAP_PATTERN = new RegExp(`(?<=[^${GAP_CHARACTERS}])[${GAP_CHARACTERS}]+(?=[^${GAP_CHARACTERS}])`, 'gu');
+
+/**
+ * Checks that a rule only has flexible spacing if it is a plain text rule.
+ *
+ * @param {Object} data - The rule's data.
+ * @returns {string|null} - Error message if invalid, null if valid.
+ */
+function validateSpacingOption(data) {
+    if (data.isRegex && data.flexibleSpacing) {
+        return 'Flexible spacing works on plain text, not regular expressions.';
+    }
+    return null;
+}
+
+/**
+ * Builds the pattern a flexibly spaced rule matches, for display: every gap
+ * between its words takes any run of spaces, line breaks and hyphens.
+ *
+ * @param {string} text - The rule's original text.
+ * @param {boolean} caseSensitive - Whether the rule matches exact casing.
+ * @returns {string} - The pattern, written like a regex literal.
+ */
+function flexiblePattern(text, caseSensitive) {
+    const words = text.replace(INNER_GAP_PATTERN, ' ').split(' ')
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return `/${words.join(`[${GAP_CHARACTERS}]+`)}/${caseSensitive ? '' : 'i'}`;
+}
+
+/**
+ * Updates the pattern shown under the Add Rule form's original input. It is
+ * only shown while Any Spacing is on for a plain text rule.
+ */
+function updateSpacingPreview() {
+    const preview = document.getElementById('spacingPreview');
+    const original = document.getElementById('newOriginal').value.trim();
+    const flexible = document.getElementById('newFlexibleSpacing').checked &&
+        !document.getElementById('newIsRegex').checked;
+
+    preview.textContent = flexible && original
+        ? `Pattern: ${flexiblePattern(original, document.getElementById('newCaseSensitive').checked)}`
+        : '';
+    preview.hidden = !preview.textContent;
+}
+
+// -----------------------------------------------------------------------------
+// SWAP RULES
+// A swap rule (swap: true) replaces its original text with its replacement
+// AND the replacement with the original ("cat" ↔ "dog"), in a single pass,
+// so every occurrence is replaced exactly once. Two ordinary rules can't do
+// this: the second would undo the first.
+//
+// Because a swap rule matches both of its texts, neither may overlap another
+// rule's text — one of the two rules would silently lose. validateSwapRule()
+// checks this whenever a rule is added, edited or imported.
+// -----------------------------------------------------------------------------
+
+/**
+ * Compares two rule texts, ignoring case unless both rules match case.
+ *
+ * @param {string} a - A rule text.
+ * @param {string} b - Another rule text.
+ * @param {boolean} caseSensitive - Whether case counts.
+ * @returns {boolean} - True if the texts match the same page text.
+ */
+function sameRuleText(a, b, caseSensitive) {
+    return caseSensitive ? a === b : foldCase(a) === foldCase(b);
+}
+
+/**
+ * Checks a rule for problems with swap rules: a swap rule must be a plain
+ * text rule with two different texts, and its texts must not overlap any
+ * other rule's text. Ordinary rules are checked against swap rules' texts.
+ * (Two ordinary rules are left to the duplicate checks.)
+ *
+ * @param {Object} wordMap - All rules, including the one being checked.
+ * @param {string} key - The key of the rule to check.
+ * @returns {string|null} - Error message if the rule conflicts, null if valid.
+ */
+function validateSwapRule(wordMap, key) {
+    const data = wordMap[key];
+    if (data.isRegex) {
+        return data.swap ? 'Swap rules work on plain text, not regular expressions.' : null;
+    }
+    if (data.swap) {
+        if (data.action) {
+            return 'Swap rules always replace text. Choose "Replace with text" for this rule.';
+        }
+        if (!data.replacement) {
+            return 'A swap rule needs replacement text to swap with.';
+        }
+        if (sameRuleText(key, data.replacement, Boolean(data.caseSensitive))) {
+            return 'A swap rule needs two different texts.';
+        }
+    }
+
+    const texts = data.swap ? [key, data.replacement] : [key];
+    for (const [otherKey, other] of Object.entries(wordMap)) {
+        if (otherKey === key || !other || typeof other !== 'object' || other.isRegex) continue;
+        if (!data.swap && !other.swap) continue;
+        const otherTexts = other.swap ? [otherKey, other.replacement] : [otherKey];
+        const caseSensitive = Boolean(data.caseSensitive && other.caseSensitive);
+        for (const text of texts) {
+            if (otherTexts.some(otherText => sameRuleText(text, otherText, caseSensitive))) {
+                return `"${text.substring(0, 30)}" is already matched by the rule for "${otherKey.substring(0, 30)}". A swap rule's texts can't overlap another rule.`;
+            }
+        }
+    }
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// SYNONYM GROUPS
+// A group rule replaces several spellings with one replacement: its key is
+// the first spelling and "aliases" lists the others, e.g. "Acme Co" with
+// aliases ["ACME Corp", "Acme Inc."]. The group is stored (and counted
+// against MAX_RULES) as one rule, and the content script expands it into
+// one entry per spelling (see SYNONYM GROUPS in content.js). Groups are
+// plain text rules, so regex and swap rules can't have aliases, and no
+// spelling may be matched by any other rule. validateGroupRule() checks this
+// whenever a rule is added, edited or imported, and again for the saved
+// rules once an import is merged into them (see validateRuleConflicts).
+// NOTE: MAX_GROUP_SIZE is duplicated in content.js (see Logger note above).
+// -----------------------------------------------------------------------------
+const MAX_GROUP_SIZE = 50; // Maximum spellings in a group, the key included
+
+/**
+ * Parses the aliases textarea: one spelling per line, blank lines ignored.
+ * (Lines rather than commas, since names like "Acme, Inc." contain commas.)
+ *
+ * @param {string} text - The textarea's value.
+ * @returns {string[]} - The trimmed spellings.
+ */
+function parseAliasList(text) {
+    return text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Checks the shape of a rule's aliases list.
+ *
+ * @param {*} aliases - The aliases value to check.
+ * @returns {string|null} - Error message if invalid, null if valid.
+ */
+function validateAliasList(aliases) {
+    if (!Array.isArray(aliases)) {
+        return 'Expected a list of texts.';
+    }
+    if (aliases.length + 1 > MAX_GROUP_SIZE) {
+        return `Too many spellings (maximum ${MAX_GROUP_SIZE} per rule, the original text included).`;
+    }
+    for (const alias of aliases) {
+        if (typeof alias !== 'string' || alias.trim().length === 0 || alias !== alias.trim()) {
+            return 'Every spelling must be non-empty text without leading or trailing spaces.';
+        }
+        if (alias.length > MAX_PATTERN_LENGTH) {
+            return `"${alias.substring(0, 30)}..." exceeds the maximum length of ${MAX_PATTERN_LENGTH} characters.`;
+        }
+        if (RESERVED_KEYS.has(alias)) {
+            return `"${alias}" is a reserved word and cannot be used as rule text.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the page texts a literal rule matches: its key, plus its
+ * replacement for swap rules or its aliases for group rules.
+ *
+ * @param {string} key - The rule's original text.
+ * @param {Object} data - The rule's data.
+ * @returns {string[]} - The rule's texts.
+ */
+function ruleTexts(key, data) {
+    if (data.swap) return [key, data.replacement];
+    return Array.isArray(data.aliases) ? [key, ...data.aliases] : [key];
+}
+
+/**
+ * Checks a rule for problems with synonym groups: a group must be a plain,
+ * non-swap text rule whose spellings are all different, and no spelling
+ * may be matched by another rule. Ordinary rules are checked against
+ * groups' spellings. (Two ordinary rules are left to the duplicate checks.)
+ *
+ * @param {Object} wordMap - All rules, including the one being checked.
+ * @param {string} key - The key of the rule to check.
+ * @returns {string|null} - Error message if the rule conflicts, null if valid.
+ */
+function validateGroupRule(wordMap, key) {
+    const data = wordMap[key];
+    const isGroup = Array.isArray(data.aliases) && data.aliases.length > 0;
+    if (data.isRegex) {
+        return isGroup ? 'Extra spellings work on plain text. A regular expression can list them with "|".' : null;
+    }
+    if (isGroup) {
+        if (data.swap) {
+            return 'A swap rule can\'t have extra spellings.';
+        }
+        const texts = ruleTexts(key, data);
+        for (let i = 1; i < texts.length; i++) {
+            if (texts.slice(0, i).some(text => sameRuleText(text, texts[i], Boolean(data.caseSensitive)))) {
+                return `"${texts[i].substring(0, 30)}" is listed twice in this rule.`;
+            }
+        }
+    }
+
+    const texts = ruleTexts(key, data);
+    for (const [otherKey, other] of Object.entries(wordMap)) {
+        if (otherKey === key || !other || typeof other !== 'object' || other.isRegex) continue;
+        if (!isGroup && !(Array.isArray(other.aliases) && other.aliases.length > 0)) continue;
+        const otherTexts = ruleTexts(otherKey, other);
+        const caseSensitive = Boolean(data.caseSensitive && other.caseSensitive);
+        for (const text of texts) {
+            if (otherTexts.some(otherText => sameRuleText(text, otherText, caseSensitive))) {
+                return `"${text.substring(0, 30)}" is already matched by the rule for "${otherKey.substring(0, 30)}".`;
+            }
+        }
+    }
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// REPLACEMENT TEMPLATES
+// Replacements may contain tokens the content script fills in per match:
+// {match}, {match.upper}, {host}, {date} and {count} (see REPLACEMENT
+// TEMPLATES in content.js, which duplicates these names). Only replacements
+// that use one of these tokens are templates: in them "{{" and "}}" are
+// literal braces, and an unknown lowercase token is rejected when the rule is
+// saved, so a typo like "{mach} #{count}" is caught instead of showing up on
+// pages. Any other replacement is shown exactly as written, braces and all,
+// so rules written before templates existed ("{redacted}", "{{x}}") keep
+// their meaning — imports accept them and only warn about unknown tokens.
+// -----------------------------------------------------------------------------
+const TEMPLATE_TOKEN_PATTERN = /\{\{|\}\}|\{([a-z]+(?:\.[a-z]+)?)\}/g;
+const TEMPLATE_TOKENS = ['match', 'match.upper', 'host', 'date', 'count'];
+
+/**
+ * Checks whether a replacement is a template: whether it uses a token.
+ *
+ * @param {string} replacement - The replacement text.
+ * @returns {boolean} - True if the replacement has a known token.
+ */
+function isTemplate(replacement) {
+    for (const found of replacement.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+        if (TEMPLATE_TOKENS.includes(found[1])) return true;
+    }
+    return false;
+}
+
+/**
+ * Finds the first lowercase word in braces that isn't a token.
+ *
+ * @param {string} replacement - The replacement text.
+ * @returns {string|null} - The unknown token's name, or null if there is none.
+ */
+function findUnknownToken(replacement) {
+    for (const found of replacement.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+        if (found[1] !== undefined && !TEMPLATE_TOKENS.includes(found[1])) return found[1];
+    }
+    return null;
+}
+
+/**
+ * Checks the tokens in a template replacement. Replacements without any
+ * known token are plain text and always valid.
+ *
+ * @param {string} replacement - The replacement text.
+ * @returns {string|null} - Error message if a template has an unknown
+ *   token, null if valid.
+ */
+function validateTemplate(replacement) {
+    const unknown = findUnknownToken(replacement);
+    if (unknown !== null && isTemplate(replacement)) {
+        const known = TEMPLATE_TOKENS.map(token => `{${token}}`).join(', ');
+        return `Unknown template token {${unknown}}. Use ${known}, or {{ and }} for literal braces.`;
+    }
+    return null;
+}
+
+/**
+ * Shows what a template replacement turns a match into, with example
+ * values for the page-dependent tokens.
+ *
+ * @param {string} replacement - The replacement text.
+ * @param {string} match - Example matched text.
+ * @returns {string|null} - The filled-in replacement, or null if the
+ *   replacement is not a template.
+ */
+function previewTemplate(replacement, match) {
+    if (!isTemplate(replacement)) return null;
+    return replacement.replace(TEMPLATE_TOKEN_PATTERN, (found, token) => {
+        if (token === undefined) return found[0];
+        if (!TEMPLATE_TOKENS.includes(token)) return found;
+        if (token === 'match') return match;
+        if (token === 'match.upper') return match.toUpperCase();
+        if (token === 'host') return 'example.com';
+        if (token === 'date') return new Date().toLocaleDateString();
+        return '1'; // {count} for the first occurrence
+    });
+}
+
+/**
+ * Updates the preview under the Add Rule form's replacement input. It is
+ * only shown for template replacements, or to explain an unknown token
+ * (an error in a template, a note in plain text).
+ */
+function updateTemplatePreview() {
+    const preview = document.getElementById('templatePreview');
+    const original = document.getElementById('newOriginal').value.trim();
+    const replacement = document.getElementById('newReplacement').value;
+
+    const templateError = validateTemplate(replacement);
+    // A regex's pattern isn't an example of what it matches.
+    const example = original && !document.getElementById('newIsRegex').checked ? original : 'match';
+    const filled = templateError ? null : previewTemplate(replacement, example);
+    const unknown = filled === null ? findUnknownToken(replacement) : null;
+
+    preview.classList.toggle('status-error', Boolean(templateError));
+    if (templateError) {
+        preview.textContent = templateError;
+    } else if (filled !== null) {
+        preview.textContent = `Preview: ${filled}`;
+    } else if (unknown !== null) {
+        preview.textContent = `{${unknown}} is not a template token, so it is shown as written.`;
+    } else {
+        preview.textContent = '';
+    }
+    preview.hidden = !preview.textContent;
+}
+
+// -----------------------------------------------------------------------------
+// RULE PASSES
+// The content script matches plain text rules all at once (see LITERAL
+// MATCHER in content.js), but a rule with a regex of its own searches every
+// text again, so it uses at most MAX_RULE_PASSES of those. Adding, editing
+// and importing rules, and turning on "Apply rules in order", are checked
+// against that limit here, so no saved rule is left out on pages.
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether a rule runs as a pass of its own on pages instead of in the
+ * combined literal matchers: regex and hide rules, rules that ignore accents
+ * or spacing, and every rule with "Apply rules in order" on (see
+ * updateRegexes in content.js).
+ *
+ * @param {Object} data - The rule's data.
+ * @param {boolean} pipelineEnabled - Whether "Apply rules in order" is on.
+ * @returns {boolean} - True if the rule needs a pass of its own.
+ */
+function ruleNeedsOwnPass(data, pipelineEnabled) {
+    return Boolean(pipelineEnabled || data.isRegex || data.action === 'hide' ||
+        data.ignoreAccents || data.flexibleSpacing);
+}
+
+/**
+ * Checks that the rules needing a pass of their own fit MAX_RULE_PASSES;
+ * the content script would leave the rest out. Disabled and site-scoped
+ * rules count too, since they can be turned on or apply on some page.
+ *
+ * @param {Object} wordMap - All rules.
+ * @param {boolean} pipelineEnabled - Whether "Apply rules in order" is on.
+ * @returns {string|null} - Error message if too many rules need their own
+ *   pass, null if they fit.
+ */
+function validateRulePasses(wordMap, pipelineEnabled) {
+    const passes = Object.values(wordMap).filter(data =>
+        data && typeof data === 'object' && ruleNeedsOwnPass(data, pipelineEnabled)).length;
+    if (passes <= MAX_RULE_PASSES) return null;
+    return pipelineEnabled
+        ? `With "Apply rules in order" on, at most ${MAX_RULE_PASSES} rules can be used (this would make ${passes}).`
+        : `At most ${MAX_RULE_PASSES} regex, hide, Any Accents or Any Spacing rules can be used (this would make ${passes}).`;
+}
+
 // -----------------------------------------------------------------------------
 // IMPORT VALIDATION
 // Validates that imported rules have the correct structure and safe values.
@@ -209,8 +860,10 @@ function safeWordMap(rawWordMap) {
  * and that patterns don't exceed safety limits.
  *
  * SANITIZATION: After validation, each rule is reduced to only the known
- * fields (replacement, caseSensitive, enabled). Any extra properties from
- * the import file (e.g., "notes", "author", "timestamp") are stripped.
+ * fields (replacement, caseSensitive, enabled, plus isRegex and flags for
+ * regex rules, and preserveCase / ignoreAccents / flexibleSpacing / site
+ * lists / display options / aliases when set). Any extra properties from the import file (e.g., "notes",
+ * "author", "timestamp") are stripped.
  * This prevents storage bloat — unknown fields would accumulate across
  * import/export cycles, eating into the 8 KB per-item quota.
  *
@@ -250,6 +903,14 @@ function validateImportedRules(rules) {
             return `Replacement for "${key.substring(0, 30)}..." exceeds the maximum length of ${MAX_PATTERN_LENGTH} characters.`;
         }
 
+        // Unknown tokens are kept as text, as on pages: rejecting them would
+        // turn away exports that were valid before templates existed. The
+        // import reports them (see importRules).
+        const unknownToken = findUnknownToken(value.replacement);
+        if (unknownToken !== null) {
+            Logger.warn(`Replacement for "${key.substring(0, 30)}" has unknown template token {${unknownToken}}; it is kept as text.`);
+        }
+
         // Sanitize boolean fields — coerce non-boolean values to proper booleans.
         // This prevents unexpected behavior from malformed import files.
         if (value.caseSensitive !== undefined && typeof value.caseSensitive !== 'boolean') {
@@ -259,17 +920,115 @@ function validateImportedRules(rules) {
             value.enabled = Boolean(value.enabled);
         }
 
-        // Strip unknown fields — only keep the three known properties.
+        // Regex rules: the key is a pattern, so it must compile and pass the
+        // same safety checks as a regex rule added through the form.
+        const flags = typeof value.flags === 'string' ? value.flags : '';
+        if (value.isRegex) {
+            const regexError = validateRegexRule(key, flags, value.replacement);
+            if (regexError) {
+                return `Invalid regex rule "${key.substring(0, 30)}": ${regexError}`;
+            }
+        }
+
+        // Site lists must hold valid patterns, within the same limits as
+        // lists typed into the rule table.
+        for (const field of SITE_LIST_FIELDS) {
+            if (value[field] === undefined) continue;
+            const siteError = validateSitePatterns(value[field]);
+            if (siteError) {
+                return `Invalid ${field} for "${key.substring(0, 30)}": ${siteError}`;
+            }
+        }
+
+        // A highlight color must be a "#rrggbb" color, like the color
+        // picker in the rule table produces.
+        if (value.highlightColor !== undefined &&
+            (typeof value.highlightColor !== 'string' || !HIGHLIGHT_COLOR_PATTERN.test(value.highlightColor))) {
+            return `Invalid highlightColor for "${key.substring(0, 30)}": expected a color like ${DEFAULT_HIGHLIGHT_COLOR}.`;
+        }
+
+        // A rule's action must be one the content script knows how to draw.
+        if (value.action !== undefined &&
+            (typeof value.action !== 'string' || !Object.hasOwn(RULE_ACTIONS, value.action))) {
+            return `Invalid action for "${key.substring(0, 30)}": expected one of ${Object.keys(RULE_ACTIONS).join(', ')}.`;
+        }
+        if (value.hideSelector !== undefined) {
+            const selectorError = validateHideSelector(value.hideSelector);
+            if (selectorError) {
+                return `Invalid hideSelector for "${key.substring(0, 30)}": ${selectorError}`;
+            }
+        }
+
+        // A group's extra spellings follow the same rules as original texts.
+        if (value.aliases !== undefined) {
+            const aliasError = validateAliasList(value.aliases);
+            if (aliasError) {
+                return `Invalid aliases for "${key.substring(0, 30)}": ${aliasError}`;
+            }
+        }
+
+        // Strip unknown fields — only keep the known properties.
         // This prevents storage bloat from extra fields in import files
         // (e.g., editor metadata, user notes, timestamps from other tools).
-        rules[key] = {
+        const sanitized = {
             replacement: value.replacement,
             caseSensitive: value.caseSensitive ?? false,
             enabled: value.enabled ?? true
         };
+
+        // Optional fields are only stored when they differ from the default,
+        // so plain literal rules stay as small as they always were.
+        if (value.isRegex) {
+            sanitized.isRegex = true;
+            if (flags) sanitized.flags = flags;
+        }
+        if (value.preserveCase) sanitized.preserveCase = true;
+        if (value.ignoreAccents) sanitized.ignoreAccents = true;
+        if (value.flexibleSpacing) sanitized.flexibleSpacing = true;
+        for (const field of SITE_LIST_FIELDS) {
+            if (value[field] && value[field].length > 0) sanitized[field] = value[field].slice();
+        }
+        if (value.clickToReveal) sanitized.clickToReveal = true;
+        if (value.swap) sanitized.swap = true;
+        if (value.aliases && value.aliases.length > 0) sanitized.aliases = value.aliases.slice();
+        if (value.action && value.action !== 'replace') sanitized.action = value.action;
+        if (value.action === 'hide' && value.hideSelector && value.hideSelector.trim()) {
+            sanitized.hideSelector = value.hideSelector.trim();
+        }
+        if (value.highlightColor && value.highlightColor.toLowerCase() !== DEFAULT_HIGHLIGHT_COLOR) {
+            sanitized.highlightColor = value.highlightColor.toLowerCase();
+        }
+
+        rules[key] = sanitized;
     }
 
-    return null; // All rules are valid
+    // Swap rules and groups are checked once every rule is sanitized, since
+    // they depend on the other rules in the file.
+    return validateRuleConflicts(rules);
+}
+
+/**
+ * Checks every rule of a rule set against the others: swap rules' texts and
+ * groups' spellings must not overlap another rule (see SWAP RULES and
+ * SYNONYM GROUPS). The accent and spacing options are checked with them,
+ * as they also depend on the rule's other settings. Used for imported
+ * rules, and again once they are merged into the saved rules.
+ *
+ * @param {Object} rules - The rule set to check.
+ * @returns {string|null} - Error message naming the first conflicting rule,
+ *   null if there are no conflicts.
+ */
+function validateRuleConflicts(rules) {
+    for (const [key, data] of Object.entries(rules)) {
+        // Only edited storage holds anything else (see safeWordMap).
+        if (!data || typeof data !== 'object') continue;
+        const conflictError = validateSwapRule(rules, key) || validateGroupRule(rules, key) ||
+            validateAccentOption(data) || validateSpacingOption(data);
+        if (conflictError) {
+            return `Invalid rule "${key.substring(0, 30)}": ${conflictError}`;
+        }
+    }
+    return null;
 }
 
 // -----------------------------------------------------------------------------
@@ -288,7 +1047,7 @@ document.addEventListener('DOMContentLoaded', () => {
     chrome.storage.onChanged.addListener((changes, area) => {
         if (area !== 'sync') return;
 
-        if (changes.wordMap) {
+        if (changes.wordMap || changes.ruleOrder) {
             Logger.debug('Rules changed externally — refreshing UI');
             loadWordMap();
         }
@@ -301,6 +1060,46 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('masterSwitch').checked = isEnabled;
             Logger.debug('Master switch updated externally:', isEnabled);
         }
+
+        // Same for the Site Access controls. Changing either key re-reads
+        // both, since a storage event only reports the keys that changed.
+        if (changes.siteListMode || changes.siteList) {
+            chrome.storage.sync.get(['siteListMode', 'siteList'], (data) => {
+                if (chrome.runtime.lastError) return;
+                showSiteAccess(data.siteListMode, data.siteList);
+            });
+        }
+
+        if (changes.processFrames) {
+            document.getElementById('framesSwitch').checked = changes.processFrames.newValue !== false;
+        }
+
+        if (changes.replaceTitle) {
+            document.getElementById('titleSwitch').checked = changes.replaceTitle.newValue !== false;
+        }
+
+        if (changes.crossNodeMatching) {
+            document.getElementById('crossNodeSwitch').checked = changes.crossNodeMatching.newValue === true;
+        }
+
+        if (changes.rulePipeline) {
+            document.getElementById('pipelineSwitch').checked = changes.rulePipeline.newValue === true;
+        }
+
+        if (changes.obfuscationMatching) {
+            document.getElementById('obfuscationSwitch').checked = changes.obfuscationMatching.newValue === true;
+        }
+
+        if (changes.highlightReplacements) {
+            document.getElementById('highlightSwitch').checked = changes.highlightReplacements.newValue === true;
+        }
+
+        if (changes.replaceAttributes || changes.attributeNames) {
+            chrome.storage.sync.get(['replaceAttributes', 'attributeNames'], (data) => {
+                if (chrome.runtime.lastError) return;
+                showAttributeSettings(data.replaceAttributes, data.attributeNames);
+            });
+        }
     });
 
     // Listen for the "Add Rule" form submission
@@ -309,11 +1108,56 @@ document.addEventListener('DOMContentLoaded', () => {
         addReplacement();
     });
 
+    // Keep the template preview under the replacement input up to date
+    for (const id of ['newOriginal', 'newReplacement', 'newIsRegex']) {
+        document.getElementById(id).addEventListener('input', updateTemplatePreview);
+    }
+
+    // ...and the pattern under the original input (see FLEXIBLE SPACING)
+    for (const id of ['newOriginal', 'newCaseSensitive', 'newIsRegex', 'newFlexibleSpacing']) {
+        document.getElementById(id).addEventListener('input', updateSpacingPreview);
+    }
+
     // Listen for the Master Switch toggle
     document.getElementById('masterSwitch').addEventListener('change', (e) => {
         updateMasterSwitch(e.target.checked);
     });
 
+    // Listen for Site Access changes. The textarea saves when it loses
+    // focus (its "change" event), like the text inputs in the rules table.
+    document.getElementById('siteListMode').addEventListener('change', updateSiteAccess);
+    document.getElementById('siteList').addEventListener('change', updateSiteAccess);
+    document.getElementById('framesSwitch').addEventListener('change', (e) => {
+        updateFramesSetting(e.target.checked);
+    });
+
+    // Listen for Replace Text In changes (the switches and each attribute box).
+    document.getElementById('titleSwitch').addEventListener('change', (e) => {
+        updateTitleSetting(e.target.checked);
+    });
+    document.getElementById('attributesSwitch').addEventListener('change', updateAttributeSettings);
+    document.getElementById('attributeOptions').addEventListener('change', (e) => {
+        if (e.target.classList.contains('attribute-option')) {
+            updateAttributeSettings();
+        }
+    });
+
+    // Listen for Matching changes
+    document.getElementById('crossNodeSwitch').addEventListener('change', (e) => {
+        updateCrossNodeSetting(e.target.checked);
+    });
+    document.getElementById('pipelineSwitch').addEventListener('change', (e) => {
+        updatePipelineSetting(e.target.checked);
+    });
+    document.getElementById('obfuscationSwitch').addEventListener('change', (e) => {
+        updateObfuscationSetting(e.target.checked);
+    });
+
+    // Listen for Display changes
+    document.getElementById('highlightSwitch').addEventListener('change', (e) => {
+        updateHighlightSetting(e.target.checked);
+    });
+
     // Listen for Export button click
     document.getElementById('exportBtn').addEventListener('click', () => {
         exportRules();
@@ -324,61 +1168,322 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('importFile').click();
     });
 
-    // Listen for file selection (after user picks a file in the dialog)
-    document.getElementById('importFile').addEventListener('change', (e) => {
-        importRules(e.target.files[0]);
+    // Listen for file selection (after user picks a file in the dialog)
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        importRules(e.target.files[0]);
+    });
+
+    // Listen for search box input with debounced filtering.
+    // "Debouncing" means we wait until the user stops typing for 150ms
+    // before actually filtering the list. Without this, the extension would
+    // re-filter the entire table on every single keystroke, which could make
+    // the interface feel sluggish when there are many rules.
+    let searchTimeout;
+    document.getElementById('searchBox').addEventListener('input', (e) => {
+        clearTimeout(searchTimeout);
+        const query = e.target.value;
+        searchTimeout = setTimeout(() => {
+            filterRules(query);
+        }, 150);
+    });
+});
+
+// -----------------------------------------------------------------------------
+// SETTINGS MANAGEMENT
+// Loads and saves the global settings: the on/off state of the extension,
+// the site list that controls which websites it runs on, the extra places
+// text is replaced in (Replace Text In), and the Matching and Display options.
+// -----------------------------------------------------------------------------
+
+/**
+ * Loads the global settings from storage and updates the UI controls.
+ */
+function loadSettings() {
+    const keys = [
+        'extensionEnabled', 'siteListMode', 'siteList', 'processFrames',
+        'replaceTitle', 'replaceAttributes', 'attributeNames', 'crossNodeMatching',
+        'rulePipeline', 'obfuscationMatching', 'highlightReplacements'
+    ];
+    chrome.storage.sync.get(keys, (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load settings:', chrome.runtime.lastError);
+            showStatus('Failed to load settings. Please refresh the page.', true);
+            return;
+        }
+
+        // Default to TRUE if the setting doesn't exist yet (first install)
+        const isEnabled = data.extensionEnabled !== false;
+        document.getElementById('masterSwitch').checked = isEnabled;
+        showSiteAccess(data.siteListMode, data.siteList);
+        // Frames are processed by default, like the master switch
+        document.getElementById('framesSwitch').checked = data.processFrames !== false;
+        // The tab title is processed by default, like page text
+        document.getElementById('titleSwitch').checked = data.replaceTitle !== false;
+        showAttributeSettings(data.replaceAttributes, data.attributeNames);
+        // Cross-node matching is opt-in
+        document.getElementById('crossNodeSwitch').checked = data.crossNodeMatching === true;
+        // Rules run in one pass unless the pipeline is turned on
+        document.getElementById('pipelineSwitch').checked = data.rulePipeline === true;
+        // Catching disguised text is opt-in, like cross-node matching
+        document.getElementById('obfuscationSwitch').checked = data.obfuscationMatching === true;
+        // So is highlighting
+        document.getElementById('highlightSwitch').checked = data.highlightReplacements === true;
+    });
+}
+
+/**
+ * Fills in the Replace Text In → Attributes controls from stored values.
+ * The attribute pass is off unless explicitly turned on; with no stored
+ * list, every supported attribute is checked (content.js assumes the same).
+ *
+ * @param {*} enabled - The stored replaceAttributes setting.
+ * @param {*} names - The stored attributeNames list.
+ */
+function showAttributeSettings(enabled, names) {
+    const isEnabled = enabled === true;
+    const chosen = Array.isArray(names) ? names : SUPPORTED_ATTRIBUTES;
+    document.getElementById('attributesSwitch').checked = isEnabled;
+    // Checkboxes are only clickable while the pass is on (a disabled
+    // fieldset disables every input inside it).
+    document.getElementById('attributeOptions').disabled = !isEnabled;
+    for (const checkbox of document.querySelectorAll('.attribute-option')) {
+        checkbox.checked = chosen.includes(checkbox.value);
+    }
+}
+
+/**
+ * Fills in the Site Access controls from stored values. Missing or corrupted
+ * values fall back to the defaults ("deny" mode with an empty list), which
+ * is what content.js assumes as well.
+ *
+ * @param {*} mode - The stored siteListMode.
+ * @param {*} list - The stored siteList.
+ */
+function showSiteAccess(mode, list) {
+    document.getElementById('siteListMode').value = mode === 'allow' ? 'allow' : 'deny';
+    document.getElementById('siteList').value = Array.isArray(list) ? list.join('\n') : '';
+}
+
+/**
+ * Saves the global on/off state to storage.
+ *
+ * @param {boolean} isEnabled - Whether the extension should be active.
+ */
+function updateMasterSwitch(isEnabled) {
+    chrome.storage.sync.set({ extensionEnabled: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save master switch setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Extension Enabled' : 'Extension Disabled');
+            Logger.debug('Master switch updated:', isEnabled);
+        }
+    });
+}
+
+/**
+ * Saves the "Run inside frames" setting to storage. When it is off, the
+ * content script in every iframe stops and restores the frame's text; the
+ * top-level page is not affected.
+ *
+ * @param {boolean} isEnabled - Whether iframes should be processed.
+ */
+function updateFramesSetting(isEnabled) {
+    chrome.storage.sync.set({ processFrames: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save frames setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Frames Enabled' : 'Frames Disabled');
+            Logger.debug('Frames setting updated:', isEnabled);
+        }
+    });
+}
+
+/**
+ * Saves the Replace Text In → Tab title setting to storage. When it is off,
+ * open tabs put their original title back.
+ *
+ * @param {boolean} isEnabled - Whether the document title should be processed.
+ */
+function updateTitleSetting(isEnabled) {
+    chrome.storage.sync.set({ replaceTitle: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save title setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Title Replacement Enabled' : 'Title Replacement Disabled');
+            Logger.debug('Title setting updated:', isEnabled);
+        }
+    });
+}
+
+/**
+ * Saves the Replace Text In → Attributes settings to storage: whether the
+ * attribute pass is on, and which attributes it covers. Open tabs pick up
+ * the change right away (content.js restores or replaces as needed).
+ */
+function updateAttributeSettings() {
+    const replaceAttributes = document.getElementById('attributesSwitch').checked;
+    const attributeNames = Array.from(document.querySelectorAll('.attribute-option'))
+        .filter(checkbox => checkbox.checked && SUPPORTED_ATTRIBUTES.includes(checkbox.value))
+        .map(checkbox => checkbox.value);
+
+    document.getElementById('attributeOptions').disabled = !replaceAttributes;
+
+    chrome.storage.sync.set({ replaceAttributes, attributeNames }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save attribute settings:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(replaceAttributes ? 'Attribute Replacement Enabled' : 'Attribute Replacement Disabled');
+            Logger.debug('Attribute settings updated:', replaceAttributes, attributeNames);
+        }
+    });
+}
+
+/**
+ * Saves the Matching → "Match across formatting" setting to storage. Open
+ * tabs redo their replacements in the new mode right away.
+ *
+ * @param {boolean} isEnabled - Whether phrases may span inline formatting.
+ */
+function updateCrossNodeSetting(isEnabled) {
+    chrome.storage.sync.set({ crossNodeMatching: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save cross-node matching setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Matching Across Formatting' : 'Matching Within Formatting');
+            Logger.debug('Cross-node matching updated:', isEnabled);
+        }
+    });
+}
+
+/**
+ * Saves the Matching → "Apply rules in order" setting to storage. With it
+ * on, open tabs run every rule as its own pass, top to bottom in the rules
+ * table, so a rule can rewrite what an earlier rule produced. It can only
+ * be turned on while every rule fits MAX_RULE_PASSES.
+ *
+ * @param {boolean} isEnabled - Whether rules run one after another.
+ */
+function updatePipelineSetting(isEnabled) {
+    if (!isEnabled) {
+        savePipelineSetting(false);
+        return;
+    }
+    chrome.storage.sync.get('wordMap', (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to get word map for pipeline setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+            document.getElementById('pipelineSwitch').checked = false;
+            return;
+        }
+        const passError = validateRulePasses(safeWordMap(data.wordMap), true);
+        if (passError) {
+            showStatus(passError, true);
+            document.getElementById('pipelineSwitch').checked = false;
+            return;
+        }
+        savePipelineSetting(true);
     });
+}
 
-    // Listen for search box input with debounced filtering.
-    // "Debouncing" means we wait until the user stops typing for 150ms
-    // before actually filtering the list. Without this, the extension would
-    // re-filter the entire table on every single keystroke, which could make
-    // the interface feel sluggish when there are many rules.
-    let searchTimeout;
-    document.getElementById('searchBox').addEventListener('input', (e) => {
-        clearTimeout(searchTimeout);
-        const query = e.target.value;
-        searchTimeout = setTimeout(() => {
-            filterRules(query);
-        }, 150);
+/**
+ * Writes the "Apply rules in order" setting (see updatePipelineSetting).
+ *
+ * @param {boolean} isEnabled - Whether rules run one after another.
+ */
+function savePipelineSetting(isEnabled) {
+    chrome.storage.sync.set({ rulePipeline: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save pipeline setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Rules Applied in Order' : 'Rules Applied Together');
+            Logger.debug('Pipeline setting updated:', isEnabled);
+        }
     });
-});
-
-// -----------------------------------------------------------------------------
-// SETTINGS MANAGEMENT
-// Loads and saves the global on/off state of the extension.
-// -----------------------------------------------------------------------------
+}
 
 /**
- * Loads the global on/off state from storage and updates the UI toggle.
+ * Saves the Matching → "Catch disguised text" setting to storage. With it
+ * on, open tabs also match rules' words hidden with invisible characters,
+ * look-alike letters or unusual spaces (see DISGUISED TEXT in content.js).
+ *
+ * @param {boolean} isEnabled - Whether disguised spellings should match.
  */
-function loadSettings() {
-    chrome.storage.sync.get('extensionEnabled', (data) => {
+function updateObfuscationSetting(isEnabled) {
+    chrome.storage.sync.set({ obfuscationMatching: isEnabled }, () => {
         if (chrome.runtime.lastError) {
-            Logger.error('Failed to load settings:', chrome.runtime.lastError);
-            showStatus('Failed to load settings. Please refresh the page.', true);
-            return;
+            Logger.error('Failed to save disguised text setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Catching Disguised Text' : 'Matching Text as Written');
+            Logger.debug('Disguised text setting updated:', isEnabled);
         }
+    });
+}
 
-        // Default to TRUE if the setting doesn't exist yet (first install)
-        const isEnabled = data.extensionEnabled !== false;
-        document.getElementById('masterSwitch').checked = isEnabled;
+/**
+ * Saves the Display → "Highlight replacements" setting to storage. Open
+ * tabs add or remove their highlights right away.
+ *
+ * @param {boolean} isEnabled - Whether replaced text should be highlighted.
+ */
+function updateHighlightSetting(isEnabled) {
+    chrome.storage.sync.set({ highlightReplacements: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save highlight setting:', chrome.runtime.lastError);
+            showStatus('Failed to save setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Highlighting Enabled' : 'Highlighting Disabled');
+            Logger.debug('Highlight setting updated:', isEnabled);
+        }
     });
 }
 
 /**
- * Saves the global on/off state to storage.
+ * Saves the Site Access settings (mode + site list) to storage.
+ * Data never leaves your browser — settings are saved to local
+ * chrome.storage.sync only.
  *
- * @param {boolean} isEnabled - Whether the extension should be active.
+ * The list is stored under its own "siteList" key, next to
+ * "extensionEnabled", so it has its own 8 KB per-item quota and does not
+ * eat into the space available for rules.
  */
-function updateMasterSwitch(isEnabled) {
-    chrome.storage.sync.set({ extensionEnabled: isEnabled }, () => {
+function updateSiteAccess() {
+    const siteListMode = document.getElementById('siteListMode').value === 'allow' ? 'allow' : 'deny';
+    const siteList = parseSiteList(document.getElementById('siteList').value);
+
+    const siteError = validateSitePatterns(siteList, MAX_SITE_LIST_PATTERNS);
+    if (siteError) {
+        showStatus(siteError, true);
+        return;
+    }
+
+    // "siteList" (8 chars) + 2 bytes for JSON quotes = 10 bytes of key overhead
+    if (new Blob([JSON.stringify(siteList)]).size + 10 > QUOTA_BYTES_PER_ITEM) {
+        const maxKB = (QUOTA_BYTES_PER_ITEM / 1024).toFixed(0);
+        showStatus(`Site list is too long for the browser's ${maxKB} KB per-item sync limit. Please remove some sites.`, true);
+        return;
+    }
+
+    chrome.storage.sync.set({ siteListMode, siteList }, () => {
         if (chrome.runtime.lastError) {
-            Logger.error('Failed to save master switch setting:', chrome.runtime.lastError);
+            Logger.error('Failed to save site access settings:', chrome.runtime.lastError);
             showStatus('Failed to save setting.', true);
+            return;
+        }
+        Logger.debug('Site access updated:', siteListMode, siteList);
+
+        // An empty allow list is valid but easy to set up by accident,
+        // so say plainly what it does.
+        if (siteListMode === 'allow' && siteList.length === 0) {
+            showStatus('Saved. The extension will not run on any site until you add one.');
         } else {
-            showStatus(isEnabled ? 'Extension Enabled' : 'Extension Disabled');
-            Logger.debug('Master switch updated:', isEnabled);
+            showStatus('Saved.');
         }
     });
 }
@@ -398,7 +1503,7 @@ function updateMasterSwitch(isEnabled) {
  * faster and smoother, especially with many rules.
  */
 function loadWordMap() {
-    chrome.storage.sync.get('wordMap', (data) => {
+    chrome.storage.sync.get(['wordMap', 'ruleOrder'], (data) => {
         if (chrome.runtime.lastError) {
             Logger.error('Failed to load word map:', chrome.runtime.lastError);
             showStatus('Failed to load rules. Please refresh the page.', true);
@@ -421,10 +1526,8 @@ function loadWordMap() {
         // only needs to recalculate layout once instead of N times.
         const fragment = document.createDocumentFragment();
 
-        for (const [originalText, ruleData] of Object.entries(wordMap)) {
-            // Handle older data formats that may not have the 'enabled' property
-            const enabled = ruleData.enabled !== false;
-            addRowToTable(originalText, ruleData.replacement, ruleData.caseSensitive, enabled, fragment);
+        for (const originalText of orderRuleKeys(wordMap, data.ruleOrder)) {
+            addRowToTable(originalText, wordMap[originalText], fragment);
         }
 
         // Show a helpful message when the rules table is empty
@@ -432,9 +1535,10 @@ function loadWordMap() {
             const emptyRow = document.createElement('tr');
             const emptyCell = document.createElement('td');
             // colspan must match the number of columns in the table header
-            // (Original String, Replacement String, Match Case, Enabled, Actions = 5).
+            // (Original String, Replacement String, Match Case / Accents, Keep Case,
+            // Regex / Swap / Spacing, Sites, Display, Enabled, Actions = 9).
             // Update this value if columns are added or removed from the <thead>.
-            emptyCell.setAttribute('colspan', '5');
+            emptyCell.setAttribute('colspan', '9');
             emptyCell.textContent = 'No replacement rules yet. Add one above to get started!';
             emptyCell.className = 'text-center empty-state';
             emptyRow.appendChild(emptyCell);
@@ -492,28 +1596,47 @@ function createToggle(checked, changeCallback, ariaLabel = '') {
  *
  * Each row contains:
  * - Editable original text input
- * - Editable replacement text input
+ * - Editable replacement text input (plus the action select)
  * - Case-sensitive toggle
+ * - Preserve-case toggle
+ * - Regex toggle (plus a flags input for regex rules) and swap toggle
+ * - Site inputs ("only on" and "never on" site lists)
+ * - Display options (highlight color, click to reveal)
  * - Enabled/disabled toggle
- * - Remove button
+ * - Drag handle (see RULE ORDER) and Remove button
  *
  * All elements are created programmatically using document.createElement
  * (never innerHTML) to prevent XSS and maintain CSP compliance.
  *
- * @param {string} originalText - The text to find.
- * @param {string} replacement - The text to replace it with.
- * @param {boolean} caseSensitive - Whether matching is case-sensitive.
- * @param {boolean} enabled - Whether this rule is active.
+ * @param {string} originalText - The text (or regex pattern) to find.
+ * @param {Object} ruleData - The rule's stored data
+ *   ({ replacement, caseSensitive, enabled, isRegex?, flags?, preserveCase?,
+ *   includeSites?, excludeSites?, highlightColor?, clickToReveal?, action?,
+ *   hideSelector?, swap?, aliases?, ignoreAccents?, flexibleSpacing? })).
  * @param {DocumentFragment|HTMLElement} [container] - Where to append the row.
  */
-function addRowToTable(originalText, replacement, caseSensitive, enabled, container) {
+function addRowToTable(originalText, ruleData, container) {
     const target = container || document.getElementById('replacementList');
     const row = document.createElement('tr');
+    // The rule's key, read back when the order is saved (see RULE ORDER).
+    row.dataset.rule = originalText;
+    makeDropTarget(row);
+
+    const replacement = ruleData.replacement;
+    const caseSensitive = Boolean(ruleData.caseSensitive);
+    // Handle older data formats that may not have the 'enabled' property
+    const enabled = ruleData.enabled !== false;
+    const isRegex = Boolean(ruleData.isRegex);
+    const preserveCase = Boolean(ruleData.preserveCase);
 
     // Create table cells
     const originalTextCell = document.createElement('td');
     const replacementTextCell = document.createElement('td');
     const caseSensitiveCell = document.createElement('td');
+    const preserveCaseCell = document.createElement('td');
+    const regexCell = document.createElement('td');
+    const sitesCell = document.createElement('td');
+    const displayCell = document.createElement('td');
     const enabledCell = document.createElement('td');
     const removeCell = document.createElement('td');
 
@@ -528,6 +1651,41 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
         updateReplacement(originalText, 'originalText', originalTextInput.value)
     );
 
+    // Other spellings of a group rule (see SYNONYM GROUPS), one per line in a
+    // textarea that the button below the original text expands. A textarea
+    // rather than an input, so filterRules() still finds the original and
+    // replacement inputs first.
+    const aliases = Array.isArray(ruleData.aliases) ? ruleData.aliases : [];
+    const aliasesInput = document.createElement('textarea');
+    aliasesInput.value = aliases.join('\n');
+    aliasesInput.rows = Math.min(Math.max(aliases.length, 2), 6);
+    aliasesInput.placeholder = 'Other spellings, one per line';
+    aliasesInput.className = 'aliases-input hidden';
+    aliasesInput.setAttribute('aria-label', `Other spellings replaced like "${originalText}" (one per line)`);
+    aliasesInput.addEventListener('change', () =>
+        updateReplacement(originalText, 'aliases', parseAliasList(aliasesInput.value))
+    );
+
+    const aliasesButton = document.createElement('button');
+    aliasesButton.type = 'button';
+    aliasesButton.className = 'aliases-toggle';
+    aliasesButton.textContent = aliases.length > 0 ? `+${aliases.length} more` : '+ spellings';
+    aliasesButton.classList.toggle('hidden', isRegex);
+    aliasesButton.setAttribute('aria-expanded', 'false');
+    aliasesButton.setAttribute('aria-label', `Other spellings of "${originalText}" (${aliases.length})`);
+    aliasesButton.addEventListener('click', () => {
+        const expanded = aliasesInput.classList.toggle('hidden') === false;
+        aliasesButton.setAttribute('aria-expanded', String(expanded));
+        if (expanded) aliasesInput.focus();
+    });
+
+    // The pattern a flexibly spaced rule really matches (see FLEXIBLE
+    // SPACING), shown below the original text while the option is on.
+    const spacingPattern = document.createElement('code');
+    spacingPattern.className = 'effective-pattern';
+    spacingPattern.textContent = flexiblePattern(originalText, caseSensitive);
+    spacingPattern.classList.toggle('hidden', !ruleData.flexibleSpacing || isRegex);
+
     // 2. Replacement Text Input (editable)
     const replacementTextInput = document.createElement('input');
     replacementTextInput.type = 'text';
@@ -539,6 +1697,42 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
         updateReplacement(originalText, 'replacement', replacementTextInput.value)
     );
 
+    // Action select (see RULE_ACTIONS). Redacting and hiding rules don't use
+    // their replacement text, so the input is disabled while one is chosen.
+    // Hide rules get a selector input for the element to hide. Both come
+    // after the replacement input so filterRules() still finds the original
+    // and replacement inputs first.
+    const action = Object.hasOwn(RULE_ACTIONS, ruleData.action) ? ruleData.action : 'replace';
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'action-select';
+    for (const [value, label] of Object.entries(RULE_ACTIONS)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        actionSelect.appendChild(option);
+    }
+    actionSelect.value = action;
+    actionSelect.setAttribute('aria-label', `What to do with matches of "${originalText}"`);
+    replacementTextInput.disabled = action !== 'replace';
+
+    const hideSelectorInput = document.createElement('input');
+    hideSelectorInput.type = 'text';
+    hideSelectorInput.value = ruleData.hideSelector || '';
+    hideSelectorInput.maxLength = MAX_PATTERN_LENGTH;
+    hideSelectorInput.placeholder = 'Element: site default';
+    hideSelectorInput.className = 'hide-selector-input';
+    hideSelectorInput.classList.toggle('hidden', action !== 'hide');
+    hideSelectorInput.setAttribute('aria-label', `CSS selector of the element to hide when "${originalText}" matches`);
+    hideSelectorInput.addEventListener('change', () =>
+        updateReplacement(originalText, 'hideSelector', hideSelectorInput.value.trim())
+    );
+
+    actionSelect.addEventListener('change', () => {
+        replacementTextInput.disabled = actionSelect.value !== 'replace';
+        hideSelectorInput.classList.toggle('hidden', actionSelect.value !== 'hide');
+        updateReplacement(originalText, 'action', actionSelect.value);
+    });
+
     // 3. Match Case Toggle
     const caseToggle = createToggle(
         caseSensitive,
@@ -546,7 +1740,108 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
         `Case-sensitive matching for "${originalText}"`
     );
 
-    // 4. Enabled/Disabled Toggle
+    // Ignore Accents toggle (see IGNORING ACCENTS), below Match Case.
+    const accentsToggle = createToggle(
+        Boolean(ruleData.ignoreAccents),
+        (checked) => updateReplacement(originalText, 'ignoreAccents', checked),
+        `Also match "${originalText}" with other accents or in other Unicode forms`
+    );
+
+    // 4. Preserve Case Toggle
+    const preserveCaseToggle = createToggle(
+        preserveCase,
+        (checked) => updateReplacement(originalText, 'preserveCase', checked),
+        `Copy the page's capitalization onto the replacement for "${originalText}"`
+    );
+
+    // 5. Regex Toggle + Flags Input
+    // The flags input is only shown for regex rules; it holds the extra
+    // m/s/u flags (see REGEX_FLAGS). It lives in this cell rather than next
+    // to the original text so filterRules() still finds the original and
+    // replacement inputs as the first two text inputs in the row.
+    const flagsInput = document.createElement('input');
+    flagsInput.type = 'text';
+    flagsInput.value = ruleData.flags || '';
+    flagsInput.maxLength = REGEX_FLAGS.length;
+    flagsInput.placeholder = 'flags';
+    flagsInput.className = 'flags-input';
+    flagsInput.classList.toggle('hidden', !isRegex);
+    flagsInput.setAttribute('aria-label', `Regex flags for "${originalText}"`);
+    flagsInput.addEventListener('change', () =>
+        updateReplacement(originalText, 'flags', flagsInput.value.trim())
+    );
+
+    const regexToggle = createToggle(
+        isRegex,
+        (checked) => {
+            updateReplacement(originalText, 'isRegex', checked);
+            flagsInput.classList.toggle('hidden', !checked);
+            aliasesButton.classList.toggle('hidden', checked);
+            spacingPattern.classList.toggle('hidden', checked || !spacingToggle.querySelector('input').checked);
+        },
+        `Treat "${originalText}" as a regular expression`
+    );
+
+    // Swap toggle (see SWAP RULES), below the regex settings in this cell.
+    const swapToggle = createToggle(
+        Boolean(ruleData.swap),
+        (checked) => updateReplacement(originalText, 'swap', checked),
+        `Also replace "${replacement}" with "${originalText}" (swap both ways)`
+    );
+
+    // Any Spacing toggle (see FLEXIBLE SPACING), below Swap.
+    const spacingToggle = createToggle(
+        Boolean(ruleData.flexibleSpacing),
+        (checked) => {
+            updateReplacement(originalText, 'flexibleSpacing', checked);
+            spacingPattern.classList.toggle('hidden', !checked || regexToggle.querySelector('input').checked);
+        },
+        `Match the words of "${originalText}" across any spaces, line breaks or hyphens`
+    );
+
+    // 6. Site List Inputs
+    // Comma-separated hosts or match patterns (see SITE PATTERN VALIDATION).
+    // Like the flags input, these come after the original and replacement
+    // inputs so filterRules() still finds those two first.
+    const siteInputs = SITE_LIST_FIELDS.map((field) => {
+        const isInclude = field === 'includeSites';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = Array.isArray(ruleData[field]) ? ruleData[field].join(', ') : '';
+        input.placeholder = isInclude ? 'Only on: all sites' : 'Never on: none';
+        input.className = 'sites-input';
+        input.setAttribute('aria-label', isInclude
+            ? `Only apply "${originalText}" on these sites (comma-separated)`
+            : `Never apply "${originalText}" on these sites (comma-separated)`);
+        input.addEventListener('change', () =>
+            updateReplacement(originalText, field, parseSiteList(input.value))
+        );
+        return input;
+    });
+
+    // 7. Display Options
+    // The highlight color is used when Display → Highlight replacements is
+    // on. Picking the default color removes the rule's own color (see
+    // updateReplacement). Click to Reveal lets readers click the rule's
+    // replacements to see the page's original text.
+    const highlightInput = document.createElement('input');
+    highlightInput.type = 'color';
+    highlightInput.value = HIGHLIGHT_COLOR_PATTERN.test(ruleData.highlightColor)
+        ? ruleData.highlightColor.toLowerCase()
+        : DEFAULT_HIGHLIGHT_COLOR;
+    highlightInput.className = 'highlight-color-input';
+    highlightInput.setAttribute('aria-label', `Highlight color for "${originalText}"`);
+    highlightInput.addEventListener('change', () =>
+        updateReplacement(originalText, 'highlightColor', highlightInput.value.toLowerCase())
+    );
+
+    const revealToggle = createToggle(
+        Boolean(ruleData.clickToReveal),
+        (checked) => updateReplacement(originalText, 'clickToReveal', checked),
+        `Let readers click replacements of "${originalText}" to see the original text`
+    );
+
+    // 8. Enabled/Disabled Toggle
     const enabledToggle = createToggle(
         enabled,
         (checked) => {
@@ -560,7 +1855,7 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
     // Set initial visual state for disabled rules
     row.classList.toggle('rule-disabled', !enabled);
 
-    // 5. Remove Button
+    // 9. Remove Button (the drag handle is added next to it below)
     const removeButton = document.createElement('button');
     removeButton.textContent = 'Remove';
     removeButton.className = 'btn-remove';
@@ -569,26 +1864,272 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
 
     // Assemble the row using appendChild (safe DOM manipulation, CSP-compliant)
     originalTextCell.appendChild(originalTextInput);
+    originalTextCell.appendChild(aliasesButton);
+    originalTextCell.appendChild(aliasesInput);
+    originalTextCell.appendChild(spacingPattern);
     replacementTextCell.appendChild(replacementTextInput);
+    replacementTextCell.appendChild(actionSelect);
+    replacementTextCell.appendChild(hideSelectorInput);
 
     caseSensitiveCell.className = 'text-center';
     caseSensitiveCell.appendChild(caseToggle);
+    const accentsOption = document.createElement('div');
+    accentsOption.className = 'accents-option';
+    accentsOption.appendChild(accentsToggle);
+    // Visible caption for the toggle (screen readers use its aria-label)
+    const accentsCaption = document.createElement('span');
+    accentsCaption.className = 'display-caption';
+    accentsCaption.textContent = 'Any accents';
+    accentsCaption.setAttribute('aria-hidden', 'true');
+    accentsOption.appendChild(accentsCaption);
+    caseSensitiveCell.appendChild(accentsOption);
+
+    preserveCaseCell.className = 'text-center';
+    preserveCaseCell.appendChild(preserveCaseToggle);
+
+    regexCell.className = 'text-center';
+    regexCell.appendChild(regexToggle);
+    regexCell.appendChild(flagsInput);
+    const swapOption = document.createElement('div');
+    swapOption.className = 'swap-option';
+    swapOption.appendChild(swapToggle);
+    // Visible caption for the toggle (screen readers use its aria-label)
+    const swapCaption = document.createElement('span');
+    swapCaption.className = 'display-caption';
+    swapCaption.textContent = 'Swap';
+    swapCaption.setAttribute('aria-hidden', 'true');
+    swapOption.appendChild(swapCaption);
+    regexCell.appendChild(swapOption);
+    const spacingOption = document.createElement('div');
+    spacingOption.className = 'spacing-option';
+    spacingOption.appendChild(spacingToggle);
+    // Visible caption for the toggle (screen readers use its aria-label)
+    const spacingCaption = document.createElement('span');
+    spacingCaption.className = 'display-caption';
+    spacingCaption.textContent = 'Any spacing';
+    spacingCaption.setAttribute('aria-hidden', 'true');
+    spacingOption.appendChild(spacingCaption);
+    regexCell.appendChild(spacingOption);
+
+    for (const input of siteInputs) {
+        sitesCell.appendChild(input);
+    }
+
+    const displayOptions = document.createElement('div');
+    displayOptions.className = 'display-cell';
+    displayOptions.appendChild(highlightInput);
+    displayOptions.appendChild(revealToggle);
+    // Visible caption for the toggle (screen readers use its aria-label)
+    const revealCaption = document.createElement('span');
+    revealCaption.className = 'display-caption';
+    revealCaption.textContent = 'Reveal';
+    revealCaption.setAttribute('aria-hidden', 'true');
+    displayOptions.appendChild(revealCaption);
+    displayCell.appendChild(displayOptions);
 
     enabledCell.className = 'text-center';
     enabledCell.appendChild(enabledToggle);
 
     removeCell.className = 'text-right';
+    removeCell.appendChild(createDragHandle(row, originalText));
     removeCell.appendChild(removeButton);
 
     row.appendChild(originalTextCell);
     row.appendChild(replacementTextCell);
     row.appendChild(caseSensitiveCell);
+    row.appendChild(preserveCaseCell);
+    row.appendChild(regexCell);
+    row.appendChild(sitesCell);
+    row.appendChild(displayCell);
     row.appendChild(enabledCell);
     row.appendChild(removeCell);
 
     target.appendChild(row);
 }
 
+// -----------------------------------------------------------------------------
+// RULE ORDER
+// Rules can be dragged into any order in the table (or moved with the arrow
+// keys on their drag handle). The order is saved as a list of rule keys
+// under its own "ruleOrder" key, next to "wordMap": storage keeps object
+// keys that look like numbers ("42") sorted before all others, so the order
+// of wordMap's own keys can't be relied on. Rules missing from the list
+// (added since the last reorder) come after the listed ones, oldest first.
+//
+// The order decides which regex rules run first, and with Matching → "Apply
+// rules in order" every rule runs as its own pass in this order.
+// NOTE: orderRuleKeys() is duplicated in content.js (see Logger note above).
+// -----------------------------------------------------------------------------
+
+// The row being dragged, while a drag is in progress.
+let draggedRow = null;
+
+// Timer for saving arrow-key moves. Holding an arrow key moves a row many
+// times a second; saving each step would run into sync storage's write
+// limit (120 per minute) and make every open tab re-apply the rules each
+// time. The order is saved once the key is released, or after
+// RULE_ORDER_SAVE_DELAY_MS without a move in case the release is missed.
+let ruleOrderSaveTimeout = null;
+
+/**
+ * Lists a word map's keys in the user's order.
+ *
+ * @param {Object} wordMap - The rules object.
+ * @param {*} ruleOrder - The stored ruleOrder list (anything else is ignored).
+ * @returns {string[]} - Every key of wordMap, each exactly once.
+ */
+function orderRuleKeys(wordMap, ruleOrder) {
+    const keys = Object.keys(wordMap);
+    if (!Array.isArray(ruleOrder) || ruleOrder.length === 0) return keys;
+    const ordered = [];
+    const seen = new Set();
+    for (const key of ruleOrder) {
+        if (typeof key === 'string' && Object.hasOwn(wordMap, key) && !seen.has(key)) {
+            ordered.push(key);
+            seen.add(key);
+        }
+    }
+    for (const key of keys) {
+        if (!seen.has(key)) ordered.push(key);
+    }
+    return ordered;
+}
+
+/**
+ * Checks that a rule order fits in a single sync storage item.
+ *
+ * @param {string[]} ruleOrder - The rule keys in order.
+ * @returns {string|null} - Error message if too large, or null if it fits.
+ */
+function validateRuleOrderQuota(ruleOrder) {
+    // "ruleOrder" (9 chars) + 2 bytes for JSON quotes = 11 bytes of key overhead
+    if (new Blob([JSON.stringify(ruleOrder)]).size + 11 > QUOTA_BYTES_PER_ITEM) {
+        const maxKB = (QUOTA_BYTES_PER_ITEM / 1024).toFixed(0);
+        return `Rule order is too long for the browser's ${maxKB} KB per-item sync limit.`;
+    }
+    return null;
+}
+
+/**
+ * Works out the rule order to save with imported rules. A replace import
+ * takes the file's order; a merge keeps the current rules where they are and
+ * adds the new ones after them, in the file's order. Files exported before
+ * the order was saved with the rules use the order of their rules.
+ *
+ * @param {Object} finalRules - The rules that will be saved.
+ * @param {Object} importData - The parsed import file ({ rules, ruleOrder? }).
+ * @param {{wordMap: Object, ruleOrder: *}|null} current - The stored rules and
+ *   their order when merging, or null when replacing them.
+ * @returns {string[]} - Every key of finalRules, each exactly once.
+ */
+function importedRuleOrder(finalRules, importData, current) {
+    const fileOrder = orderRuleKeys(importData.rules, importData.ruleOrder);
+    const currentOrder = current ? orderRuleKeys(current.wordMap, current.ruleOrder) : [];
+    return orderRuleKeys(finalRules, [...currentOrder, ...fileOrder]);
+}
+
+/**
+ * Saves the order of the rows currently in the rules table.
+ */
+function saveRuleOrder() {
+    // A save of earlier arrow-key moves is covered by this one.
+    clearTimeout(ruleOrderSaveTimeout);
+    ruleOrderSaveTimeout = null;
+
+    const ruleOrder = Array.from(document.querySelectorAll('#replacementList tr'))
+        .map(row => row.dataset.rule)
+        .filter(key => key !== undefined);
+
+    const quotaError = validateRuleOrderQuota(ruleOrder);
+    if (quotaError) {
+        showStatus(quotaError, true);
+        loadWordMap(); // Put the rows back in their saved order
+        return;
+    }
+
+    chrome.storage.sync.set({ ruleOrder }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save rule order:', chrome.runtime.lastError);
+            showStatus('Failed to save rule order.', true);
+            loadWordMap(); // Revert on failure
+        } else {
+            Logger.debug('Rule order updated:', ruleOrder);
+        }
+    });
+}
+
+/**
+ * Creates the drag handle of a rule row. Dragging it onto another row moves
+ * the rule there; with the keyboard, the arrow keys move it one row at a time
+ * (saved when the key is released — see ruleOrderSaveTimeout).
+ *
+ * @param {HTMLTableRowElement} row - The row the handle moves.
+ * @param {string} originalText - The rule's key (for the accessible label).
+ * @returns {HTMLButtonElement} - The handle.
+ */
+function createDragHandle(row, originalText) {
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    handle.draggable = true;
+    handle.title = 'Drag to reorder';
+    handle.setAttribute('aria-label', `Move rule for "${originalText}" (use the up and down arrow keys)`);
+
+    handle.addEventListener('dragstart', (event) => {
+        draggedRow = row;
+        row.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag when some data is set.
+        event.dataTransfer.setData('text/plain', originalText);
+        event.dataTransfer.setDragImage(row, 0, 0);
+    });
+    handle.addEventListener('dragend', () => {
+        row.classList.remove('dragging');
+        draggedRow = null;
+    });
+
+    handle.addEventListener('keydown', (event) => {
+        if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+        event.preventDefault();
+        const neighbour = event.key === 'ArrowUp' ? row.previousElementSibling : row.nextElementSibling;
+        if (!neighbour) return;
+        row.parentNode.insertBefore(row, event.key === 'ArrowUp' ? neighbour : neighbour.nextElementSibling);
+        handle.focus(); // Moving the row takes the focus away
+        clearTimeout(ruleOrderSaveTimeout);
+        ruleOrderSaveTimeout = setTimeout(saveRuleOrder, RULE_ORDER_SAVE_DELAY_MS);
+    });
+    handle.addEventListener('keyup', (event) => {
+        if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && ruleOrderSaveTimeout !== null) {
+            saveRuleOrder();
+        }
+    });
+
+    return handle;
+}
+
+/**
+ * Lets other rows be dragged onto a row. A row dropped on the top half of
+ * this row goes above it, on the bottom half below it.
+ *
+ * @param {HTMLTableRowElement} row - The row to accept drops on.
+ */
+function makeDropTarget(row) {
+    row.addEventListener('dragover', (event) => {
+        if (!draggedRow || draggedRow === row) return;
+        event.preventDefault(); // Allows the drop
+        event.dataTransfer.dropEffect = 'move';
+    });
+    row.addEventListener('drop', (event) => {
+        if (!draggedRow || draggedRow === row) return;
+        event.preventDefault();
+        const bounds = row.getBoundingClientRect();
+        const below = event.clientY > bounds.top + bounds.height / 2;
+        row.parentNode.insertBefore(draggedRow, below ? row.nextElementSibling : row);
+        saveRuleOrder();
+    });
+}
+
 // -----------------------------------------------------------------------------
 // RULE CRUD OPERATIONS
 // Create, Read, Update, Delete operations for replacement rules.
@@ -613,7 +2154,11 @@ function addRowToTable(originalText, replacement, caseSensitive, enabled, contai
  *
  * @param {string} originalText - The current key of the rule being edited.
  * @param {string} field - Which field to update: 'originalText', 'replacement',
- *                         'caseSensitive', or 'enabled'.
+ *                         'caseSensitive', 'enabled', 'isRegex', 'flags',
+ *                         'preserveCase', 'includeSites', 'excludeSites',
+ *                         'highlightColor', 'clickToReveal', 'action',
+ *                         'hideSelector', 'swap', 'aliases', 'ignoreAccents',
+ *                         or 'flexibleSpacing'.
  * @param {*} newValue - The new value for the field.
  */
 function updateReplacement(originalText, field, newValue) {
@@ -648,9 +2193,72 @@ function updateReplacement(originalText, field, newValue) {
         }
     }
 
+    if (field === 'replacement') {
+        const templateError = validateTemplate(newValue);
+        if (templateError) {
+            showStatus(templateError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    // Site lists must contain only valid hosts or match patterns.
+    if (SITE_LIST_FIELDS.includes(field)) {
+        const siteError = validateSitePatterns(newValue);
+        if (siteError) {
+            showStatus(siteError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    // Highlight colors come from the color picker, so anything else is a bug.
+    // The default color is stored as "no color of its own".
+    if (field === 'highlightColor') {
+        if (!HIGHLIGHT_COLOR_PATTERN.test(newValue)) {
+            showStatus('Invalid highlight color.', true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+        if (newValue === DEFAULT_HIGHLIGHT_COLOR) {
+            newValue = '';
+        }
+    }
+
+    // Actions come from the select, so anything else is a bug. "replace" is
+    // the default and is stored as no action at all.
+    if (field === 'action') {
+        if (!Object.hasOwn(RULE_ACTIONS, newValue)) {
+            showStatus('Invalid rule action.', true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+        if (newValue === 'replace') {
+            newValue = '';
+        }
+    }
+
+    if (field === 'hideSelector') {
+        const selectorError = validateHideSelector(newValue);
+        if (selectorError) {
+            showStatus(selectorError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    if (field === 'aliases') {
+        const aliasError = validateAliasList(newValue);
+        if (aliasError) {
+            showStatus(aliasError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
     // Read fresh data from storage to reduce the risk of race conditions.
     // If two tabs edit simultaneously, we always work with the latest data.
-    chrome.storage.sync.get('wordMap', (data) => {
+    chrome.storage.sync.get(['wordMap', 'ruleOrder', 'rulePipeline'], (data) => {
         if (chrome.runtime.lastError) {
             Logger.error('Failed to get word map for update:', chrome.runtime.lastError);
             showStatus('Failed to load data. Changes not saved.', true);
@@ -669,6 +2277,11 @@ function updateReplacement(originalText, field, newValue) {
         }
 
         const originalData = wordMap[originalText];
+        const pipelineEnabled = data.rulePipeline === true;
+        const hadOwnPass = ruleNeedsOwnPass(originalData, pipelineEnabled);
+        // Saved along with wordMap: a renamed rule keeps its place in the
+        // rule order (see RULE ORDER).
+        const otherChanges = {};
 
         // Special handling for renaming the original text (changing the key)
         if (field === 'originalText') {
@@ -696,14 +2309,15 @@ function updateReplacement(originalText, field, newValue) {
             // Prevent case-insensitive collisions when renaming a case-insensitive rule.
             // For example, renaming "cat" to "Cat" when another case-insensitive "CAT" rule
             // already exists would create two rules that silently collide in the replacement
-            // engine — only one would actually work.
-            if (!originalData.caseSensitive) {
-                const newLower = newValue.toLowerCase();
+            // engine — only one would actually work. Regex rules are patterns, not
+            // literal text, so they never take part in these collisions.
+            if (!originalData.caseSensitive && !originalData.isRegex) {
+                const newLower = foldCase(newValue);
                 for (const [key, ruleData] of Object.entries(wordMap)) {
                     if (key === originalText) continue;
                     // Skip corrupted entries where the rule value is null or not an object
                     if (!ruleData || typeof ruleData !== 'object') continue;
-                    if (!ruleData.caseSensitive && key.toLowerCase() === newLower) {
+                    if (!ruleData.caseSensitive && !ruleData.isRegex && foldCase(key) === newLower) {
                         loadWordMap();
                         showStatus(`A case-insensitive rule for "${key}" already exists and would collide.`, true);
                         return;
@@ -713,13 +2327,13 @@ function updateReplacement(originalText, field, newValue) {
 
             // Symmetric check: when renaming a case-SENSITIVE rule, warn if an existing
             // case-INSENSITIVE rule covers the same lowercased text.
-            if (originalData.caseSensitive) {
-                const newLower = newValue.toLowerCase();
+            if (originalData.caseSensitive && !originalData.isRegex) {
+                const newLower = foldCase(newValue);
                 for (const [key, ruleData] of Object.entries(wordMap)) {
                     if (key === originalText) continue;
                     // Skip corrupted entries where the rule value is null or not an object
                     if (!ruleData || typeof ruleData !== 'object') continue;
-                    if (!ruleData.caseSensitive && key.toLowerCase() === newLower) {
+                    if (!ruleData.caseSensitive && !ruleData.isRegex && foldCase(key) === newLower) {
                         loadWordMap();
                         showStatus(`Warning: a case-insensitive rule for "${key}" already exists and may overlap.`, true);
                         return;
@@ -732,7 +2346,7 @@ function updateReplacement(originalText, field, newValue) {
             // so a case-only rename would be confusing and appear to do nothing.
             // For case-SENSITIVE rules, "cat" and "Cat" are genuinely different
             // patterns, so the rename is meaningful and should be allowed.
-            if (newValue.toLowerCase() !== originalText.toLowerCase()) {
+            if (foldCase(newValue) !== foldCase(originalText)) {
                 // Real rename (different word entirely) — proceed normally
                 delete wordMap[originalText];
                 wordMap[newValue] = originalData;
@@ -751,10 +2365,61 @@ function updateReplacement(originalText, field, newValue) {
                 delete wordMap[originalText];
                 wordMap[newValue] = originalData;
             }
+            if (Array.isArray(data.ruleOrder) && data.ruleOrder.includes(originalText)) {
+                otherChanges.ruleOrder = data.ruleOrder.map(key => (key === originalText ? newValue : key));
+            }
+        } else if (OPTIONAL_RULE_FIELDS.has(field) && (!newValue || newValue.length === 0)) {
+            // Turning an optional setting off removes the field instead of
+            // storing false/''/[] so plain rules stay compact (see
+            // OPTIONAL_RULE_FIELDS). Flags only mean something for regex
+            // rules, so turning regex mode off clears them too.
+            delete originalData[field];
+            if (field === 'isRegex') delete originalData.flags;
         } else {
-            // Normal field update (replacement text, caseSensitive, enabled)
+            // Normal field update (replacement text, caseSensitive, enabled,
+            // or turning an optional setting on)
             wordMap[originalText][field] = newValue;
         }
+        // A selector only means something for hide rules.
+        if (field === 'action' && newValue !== 'hide') delete originalData.hideSelector;
+
+        // Swap rules must not overlap other rules after ANY edit: renaming or
+        // editing the replacement changes the texts, and the other settings
+        // decide whether a rule can be a swap rule at all (see SWAP RULES).
+        // Groups likewise (see SYNONYM GROUPS), and a regex rule can't
+        // ignore accents or spacing (see IGNORING ACCENTS and FLEXIBLE SPACING).
+        const ruleKey = field === 'originalText' ? newValue : originalText;
+        const swapError = validateSwapRule(wordMap, ruleKey) || validateGroupRule(wordMap, ruleKey) ||
+            validateAccentOption(originalData) || validateSpacingOption(originalData);
+        if (swapError) {
+            showStatus(swapError, true);
+            loadWordMap(); // Revert UI to previous valid state
+            return;
+        }
+
+        // Turning on regex mode, hiding, Any Accents or Any Spacing gives the
+        // rule a pass of its own, which must fit the content script's limit.
+        if (!hadOwnPass && ruleNeedsOwnPass(originalData, pipelineEnabled)) {
+            const passError = validateRulePasses(wordMap, pipelineEnabled);
+            if (passError) {
+                showStatus(passError, true);
+                loadWordMap(); // Revert UI to previous valid state
+                return;
+            }
+        }
+
+        // Regex rules must still compile after ANY edit — renaming changes the
+        // pattern, editing the replacement can add a bad $-reference, and
+        // turning regex mode on reinterprets the existing text as a pattern.
+        if (originalData.isRegex) {
+            const pattern = field === 'originalText' ? newValue : originalText;
+            const regexError = validateRegexRule(pattern, originalData.flags || '', originalData.replacement);
+            if (regexError) {
+                showStatus(regexError, true);
+                loadWordMap(); // Revert UI to previous valid state
+                return;
+            }
+        }
 
         // Validate storage quota BEFORE attempting to save.
         // This prevents exceeding browser limits and gives clear feedback.
@@ -766,7 +2431,7 @@ function updateReplacement(originalText, field, newValue) {
         }
 
         // Save to storage
-        chrome.storage.sync.set({ wordMap }, () => {
+        chrome.storage.sync.set({ wordMap, ...otherChanges }, () => {
             if (chrome.runtime.lastError) {
                 Logger.error('Failed to save replacement update:', chrome.runtime.lastError);
                 showStatus('Failed to save changes.', true);
@@ -788,7 +2453,8 @@ function updateReplacement(originalText, field, newValue) {
 
                 // Show "Saved" toast only for text edits, not for toggle changes
                 // (toggles give instant visual feedback via the switch itself)
-                if (field === 'replacement') {
+                if (field === 'replacement' || field === 'flags' || field === 'aliases' ||
+                    SITE_LIST_FIELDS.includes(field)) {
                     showStatus('Saved.');
                 }
             }
@@ -804,7 +2470,9 @@ function updateReplacement(originalText, field, newValue) {
  * VALIDATION:
  * - Original text must not be empty (would match nothing).
  * - Both fields must be within MAX_PATTERN_LENGTH.
- * - Total rules must not exceed MAX_RULES.
+ * - Regex rules must pass validateRegexRule().
+ * - Total rules must not exceed MAX_RULES, and a rule needing a pass of
+ *   its own must fit MAX_RULE_PASSES.
  * - Must not duplicate an existing rule.
  * - Must not exceed storage quota.
  *
@@ -815,9 +2483,30 @@ function addReplacement() {
     // Trim whitespace from original text to prevent invisible-difference
     // rules like " cat " vs "cat" that would confuse users. We intentionally
     // do NOT trim replacement text — the user may want leading/trailing spaces.
-    const newOriginal = document.getElementById('newOriginal').value.trim();
+    let newOriginal = document.getElementById('newOriginal').value.trim();
     const newReplacement = document.getElementById('newReplacement').value;
-    const newCaseSensitive = document.getElementById('newCaseSensitive').checked;
+    let newCaseSensitive = document.getElementById('newCaseSensitive').checked;
+    const newIsRegex = document.getElementById('newIsRegex').checked;
+    const newPreserveCase = document.getElementById('newPreserveCase').checked;
+    const newIgnoreAccents = document.getElementById('newIgnoreAccents').checked;
+    const newFlexibleSpacing = document.getElementById('newFlexibleSpacing').checked;
+    const newSwap = document.getElementById('newSwap').checked;
+    let newFlags = '';
+
+    // In regex mode, accept "/pattern/flags" literal syntax as well as a bare
+    // pattern. "g" is dropped (every match is always replaced) and "i" is
+    // folded into the Match Case setting, which is how the engine stores it.
+    if (newIsRegex) {
+        const literal = parseRegexLiteral(newOriginal);
+        if (literal) {
+            newOriginal = literal.pattern;
+            newFlags = literal.flags.replace(/g/g, '');
+            if (newFlags.includes('i')) {
+                newCaseSensitive = false;
+                newFlags = newFlags.replace(/i/g, '');
+            }
+        }
+    }
 
     // Validate that original text is not empty or whitespace-only
     if (!newOriginal) {
@@ -841,8 +2530,29 @@ function addReplacement() {
         return;
     }
 
+    const templateError = validateTemplate(newReplacement);
+    if (templateError) {
+        showStatus(templateError, true);
+        return;
+    }
+
+    if (newIsRegex) {
+        const regexError = validateRegexRule(newOriginal, newFlags, newReplacement);
+        if (regexError) {
+            showStatus(regexError, true);
+            return;
+        }
+    }
+
+    const optionError = validateAccentOption({ isRegex: newIsRegex, ignoreAccents: newIgnoreAccents }) ||
+        validateSpacingOption({ isRegex: newIsRegex, flexibleSpacing: newFlexibleSpacing });
+    if (optionError) {
+        showStatus(optionError, true);
+        return;
+    }
+
     // Read fresh data from storage to reduce the risk of race conditions
-    chrome.storage.sync.get('wordMap', (data) => {
+    chrome.storage.sync.get(['wordMap', 'rulePipeline'], (data) => {
         if (chrome.runtime.lastError) {
             Logger.error('Failed to get word map for adding rule:', chrome.runtime.lastError);
             showStatus('Failed to load data. Rule not added.', true);
@@ -870,12 +2580,14 @@ function addReplacement() {
         // already exists would create two rules that silently collide in the
         // replacement engine — only one would actually work, and the other
         // would be ignored with no warning. This check prevents that confusion.
-        if (!newCaseSensitive) {
-            const newLower = newOriginal.toLowerCase();
+        // Regex rules are patterns, not literal text, so they are left out of
+        // these checks on both sides.
+        if (!newCaseSensitive && !newIsRegex) {
+            const newLower = foldCase(newOriginal);
             for (const [key, ruleData] of Object.entries(wordMap)) {
                 // Skip corrupted entries where the rule value is null or not an object
                 if (!ruleData || typeof ruleData !== 'object') continue;
-                if (!ruleData.caseSensitive && key.toLowerCase() === newLower) {
+                if (!ruleData.caseSensitive && !ruleData.isRegex && foldCase(key) === newLower) {
                     showStatus(`A case-insensitive rule for "${key}" already exists. Change it to case-sensitive or use the existing rule.`, true);
                     return;
                 }
@@ -886,12 +2598,12 @@ function addReplacement() {
         // case-INSENSITIVE rule covers the same text. The insensitive rule already
         // matches all case variants, so the new sensitive rule may overlap and
         // produce unexpected results.
-        if (newCaseSensitive) {
-            const newLower = newOriginal.toLowerCase();
+        if (newCaseSensitive && !newIsRegex) {
+            const newLower = foldCase(newOriginal);
             for (const [key, ruleData] of Object.entries(wordMap)) {
                 // Skip corrupted entries where the rule value is null or not an object
                 if (!ruleData || typeof ruleData !== 'object') continue;
-                if (!ruleData.caseSensitive && key.toLowerCase() === newLower) {
+                if (!ruleData.caseSensitive && !ruleData.isRegex && foldCase(key) === newLower) {
                     showStatus(`Warning: a case-insensitive rule for "${key}" already exists and may overlap.`, true);
                     return;
                 }
@@ -899,11 +2611,37 @@ function addReplacement() {
         }
 
         // Add the new rule
-        wordMap[newOriginal] = {
+        const newRule = {
             replacement: newReplacement,
             caseSensitive: newCaseSensitive,
             enabled: true
         };
+        if (newIsRegex) {
+            newRule.isRegex = true;
+            if (newFlags) newRule.flags = newFlags;
+        }
+        if (newPreserveCase) newRule.preserveCase = true;
+        if (newIgnoreAccents) newRule.ignoreAccents = true;
+        if (newFlexibleSpacing) newRule.flexibleSpacing = true;
+        if (newSwap) newRule.swap = true;
+        wordMap[newOriginal] = newRule;
+
+        // A swap rule matches its replacement too, which must not collide
+        // with other rules — and no rule may collide with a swap rule's
+        // replacement or a group's spellings (see SWAP RULES and SYNONYM GROUPS).
+        const swapError = validateSwapRule(wordMap, newOriginal) || validateGroupRule(wordMap, newOriginal);
+        if (swapError) {
+            showStatus(swapError, true);
+            return;
+        }
+
+        // A rule with a pass of its own must fit the content script's limit.
+        const pipelineEnabled = data.rulePipeline === true;
+        const passError = ruleNeedsOwnPass(newRule, pipelineEnabled) ? validateRulePasses(wordMap, pipelineEnabled) : null;
+        if (passError) {
+            showStatus(passError, true);
+            return;
+        }
 
         // Validate storage quota before saving
         const quotaError = validateStorageQuota(wordMap);
@@ -918,7 +2656,7 @@ function addReplacement() {
                 Logger.error('Failed to add new replacement:', chrome.runtime.lastError);
                 showStatus('Failed to add replacement. Storage full?', true);
             } else {
-                Logger.debug('New replacement added:', newOriginal, '\u2192', newReplacement);
+                Logger.debug('New replacement added:', newOriginal, newSwap ? '\u2194' : '\u2192', newReplacement);
 
                 // Remove the "No replacement rules yet" message if present,
                 // so the first real rule row appears cleanly.
@@ -929,7 +2667,7 @@ function addReplacement() {
                 }
 
                 // Update UI instantly without a full table reload
-                addRowToTable(newOriginal, newReplacement, newCaseSensitive, true);
+                addRowToTable(newOriginal, newRule);
 
                 // Scroll the new row into view so the user can see it was added,
                 // especially when the table is long enough to require scrolling.
@@ -951,6 +2689,13 @@ function addReplacement() {
                 document.getElementById('newOriginal').value = '';
                 document.getElementById('newReplacement').value = '';
                 document.getElementById('newCaseSensitive').checked = false;
+                document.getElementById('newIsRegex').checked = false;
+                document.getElementById('newPreserveCase').checked = false;
+                document.getElementById('newIgnoreAccents').checked = false;
+                document.getElementById('newSwap').checked = false;
+                document.getElementById('newFlexibleSpacing').checked = false;
+                updateTemplatePreview();
+                updateSpacingPreview();
 
                 showStatus('Replacement added.');
             }
@@ -975,7 +2720,7 @@ function removeReplacement(originalText) {
     }
 
     // Read fresh data from storage to reduce the risk of race conditions
-    chrome.storage.sync.get('wordMap', (data) => {
+    chrome.storage.sync.get(['wordMap', 'ruleOrder'], (data) => {
         if (chrome.runtime.lastError) {
             Logger.error('Failed to get word map for removal:', chrome.runtime.lastError);
             showStatus('Failed to load data. Rule not removed.', true);
@@ -993,8 +2738,13 @@ function removeReplacement(originalText) {
         }
 
         delete wordMap[originalText];
+        // Forget the rule's place too, so a new rule with the same text
+        // starts at the bottom like any other new rule (see RULE ORDER).
+        const otherChanges = Array.isArray(data.ruleOrder)
+            ? { ruleOrder: data.ruleOrder.filter(key => key !== originalText) }
+            : {};
 
-        chrome.storage.sync.set({ wordMap }, () => {
+        chrome.storage.sync.set({ wordMap, ...otherChanges }, () => {
             if (chrome.runtime.lastError) {
                 Logger.error('Failed to save after removal:', chrome.runtime.lastError);
                 showStatus('Failed to remove replacement.', true);
@@ -1064,10 +2814,11 @@ function showStatus(message, isError = false) {
  * Data never leaves your browser — the file is generated entirely in-memory
  * and downloaded directly to your device. No server is contacted.
  * The file includes metadata (version, timestamp, rule count) for future
- * compatibility and user reference.
+ * compatibility and user reference, and the rule order, which decides the
+ * result in pipeline mode (see RULE ORDER).
  */
 function exportRules() {
-    chrome.storage.sync.get('wordMap', (data) => {
+    chrome.storage.sync.get(['wordMap', 'ruleOrder'], (data) => {
         if (chrome.runtime.lastError) {
             Logger.error('Failed to get word map for export:', chrome.runtime.lastError);
             showStatus('Failed to load rules for export.', true);
@@ -1103,7 +2854,8 @@ function exportRules() {
             version,
             exportedAt: now.toISOString(),
             rulesCount: ruleCount,
-            rules: wordMap
+            rules: wordMap,
+            ruleOrder: orderRuleKeys(wordMap, data.ruleOrder)
         };
 
         // Pretty-print JSON so users can read the file if they open it
@@ -1143,9 +2895,13 @@ function exportRules() {
  *
  * VALIDATION:
  * - File must be a .json file.
- * - JSON must contain a valid "rules" object.
+ * - JSON must contain a valid "rules" object, and "ruleOrder" (if present)
+ *   must be a list.
  * - Each rule is validated for correct types and safe lengths.
- * - Total rule count must not exceed MAX_RULES.
+ * - Merged rules must not conflict with the saved ones (see
+ *   validateRuleConflicts).
+ * - Total rule count must not exceed MAX_RULES, and the rules needing a
+ *   pass of their own must not exceed MAX_RULE_PASSES.
  * - Total storage must not exceed browser quota.
  *
  * @param {File} file - The JSON file selected by the user.
@@ -1198,6 +2954,13 @@ function importRules(file) {
                 return;
             }
 
+            // Exports from older versions have no rule order (see
+            // importedRuleOrder); anything other than a list is not an export.
+            if (importData.ruleOrder !== undefined && !Array.isArray(importData.ruleOrder)) {
+                showStatus('Invalid file format! "ruleOrder" must be a list of rules.', true);
+                return;
+            }
+
             const importedRules = importData.rules;
             const importCount = Object.keys(importedRules).length;
 
@@ -1227,8 +2990,8 @@ function importRules(file) {
                 'Cancel = MERGE imported rules into your existing rules.'
             );
 
-            // Read current rules from storage for merge mode
-            chrome.storage.sync.get('wordMap', (data) => {
+            // Read current rules (and their order) from storage for merge mode
+            chrome.storage.sync.get(['wordMap', 'ruleOrder', 'rulePipeline'], (data) => {
                 if (chrome.runtime.lastError) {
                     Logger.error('Failed to get word map for import:', chrome.runtime.lastError);
                     showStatus('Failed to load current rules.', true);
@@ -1252,6 +3015,16 @@ function importRules(file) {
                     delete finalRules[key];
                 }
 
+                // The imported rules were only checked against each other; a
+                // merged swap rule or group must not overlap a saved rule either.
+                if (!shouldReplace) {
+                    const conflictError = validateRuleConflicts(finalRules);
+                    if (conflictError) {
+                        showStatus(conflictError, true);
+                        return;
+                    }
+                }
+
                 // Check if result exceeds rule limit
                 const finalCount = Object.keys(finalRules).length;
                 if (finalCount > MAX_RULES) {
@@ -1259,6 +3032,13 @@ function importRules(file) {
                     return;
                 }
 
+                // Check the rules with a pass of their own
+                const passError = validateRulePasses(finalRules, data.rulePipeline === true);
+                if (passError) {
+                    showStatus(passError, true);
+                    return;
+                }
+
                 // Check storage quota
                 const quotaError = validateStorageQuota(finalRules);
                 if (quotaError) {
@@ -1266,15 +3046,30 @@ function importRules(file) {
                     return;
                 }
 
+                // Save the order with the rules: a replace import must not keep
+                // ordering its rules by the order of the rules it replaced.
+                const ruleOrder = importedRuleOrder(finalRules, importData,
+                    shouldReplace ? null : { wordMap: safeWordMap(data.wordMap), ruleOrder: data.ruleOrder });
+                const orderError = validateRuleOrderQuota(ruleOrder);
+                if (orderError) {
+                    showStatus(orderError, true);
+                    return;
+                }
+
                 // Save the imported rules
-                chrome.storage.sync.set({ wordMap: finalRules }, () => {
+                chrome.storage.sync.set({ wordMap: finalRules, ruleOrder }, () => {
                     if (chrome.runtime.lastError) {
                         Logger.error('Failed to save imported rules:', chrome.runtime.lastError);
                         showStatus('Failed to save imported rules.', true);
                     } else {
                         Logger.debug('Import successful:', finalCount, 'total rules');
                         loadWordMap(); // Refresh the UI
-                        showStatus(`Successfully imported ${importCount} rules! Total: ${finalCount}`);
+                        const unknownTokens = Object.values(importedRules)
+                            .filter(rule => findUnknownToken(rule.replacement) !== null).length;
+                        const tokenNote = unknownTokens > 0
+                            ? ` ${unknownTokens} replacement(s) contain unknown {tokens}, kept as text.`
+                            : '';
+                        showStatus(`Successfully imported ${importCount} rules! Total: ${finalCount}.${tokenNote}`);
                     }
                 });
             });
@@ -1336,8 +3131,12 @@ function filterRules(query) {
 
         const originalText = inputs[0].value.toLowerCase();
         const replacementText = inputs[1].value.toLowerCase();
+        // A group's other spellings count as original text (see SYNONYM GROUPS).
+        const aliasesInput = row.querySelector('.aliases-input');
+        const aliasesText = aliasesInput ? aliasesInput.value.toLowerCase() : '';
 
-        const matches = originalText.includes(searchQuery) || replacementText.includes(searchQuery);
+        const matches = originalText.includes(searchQuery) || replacementText.includes(searchQuery) ||
+            aliasesText.includes(searchQuery);
 
         if (matches) {
             row.classList.remove('hidden-by-filter');
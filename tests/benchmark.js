@@ -10,27 +10,52 @@ const sandbox = {
   setTimeout: setTimeout,
   clearTimeout: clearTimeout,
   window: {},
+  location: { href: 'https://news.example.com/today#top' },
   Set: Set, // Ensure Set is available if not automatic
+  URL: URL,
   document: {
     body: {},
-    createTreeWalker: () => ({ nextNode: () => false }), // Mock for initial run
+    // Minimal TreeWalker over mock nodes' childNodes arrays. It honors
+    // whatToShow and the FILTER_ACCEPT / FILTER_REJECT / FILTER_SKIP results
+    // like the real one, but collects all matches up front.
+    createTreeWalker: (root, whatToShow, filter) => {
+      const found = [];
+      const visit = (node) => {
+        for (const child of node.childNodes || []) {
+          const shown = (child.nodeType === 1 && (whatToShow & 1)) || (child.nodeType === 3 && (whatToShow & 4));
+          const result = shown ? filter.acceptNode(child) : 3;
+          if (result === 1) found.push(child);
+          if (result !== 2) visit(child);
+        }
+      };
+      visit(root);
+      let index = -1;
+      return {
+        get currentNode() { return found[index]; },
+        nextNode: () => ++index < found.length
+      };
+    },
   },
   Node: {
     TEXT_NODE: 3,
     ELEMENT_NODE: 1
   },
   NodeFilter: {
+    SHOW_ELEMENT: 1,
     SHOW_TEXT: 4,
     FILTER_ACCEPT: 1,
-    FILTER_REJECT: 2
+    FILTER_REJECT: 2,
+    FILTER_SKIP: 3
   },
   MutationObserver: class {
-    constructor(callback) {}
-    observe() {}
+    // Keep the callbacks so tests can feed them mutation records directly.
+    // content.js creates the page observer first, then the title observer.
+    constructor(callback) { sandbox.observerCallbacks.push(callback); }
+    observe(target) { sandbox.observedTargets.push(target); }
     disconnect() {}
   },
   chrome: {
-    runtime: { lastError: null },
+    runtime: { id: 'benchmark', lastError: null },
     storage: {
       sync: {
         get: (keys, cb) => {
@@ -39,7 +64,8 @@ const sandbox = {
         }
       },
       onChanged: {
-        addListener: () => {}
+        // Keep the listener so tests can simulate settings changes.
+        addListener: (listener) => { sandbox.storageListener = listener; }
       }
     }
   }
@@ -47,6 +73,9 @@ const sandbox = {
 
 // Add self-reference for window
 sandbox.window = sandbox;
+sandbox.top = sandbox; // The benchmark runs as the top-level page, not a frame
+sandbox.observedTargets = [];
+sandbox.observerCallbacks = [];
 
 // Read content.js
 let code = fs.readFileSync(path.join(__dirname, '..', 'src', 'content.js'), 'utf8');
@@ -71,6 +100,8 @@ if (code.indexOf('const MAX_TEXT_NODE_LENGTH = 2000000;') === -1) {
 vm.createContext(sandbox);
 vm.runInContext(code, sandbox);
 
+[sandbox.observerCallback, sandbox.titleObserverCallback] = sandbox.observerCallbacks;
+
 // Verify that content.js exposed the expected functions to the sandbox.
 // If content.js is ever refactored to use an IIFE, module pattern, or
 // ES modules, these function declarations would no longer be global.
@@ -89,10 +120,10 @@ if (typeof sandbox.updateRegexes !== 'function') {
 
 // 1. Setup Rules
 const wordMap = {};
-// Bulk replacements to force heavy regex usage. We use 240 rules here so that
-// the total (240 + ~11 verification rules below) stays under the MAX_RULES
-// limit of 255 enforced by content.js. The exact count doesn't matter — what
-// matters is having enough alternations to stress-test the regex engine.
+// Bulk replacements to force heavy matching. The exact count doesn't matter
+// — what matters is having enough rules to stress-test the combined passes.
+// (How matching time grows with thousands of rules is checked separately
+// below — see the rule scaling check.)
 for (let i = 0; i < 240; i++) {
   wordMap[`word${i}`] = { replacement: `REPLACED${i}`, caseSensitive: false, enabled: true };
 }
@@ -117,6 +148,12 @@ wordMap['$5.00'] = { replacement: 'five dollars', caseSensitive: false, enabled:
 wordMap['C++'] = { replacement: 'Cpp', caseSensitive: true, enabled: true };
 wordMap['(test)'] = { replacement: '[tested]', caseSensitive: false, enabled: true };
 
+// Regex rules (isRegex: true) to verify capture-group references ($1,
+// $<name>, $&) are expanded in the separate regex pass.
+wordMap['(\\d+) apples'] = { replacement: '$1 pears', caseSensitive: false, enabled: true, isRegex: true };
+wordMap['Ticket-(?<id>\\d+)'] = { replacement: '#$<id>', caseSensitive: true, enabled: true, isRegex: true };
+wordMap['acme(?= corp)'] = { replacement: '[$&]', caseSensitive: false, enabled: true, isRegex: true };
+
 // Add a disabled rule to verify it is excluded from processing.
 wordMap['DISABLED_WORD'] = { replacement: 'SHOULD_NOT_APPEAR', caseSensitive: false, enabled: false };
 
@@ -126,7 +163,7 @@ sandbox.updateRegexes(wordMap);
 // 2. Create Heavy Text Node
 // We want enough text to make the benchmark meaningful (e.g., taking > 10ms)
 let text = "";
-const basePattern = "The Quick brown Fox jumps over the lazy dog. word50 word239 word0 is and the. $5.00 C++ (test) ";
+const basePattern = "The Quick brown Fox jumps over the lazy dog. word50 word239 word0 is and the. $5.00 C++ (test) 12 apples Ticket-42 Acme Corp ";
 for (let i = 0; i < 10000; i++) {
   text += basePattern;
 }
@@ -176,6 +213,9 @@ const checks = [
     { search: 'five dollars', label: "'$5.00' → 'five dollars' (special chars)" },
     { search: 'Cpp', label: "'C++' → 'Cpp' (special chars, case-sensitive)" },
     { search: '[tested]', label: "'(test)' → '[tested]' (special chars)" },
+    { search: '12 pears', label: "regex '(\\d+) apples' → '$1 pears' (numbered group)" },
+    { search: '#42', label: "regex 'Ticket-(?<id>\\d+)' → '#$<id>' (named group)" },
+    { search: '[Acme] Corp', label: "regex 'acme(?= corp)' → '[$&]' (whole match, case-insensitive)" },
 ];
 
 let allPassed = true;
@@ -212,6 +252,897 @@ if (oversizedNode.nodeValue === originalValue) {
     allPassed = false;
 }
 
+// Verify original text tracking: re-processing must start from the page's
+// own text (no double application), and rule removal or a restore must put
+// the original text back.
+const trackedNode = {
+    nodeType: 3,
+    nodeValue: 'a cat sat',
+    isConnected: true,
+    parentNode: { tagName: 'DIV', isContentEditable: false }
+};
+sandbox.updateRegexes({ cat: { replacement: 'cat cat', caseSensitive: false, enabled: true } });
+sandbox.processNode(trackedNode);
+sandbox.processNode(trackedNode);
+if (trackedNode.nodeValue === 'a cat cat sat') {
+    console.log('  [PASS]: Re-processing a node does not apply rules twice');
+} else {
+    console.log(`  [FAIL]: Re-processing applied rules twice — got "${trackedNode.nodeValue}"`);
+    allPassed = false;
+}
+
+sandbox.updateRegexes({ cat: { replacement: 'cat cat', caseSensitive: false, enabled: false } });
+sandbox.processNode(trackedNode);
+if (trackedNode.nodeValue === 'a cat sat') {
+    console.log('  [PASS]: Disabling a rule restores the original text');
+} else {
+    console.log(`  [FAIL]: Disabling a rule should restore "a cat sat" — got "${trackedNode.nodeValue}"`);
+    allPassed = false;
+}
+
+sandbox.updateRegexes({ cat: { replacement: 'dog', caseSensitive: false, enabled: true } });
+sandbox.processNode(trackedNode);
+sandbox.restoreOriginalText();
+if (trackedNode.nodeValue === 'a cat sat') {
+    console.log('  [PASS]: restoreOriginalText() puts the page text back');
+} else {
+    console.log(`  [FAIL]: restoreOriginalText() should restore "a cat sat" — got "${trackedNode.nodeValue}"`);
+    allPassed = false;
+}
+
+// Verify case-preserving rules copy the matched text's capitalization
+// (lower, Title, UPPER, and letter-by-letter mixed case), including on
+// regex rules after capture groups are expanded.
+const caseNode = {
+    nodeType: 3,
+    nodeValue: 'cat Cat CAT cAt new york New York 3 Apples',
+    parentNode: { tagName: 'DIV', isContentEditable: false }
+};
+sandbox.updateRegexes({
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true, preserveCase: true },
+    'new york': { replacement: 'los angeles', caseSensitive: false, enabled: true, preserveCase: true },
+    '(\\d+) apples': { replacement: '$1 pears', caseSensitive: false, enabled: true, isRegex: true, preserveCase: true }
+});
+sandbox.processNode(caseNode);
+if (caseNode.nodeValue === 'dog Dog DOG dOg los angeles Los Angeles 3 Pears') {
+    console.log('  [PASS]: Case-preserving rules copy lower, Title, UPPER and mixed case');
+} else {
+    console.log(`  [FAIL]: Case-preserving rules produced "${caseNode.nodeValue}"`);
+    allPassed = false;
+}
+
+// Verify site scoping: includeSites/excludeSites are checked against the
+// mocked location (https://news.example.com/today) when rules are compiled.
+const siteNode = {
+    nodeType: 3,
+    nodeValue: 'one two three four five',
+    parentNode: { tagName: 'DIV', isContentEditable: false }
+};
+sandbox.updateRegexes({
+    one: { replacement: '1', caseSensitive: false, enabled: true, includeSites: ['example.com'] },
+    two: { replacement: '2', caseSensitive: false, enabled: true, includeSites: ['https://*.example.com/today*'] },
+    three: { replacement: '3', caseSensitive: false, enabled: true, includeSites: ['other.org'] },
+    four: { replacement: '4', caseSensitive: false, enabled: true, excludeSites: ['*.example.com'] },
+    five: { replacement: '5', caseSensitive: false, enabled: true, includeSites: ['*://news.example.com/*'], excludeSites: ['http://*/*'] }
+});
+sandbox.processNode(siteNode);
+if (siteNode.nodeValue === '1 2 three four 5') {
+    console.log('  [PASS]: Site-scoped rules honor includeSites and excludeSites');
+} else {
+    console.log(`  [FAIL]: Site-scoped rules produced "${siteNode.nodeValue}" — expected "1 2 three four 5"`);
+    allPassed = false;
+}
+
+// Verify the global site list: 'deny' mode skips listed sites, 'allow'
+// mode runs only on listed sites (so an empty allow list runs nowhere).
+const siteListCases = [
+    ['deny', ['example.com'], false],
+    ['deny', ['other.org'], true],
+    ['deny', [], true],
+    ['allow', ['https://news.example.com/*'], true],
+    ['allow', ['other.org'], false],
+    ['allow', [], false]
+];
+const siteListFailures = siteListCases.filter(([mode, list, expected]) => sandbox.isSiteAllowed(mode, list) !== expected);
+if (siteListFailures.length === 0) {
+    console.log('  [PASS]: Global site list honors deny and allow modes');
+} else {
+    console.log(`  [FAIL]: Global site list gave the wrong answer for ${JSON.stringify(siteListFailures)}`);
+    allPassed = false;
+}
+
+// Verify characterData handling: text rewritten in place by the page is
+// re-processed, while the mutation caused by our own write is ignored (a
+// rule whose replacement contains its original must not keep growing).
+sandbox.updateRegexes({ cat: { replacement: 'cats', caseSensitive: false, enabled: true } });
+const liveNode = {
+    nodeType: 3,
+    nodeValue: 'cat',
+    isConnected: true,
+    parentNode: { tagName: 'DIV', isContentEditable: false }
+};
+sandbox.processNode(liveNode);
+let liveNodeWrites = 0;
+let liveNodeValue = liveNode.nodeValue;
+Object.defineProperty(liveNode, 'nodeValue', {
+    get: () => liveNodeValue,
+    set: (value) => { liveNodeWrites++; liveNodeValue = value; }
+});
+sandbox.observerCallback([{ type: 'characterData', target: liveNode, addedNodes: [] }]);
+const ownWriteIgnored = liveNodeWrites === 0 && liveNode.nodeValue === 'cats';
+liveNodeValue = 'one cat, two cat'; // The page rewrites the node in place
+sandbox.observerCallback([{ type: 'characterData', target: liveNode, addedNodes: [] }]);
+sandbox.observerCallback([{ type: 'characterData', target: liveNode, addedNodes: [] }]);
+if (ownWriteIgnored && liveNode.nodeValue === 'one cats, two cats' && liveNodeWrites === 1) {
+    console.log('  [PASS]: In-place text changes are re-processed; our own writes are ignored');
+} else {
+    console.log(`  [FAIL]: characterData handling produced "${liveNode.nodeValue}" after ${liveNodeWrites} write(s)`);
+    allPassed = false;
+}
+
+// Verify open shadow roots: text directly inside the root and inside its
+// elements is replaced, ignored tags inside it are skipped, light-DOM
+// children of the host are still processed, and the root gets observed.
+sandbox.updateRegexes({ cat: { replacement: 'dog', caseSensitive: false, enabled: true } });
+const textIn = (parentNode, value) => {
+    const node = { nodeType: 3, nodeValue: value, parentNode };
+    parentNode.childNodes.push(node);
+    return node;
+};
+const shadowHost = { nodeType: 1, tagName: 'MY-WIDGET', childNodes: [], isContentEditable: false };
+const shadowRoot = { nodeType: 11, host: shadowHost, childNodes: [] };
+shadowHost.shadowRoot = shadowRoot;
+const shadowSpan = { nodeType: 1, tagName: 'SPAN', childNodes: [], isContentEditable: false };
+const shadowScript = { nodeType: 1, tagName: 'SCRIPT', childNodes: [], isContentEditable: false };
+shadowRoot.childNodes.push(shadowSpan, shadowScript);
+const rootText = textIn(shadowRoot, 'cat in root');
+const spanText = textIn(shadowSpan, 'cat in span');
+const scriptText = textIn(shadowScript, 'cat in script');
+const lightText = textIn(shadowHost, 'cat in light DOM');
+sandbox.processElement(shadowHost);
+if (rootText.nodeValue === 'dog in root' && spanText.nodeValue === 'dog in span' &&
+    scriptText.nodeValue === 'cat in script' && lightText.nodeValue === 'dog in light DOM' &&
+    sandbox.observedTargets.includes(shadowRoot)) {
+    console.log('  [PASS]: Open shadow roots are processed and observed');
+} else {
+    console.log(`  [FAIL]: Shadow DOM handling produced ${JSON.stringify([rootText.nodeValue, spanText.nodeValue, scriptText.nodeValue, lightText.nodeValue])}`);
+    allPassed = false;
+}
+
+// Verify about:blank frames are matched against the page that created them.
+const topLocation = sandbox.location;
+sandbox.location = { protocol: 'about:', href: 'about:blank' };
+sandbox.parent = { location: { protocol: 'https:', href: 'https://parent.example.com/thread#reply' } };
+const frameUrl = sandbox.getPageUrl();
+sandbox.location = topLocation;
+delete sandbox.parent;
+if (frameUrl === 'https://parent.example.com/thread') {
+    console.log("  [PASS]: about:blank frames use their parent's URL for site matching");
+} else {
+    console.log(`  [FAIL]: about:blank frame URL resolved to "${frameUrl}"`);
+    allPassed = false;
+}
+
+// Verify the opt-in attribute pass: only chosen attributes are replaced,
+// "value" only on button inputs, INPUT placeholders are reached even though
+// INPUT content is ignored, and attribute mutations from our own writes are
+// skipped while the page's own changes are re-processed.
+const attrElement = (tagName, attributes, extra = {}) => {
+    const element = { nodeType: 1, tagName, childNodes: [], isContentEditable: false, isConnected: true, ...extra };
+    const nodes = {};
+    for (const [name, value] of Object.entries(attributes)) {
+        nodes[name] = { nodeValue: value, ownerElement: element };
+    }
+    element.getAttributeNode = (name) => nodes[name] ?? null;
+    return element;
+};
+const attrRoot = { nodeType: 1, tagName: 'DIV', childNodes: [], isContentEditable: false };
+attrRoot.getAttributeNode = () => null;
+const image = attrElement('IMG', { alt: 'a cat', title: 'cat photo' });
+const searchBox = attrElement('INPUT', { placeholder: 'find a cat', value: 'cat' }, { type: 'text' });
+const submitButton = attrElement('INPUT', { value: 'Pet the cat' }, { type: 'submit' });
+attrRoot.childNodes.push(image, searchBox, submitButton);
+sandbox.processElement(attrRoot);
+const attrsBeforeOptIn = image.getAttributeNode('alt').nodeValue;
+sandbox.storageListener({
+    replaceAttributes: { newValue: true },
+    attributeNames: { newValue: ['alt', 'placeholder', 'value'] }
+}, 'sync');
+sandbox.processElement(attrRoot);
+const pageEdit = image.getAttributeNode('alt');
+pageEdit.nodeValue = 'another cat';
+sandbox.observerCallback([{ type: 'attributes', target: image, attributeName: 'alt', addedNodes: [] }]);
+sandbox.observerCallback([{ type: 'attributes', target: image, attributeName: 'alt', addedNodes: [] }]);
+const attributeResults = [
+    attrsBeforeOptIn,
+    image.getAttributeNode('alt').nodeValue,
+    image.getAttributeNode('title').nodeValue,
+    searchBox.getAttributeNode('placeholder').nodeValue,
+    searchBox.getAttributeNode('value').nodeValue,
+    submitButton.getAttributeNode('value').nodeValue
+];
+sandbox.storageListener({ replaceAttributes: { newValue: false } }, 'sync');
+if (JSON.stringify(attributeResults) === JSON.stringify(['a cat', 'another dog', 'cat photo', 'find a dog', 'cat', 'Pet the dog'])) {
+    console.log('  [PASS]: Attribute pass replaces only the chosen user-visible attributes');
+} else {
+    console.log(`  [FAIL]: Attribute pass produced ${JSON.stringify(attributeResults)}`);
+    allPassed = false;
+}
+
+// Verify the document title: it is replaced by processDocument(), a new
+// title set by a single-page app is replaced too, and turning the setting
+// off stops title processing.
+sandbox.updateRegexes({ cat: { replacement: 'dog', caseSensitive: false, enabled: true } });
+const titleElement = { nodeType: 1, tagName: 'TITLE', nodeName: 'TITLE', childNodes: [] };
+const firstTitle = textIn(titleElement, 'Cat pictures');
+sandbox.document.head = { querySelector: (selector) => (selector === 'title' ? titleElement : null) };
+sandbox.processDocument();
+// document.title = '...' replaces the title's text node
+titleElement.childNodes = [];
+const spaTitle = textIn(titleElement, 'Cat videos');
+sandbox.titleObserverCallback([{ type: 'childList', target: titleElement, addedNodes: [spaTitle] }]);
+sandbox.storageListener({ replaceTitle: { newValue: false } }, 'sync');
+titleElement.childNodes = [];
+const untouchedTitle = textIn(titleElement, 'Cat facts');
+sandbox.titleObserverCallback([{ type: 'childList', target: titleElement, addedNodes: [untouchedTitle] }]);
+sandbox.storageListener({ replaceTitle: { newValue: true } }, 'sync');
+delete sandbox.document.head;
+const titleResults = [firstTitle.nodeValue, spaTitle.nodeValue, untouchedTitle.nodeValue];
+if (JSON.stringify(titleResults) === JSON.stringify(['dog pictures', 'dog videos', 'Cat facts'])) {
+    console.log('  [PASS]: Document title is replaced and kept updated; the setting turns it off');
+} else {
+    console.log(`  [FAIL]: Document title handling produced ${JSON.stringify(titleResults)}`);
+    allPassed = false;
+}
+
+// Verify cross-node matching: a phrase split by inline formatting is
+// replaced into the node where it starts, the other nodes give up their part
+// of the match, a block element splits runs, and restoring puts every node
+// back. Each call with the mode off must leave split phrases alone.
+sandbox.updateRegexes({
+    'acme corp': { replacement: 'Globex', caseSensitive: false, enabled: true },
+    'big deal': { replacement: 'trifle', caseSensitive: false, enabled: true },
+    '(?<count>\\d+) apples': { replacement: '$<count> pears', caseSensitive: false, enabled: true, isRegex: true }
+});
+const inlineIn = (parentNode, tagName) => {
+    const element = { nodeType: 1, tagName, childNodes: [], parentNode, isContentEditable: false };
+    parentNode.childNodes.push(element);
+    return element;
+};
+const paragraph = { nodeType: 1, tagName: 'P', childNodes: [], isContentEditable: false };
+const beforeBold = textIn(paragraph, 'Call Acme ');
+const boldText = textIn(inlineIn(paragraph, 'B'), 'Corp');
+const afterBold = textIn(paragraph, ' today, a big');
+const nestedBlockText = textIn(inlineIn(paragraph, 'DIV'), ' deal');
+const countText = textIn(paragraph, ' 3 ');
+const fruitText = textIn(inlineIn(paragraph, 'EM'), 'apples');
+sandbox.processElement(paragraph);
+const splitPhraseUntouched = beforeBold.nodeValue === 'Call Acme ' && boldText.nodeValue === 'Corp';
+sandbox.storageListener({ crossNodeMatching: { newValue: true } }, 'sync');
+sandbox.processElement(paragraph);
+const crossNodeResults = [beforeBold.nodeValue, boldText.nodeValue, afterBold.nodeValue, nestedBlockText.nodeValue,
+    countText.nodeValue, fruitText.nodeValue];
+sandbox.restoreOriginalText();
+const crossNodeRestored = [beforeBold.nodeValue, boldText.nodeValue].join('|');
+sandbox.storageListener({ crossNodeMatching: { newValue: false } }, 'sync');
+if (splitPhraseUntouched &&
+    JSON.stringify(crossNodeResults) === JSON.stringify(['Call Globex', '', ' today, a big', ' deal', ' 3 pears', '']) &&
+    crossNodeRestored === 'Call Acme |Corp') {
+    console.log('  [PASS]: Cross-node matching replaces phrases split by inline formatting');
+} else {
+    console.log(`  [FAIL]: Cross-node matching produced ${JSON.stringify(crossNodeResults)} (restored: "${crossNodeRestored}")`);
+    allPassed = false;
+}
+
+// Verify highlight mode: replaced ranges are inserted as <mark> elements
+// after the page's own text node (which keeps the text before them), with
+// the rule's color and a tooltip naming the original text and the rule; the
+// page's node is never removed, and restoring removes every highlight.
+const withSiblings = (node) => Object.defineProperty(node, 'nextSibling', {
+    get() {
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] ?? null;
+    }
+});
+sandbox.document.createTextNode = (value) => withSiblings({ nodeType: 3, nodeValue: value });
+sandbox.document.createElement = (tagName) => {
+    const attributes = {};
+    const listeners = {};
+    return withSiblings({
+        nodeType: 1, tagName: tagName.toUpperCase(), childNodes: [], style: {}, isContentEditable: false,
+        listeners,
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        getAttribute: (name) => attributes[name] ?? null,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        appendChild(child) { child.parentNode = this; this.childNodes.push(child); }
+    });
+};
+const mockParent = (tagName) => {
+    const parent = { nodeType: 1, tagName, childNodes: [], isContentEditable: false };
+    parent.insertBefore = (node, reference) => {
+        node.parentNode = parent;
+        const index = parent.childNodes.indexOf(reference);
+        parent.childNodes.splice(index === -1 ? parent.childNodes.length : index, 0, node);
+    };
+    parent.removeChild = (node) => {
+        parent.childNodes.splice(parent.childNodes.indexOf(node), 1);
+        node.parentNode = null;
+    };
+    return parent;
+};
+const highlightParent = mockParent('P');
+const highlightedText = withSiblings(textIn(highlightParent, 'A cat ate 3 apples.'));
+sandbox.updateRegexes({
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true, highlightColor: '#a5d6a7' },
+    '(\\d+) apples': { replacement: '$1 pears', caseSensitive: false, enabled: true, isRegex: true }
+});
+sandbox.storageListener({ highlightReplacements: { newValue: true } }, 'sync');
+sandbox.processElement(highlightParent);
+const describeChild = (node) => (node.nodeType === 3
+    ? node.nodeValue
+    : `<${node.tagName} ${node.style.backgroundColor} "${node.title}">${node.textContent}`);
+const highlightResults = highlightParent.childNodes.map(describeChild);
+const expectedHighlights = [
+    'A ',
+    '<MARK #a5d6a7 "Original: "cat"\nRule: cat → dog">dog',
+    ' ate ',
+    '<MARK #fff59d "Original: "3 apples"\nRule: /(\\d+) apples/ → $1 pears">3 pears',
+    '.'
+];
+sandbox.restoreOriginalText();
+const highlightsRestored = highlightParent.childNodes.length === 1 &&
+    highlightParent.childNodes[0] === highlightedText && highlightedText.nodeValue === 'A cat ate 3 apples.';
+sandbox.storageListener({ highlightReplacements: { newValue: false } }, 'sync');
+if (JSON.stringify(highlightResults) === JSON.stringify(expectedHighlights) && highlightsRestored) {
+    console.log('  [PASS]: Highlight mode marks replacements with color and tooltip, and restores cleanly');
+} else {
+    console.log(`  [FAIL]: Highlight mode produced ${JSON.stringify(highlightResults)} (restored: ${highlightsRestored})`);
+    allPassed = false;
+}
+
+// Verify click-to-reveal: with highlighting off, only the reveal rule's
+// replacement becomes an element; it is a keyboard-focusable toggle button
+// that swaps between the replacement and the original on click and Enter.
+sandbox.updateRegexes({
+    snape: { replacement: '[spoiler]', caseSensitive: false, enabled: true, clickToReveal: true },
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true }
+});
+const revealParent = mockParent('P');
+const revealText = withSiblings(textIn(revealParent, 'The cat saw Snape.'));
+sandbox.processElement(revealParent);
+const revealButton = revealParent.childNodes[1];
+const revealEvent = { key: 'Enter', preventDefault: () => {}, stopPropagation: () => {} };
+const revealStates = [revealButton?.textContent];
+revealButton?.listeners.click(revealEvent);
+revealStates.push(revealButton?.textContent, revealButton?.getAttribute('aria-pressed'));
+revealButton?.listeners.keydown(revealEvent);
+revealStates.push(revealButton?.textContent, revealButton?.getAttribute('aria-pressed'));
+if (revealParent.childNodes.length === 3 && revealText.nodeValue === 'The dog saw ' &&
+    revealButton.getAttribute('role') === 'button' && revealButton.tabIndex === 0 &&
+    JSON.stringify(revealStates) === JSON.stringify(['[spoiler]', 'Snape', 'true', '[spoiler]', 'false'])) {
+    console.log('  [PASS]: Click-to-reveal rules toggle between replacement and original');
+} else {
+    console.log(`  [FAIL]: Click-to-reveal produced ${JSON.stringify(revealParent.childNodes.map(describeChild))} / ${JSON.stringify(revealStates)}`);
+    allPassed = false;
+}
+
+// Verify redaction: a mask rule replaces each character with █ but keeps
+// spaces (so no element is needed); blur and bar rules keep the text and
+// wrap it in an element styled to hide it, without a tooltip.
+sandbox.updateRegexes({
+    'john smith': { replacement: '', caseSensitive: false, enabled: true, action: 'mask' },
+    secret: { replacement: '', caseSensitive: false, enabled: true, action: 'blur' },
+    acme: { replacement: '', caseSensitive: false, enabled: true, action: 'bar' }
+});
+const redactionParent = mockParent('P');
+const redactedText = withSiblings(textIn(redactionParent, 'John Smith told Acme a secret.'));
+sandbox.processElement(redactionParent);
+const redactionResults = redactionParent.childNodes.map(describeChild);
+const redactionStyles = redactionParent.childNodes.filter(node => node.nodeType === 1)
+    .map(node => `${node.style.filter ?? ''}${node.style.backgroundColor ?? ''}${node.title ?? ''}`);
+sandbox.restoreOriginalText();
+const redactionRestored = redactionParent.childNodes.length === 1 &&
+    redactedText.nodeValue === 'John Smith told Acme a secret.';
+if (JSON.stringify(redactionResults) === JSON.stringify([
+        '████ █████ told ', '<SPAN #000 "undefined">Acme', ' a ', '<SPAN undefined "undefined">secret', '.']) &&
+    JSON.stringify(redactionStyles) === JSON.stringify(['#000', 'blur(5px)']) && redactionRestored) {
+    console.log('  [PASS]: Redaction rules mask, blur or black out matches and restore cleanly');
+} else {
+    console.log(`  [FAIL]: Redaction produced ${JSON.stringify(redactionResults)} / ${JSON.stringify(redactionStyles)} (restored: ${redactionRestored})`);
+    allPassed = false;
+}
+
+// Verify hide rules: a match hides the nearest ancestor matching the site's
+// default selector (article-like containers on unknown sites, never menu
+// list items) and puts a placeholder with a Show button before it; other
+// posts stay visible. Show brings the post back for good, restoring
+// un-hides everything, and a rule's own selector can hide list items.
+const mockStyle = () => {
+    const values = {};
+    return {
+        getPropertyValue: (name) => values[name]?.value ?? '',
+        getPropertyPriority: (name) => values[name]?.priority ?? '',
+        setProperty: (name, value, priority = '') => { values[name] = { value, priority }; },
+        removeProperty: (name) => { delete values[name]; },
+        get display() { return values.display?.value ?? ''; }
+    };
+};
+const mockElementIn = (parent, tagName) => {
+    const element = mockParent(tagName);
+    element.parentNode = parent;
+    element.parentElement = parent;
+    element.style = mockStyle();
+    element.closest = (selector) => {
+        const tags = selector.split(',').map(part => part.trim().toUpperCase());
+        for (let current = element; current; current = current.parentElement) {
+            if (tags.includes(current.tagName)) return current;
+        }
+        return null;
+    };
+    parent.childNodes.push(element);
+    return element;
+};
+const feed = mockParent('DIV');
+const mutedPost = mockElementIn(feed, 'ARTICLE');
+const mutedText = textIn(mockElementIn(mutedPost, 'P'), 'Spoilers for the finale!');
+mutedText.parentElement = mutedText.parentNode;
+const keptPost = mockElementIn(feed, 'ARTICLE');
+const keptText = textIn(mockElementIn(keptPost, 'P'), 'A cat video.');
+keptText.parentElement = keptText.parentNode;
+sandbox.updateRegexes({
+    finale: { replacement: '', caseSensitive: false, enabled: true, action: 'hide' },
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true }
+});
+sandbox.processElement(feed);
+const placeholder = feed.childNodes[0];
+const hideResults = [feed.childNodes.length, mutedPost.style.display, keptPost.style.display,
+    mutedText.nodeValue, keptText.nodeValue, placeholder?.childNodes[0]?.nodeValue];
+placeholder?.childNodes[1]?.listeners.click({ preventDefault: () => {}, stopPropagation: () => {} });
+const shownResults = [feed.childNodes.length, mutedPost.style.display];
+sandbox.processElement(feed); // Shown posts stay shown
+shownResults.push(mutedPost.style.display);
+sandbox.restoreOriginalText();
+const rehiddenPost = mockElementIn(feed, 'LI');
+textIn(rehiddenPost, 'The finale').parentElement = rehiddenPost;
+sandbox.processElement(feed);
+const menuItemShown = rehiddenPost.style.display === '';
+sandbox.updateRegexes({
+    finale: { replacement: '', caseSensitive: false, enabled: true, action: 'hide', hideSelector: 'li' }
+});
+sandbox.processElement(feed);
+const liPlaceholder = feed.childNodes.find(node => node.nextSibling === rehiddenPost);
+sandbox.restoreOriginalText();
+const hideRestored = feed.childNodes.length === 3 && rehiddenPost.style.display === '';
+if (JSON.stringify(hideResults) === JSON.stringify([3, 'none', '', 'Spoilers for the finale!', 'A dog video.', 'Hidden by rule "finale" — ']) &&
+    JSON.stringify(shownResults) === JSON.stringify([2, '', '']) &&
+    menuItemShown && liPlaceholder?.tagName === 'LI' && hideRestored) {
+    console.log('  [PASS]: Hide rules hide the matching post behind a placeholder and restore cleanly');
+} else {
+    console.log(`  [FAIL]: Hide rules produced ${JSON.stringify(hideResults)} / ${JSON.stringify(shownResults)} (menu item shown: ${menuItemShown}, li placeholder: ${liPlaceholder?.tagName}, restored: ${hideRestored})`);
+    allPassed = false;
+}
+
+// Verify rule order and pipeline mode: by default "colour" → "color" and
+// "color" → "hue" are matched together, so neither sees the other's output.
+// In pipeline mode they run in the stored order: top to bottom they chain,
+// and reversed the first rule finds nothing yet. The order also decides
+// which regex rules run first.
+const pipelineText = (value) => {
+    const node = textIn(mockParent('P'), value);
+    sandbox.processNode(node);
+    return node.nodeValue;
+};
+sandbox.updateRegexes({
+    colour: { replacement: 'color', caseSensitive: false, enabled: true },
+    color: { replacement: 'hue', caseSensitive: false, enabled: true },
+    'h(u)e': { replacement: 'h$1m', caseSensitive: false, enabled: true, isRegex: true },
+    'hum': { replacement: 'buzz', caseSensitive: false, enabled: true, isRegex: true }
+});
+const pipelineResults = [pipelineText('colour and color')];
+sandbox.storageListener({ rulePipeline: { newValue: true } }, 'sync');
+pipelineResults.push(pipelineText('colour and color'));
+sandbox.storageListener({ ruleOrder: { newValue: ['hum', 'color', 'missing', 'colour'] } }, 'sync');
+pipelineResults.push(pipelineText('colour and color'));
+sandbox.storageListener({ rulePipeline: { newValue: false }, ruleOrder: { newValue: [] } }, 'sync');
+if (JSON.stringify(pipelineResults) === JSON.stringify(['color and buzz', 'buzz and buzz', 'color and hum'])) {
+    console.log('  [PASS]: Pipeline mode applies rules one after another in the stored order');
+} else {
+    console.log(`  [FAIL]: Rule order produced ${JSON.stringify(pipelineResults)}`);
+    allPassed = false;
+}
+
+// Verify swap rules: both directions are matched in one pass, so every
+// occurrence is replaced exactly once (no swapping back), with the page's
+// capitalization kept, in the combined passes and in pipeline mode alike.
+sandbox.updateRegexes({
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true, swap: true, preserveCase: true },
+    left: { replacement: 'right', caseSensitive: true, enabled: true, swap: true }
+});
+const swapResults = [pipelineText('Cat chases dog; DOG left, cat right.')];
+sandbox.storageListener({ rulePipeline: { newValue: true } }, 'sync');
+swapResults.push(pipelineText('Cat chases dog; DOG left, cat right.'));
+sandbox.storageListener({ rulePipeline: { newValue: false } }, 'sync');
+if (swapResults.every(result => result === 'Dog chases cat; CAT right, dog left.')) {
+    console.log('  [PASS]: Swap rules exchange both texts in a single pass');
+} else {
+    console.log(`  [FAIL]: Swap rules produced ${JSON.stringify(swapResults)}`);
+    allPassed = false;
+}
+
+// Verify replacement templates: tokens are filled in per match ({count}
+// numbers each rule's occurrences), regex rules still expand $-references
+// in the template's own text but never in what a token produced, "{{" and
+// "}}" are literal braces in templates, unknown tokens are kept as written,
+// and replacements without tokens keep their braces as they are.
+sandbox.updateRegexes({
+    acme: { replacement: '{match.upper} [#{count}]', caseSensitive: false, enabled: true },
+    'v(\\d+)[$\\d]*': { replacement: '{match} → v$1 on {host}', caseSensitive: true, enabled: true, isRegex: true },
+    todo: { replacement: '{{todo}} {unknown} {match}', caseSensitive: false, enabled: true },
+    note: { replacement: '{{note}} {redacted}', caseSensitive: false, enabled: true }
+});
+const templateResults = [pipelineText('Acme and acme'), pipelineText('See v2$1.'), pipelineText('todo'), pipelineText('note')];
+const expectedTemplates = ['ACME [#1] and ACME [#2]', 'See v2$1 → v2 on news.example.com.', '{todo} {unknown} todo',
+    '{{note}} {redacted}'];
+if (JSON.stringify(templateResults) === JSON.stringify(expectedTemplates)) {
+    console.log('  [PASS]: Replacement templates fill in {match}, {count} and {host} per match');
+} else {
+    console.log(`  [FAIL]: Replacement templates produced ${JSON.stringify(templateResults)}`);
+    allPassed = false;
+}
+
+// Verify synonym groups: every spelling in a group's aliases is replaced
+// like its key (sharing the rule's settings and {count}), in the combined
+// passes and in pipeline mode, while malformed aliases are ignored.
+sandbox.updateRegexes({
+    'Acme Co': { replacement: 'Acme #{count}', caseSensitive: false, enabled: true, aliases: ['ACME Corp', 'Acme Inc.', 42, ''] }
+});
+const groupResults = [pipelineText('acme co, Acme Corp and ACME INC. agree.')];
+sandbox.storageListener({ rulePipeline: { newValue: true } }, 'sync');
+groupResults.push(pipelineText('acme co, Acme Corp and ACME INC. agree.'));
+sandbox.storageListener({ rulePipeline: { newValue: false } }, 'sync');
+if (groupResults.every(result => result === 'Acme #1, Acme #2 and Acme #3 agree.')) {
+    console.log('  [PASS]: Synonym groups replace every spelling with the group\'s replacement');
+} else {
+    console.log(`  [FAIL]: Synonym groups produced ${JSON.stringify(groupResults)}`);
+    allPassed = false;
+}
+
+// Verify Unicode word boundaries and case folding: letters in any script
+// get boundaries (but scripts written without spaces still match inside
+// text), "ß" folds to "ss", and on a Turkish page "I" pairs with "ı" while
+// "İ" pairs with "i".
+const unicodeRules = {
+    'кот': { replacement: 'пёс', caseSensitive: false, enabled: true },
+    'café': { replacement: 'bar', caseSensitive: false, enabled: true },
+    '猫': { replacement: '犬', caseSensitive: true, enabled: true },
+    Python: { replacement: 'JS', caseSensitive: true, enabled: true },
+    strasse: { replacement: 'road', caseSensitive: false, enabled: true },
+    istanbul: { replacement: 'IST', caseSensitive: false, enabled: true }
+};
+sandbox.updateRegexes(unicodeRules);
+const unicodeResults = [pipelineText('КОТ котёнок café cafés 黑猫很 用Python写 STRASSE Straße İSTANBUL ISTANBUL')];
+sandbox.document.documentElement = { lang: 'tr' };
+sandbox.updateRegexes(unicodeRules);
+unicodeResults.push(pipelineText('İSTANBUL ISTANBUL'));
+sandbox.storageListener({ rulePipeline: { newValue: true } }, 'sync');
+unicodeResults.push(pipelineText('İSTANBUL ISTANBUL'));
+sandbox.storageListener({ rulePipeline: { newValue: false } }, 'sync');
+delete sandbox.document.documentElement;
+const expectedUnicode = ['пёс котёнок bar cafés 黑犬很 用JS写 road road IST IST', 'IST ISTANBUL', 'IST ISTANBUL'];
+if (JSON.stringify(unicodeResults) === JSON.stringify(expectedUnicode)) {
+    console.log('  [PASS]: Word boundaries and case folding follow Unicode and the page language');
+} else {
+    console.log(`  [FAIL]: Unicode matching produced ${JSON.stringify(unicodeResults)}`);
+    allPassed = false;
+}
+
+// Verify rules that ignore accents: they match precomposed, decomposed
+// (NFD) and full-width text, and replace exactly the page's characters
+// behind each match, combining accents included.
+sandbox.updateRegexes({
+    cafe: { replacement: 'coffee', caseSensitive: false, enabled: true, ignoreAccents: true, preserveCase: true },
+    'naïve': { replacement: 'simple', caseSensitive: true, enabled: true, ignoreAccents: true }
+});
+const accentResult = pipelineText('Café, CAFÉ, cafe\u0301s, cafe\u0301 and ＣＡＦＥ are naive.');
+if (accentResult === 'Coffee, COFFEE, cafe\u0301s, coffee and COFFEE are simple.') {
+    console.log('  [PASS]: Rules that ignore accents match accented, decomposed and full-width text');
+} else {
+    console.log(`  [FAIL]: Ignoring accents produced ${JSON.stringify(accentResult)}`);
+    allPassed = false;
+}
+
+// Verify "Catch disguised text": with it on, rules also match words hidden
+// with invisible characters, look-alike letters, non-breaking spaces and
+// full-width letters (in the combined passes and in pipeline mode), and
+// text in other scripts still matches its own rules. With it off, only the
+// plain spellings match.
+sandbox.updateRegexes({
+    spam: { replacement: '[muted]', caseSensitive: false, enabled: true },
+    'New York': { replacement: 'NYC', caseSensitive: true, enabled: true },
+    'кот': { replacement: 'cat', caseSensitive: false, enabled: true }
+});
+const disguisedText = 'Buy ѕраm! s\u00ADpam, sp\u200Bam, ｓｐａｍ and New\u00A0York. КОТ.';
+const disguisedResults = [pipelineText(disguisedText)];
+sandbox.storageListener({ obfuscationMatching: { newValue: true } }, 'sync');
+disguisedResults.push(pipelineText(disguisedText));
+sandbox.storageListener({ rulePipeline: { newValue: true } }, 'sync');
+disguisedResults.push(pipelineText(disguisedText));
+sandbox.storageListener({ rulePipeline: { newValue: false }, obfuscationMatching: { newValue: false } }, 'sync');
+const unmasked = 'Buy [muted]! [muted], [muted], [muted] and NYC. cat.';
+const expectedDisguised = [disguisedText.replace('КОТ', 'cat'), unmasked, unmasked];
+if (JSON.stringify(disguisedResults) === JSON.stringify(expectedDisguised)) {
+    console.log('  [PASS]: Catch disguised text matches invisible characters, look-alikes and unusual spaces');
+} else {
+    console.log(`  [FAIL]: Catch disguised text produced ${JSON.stringify(disguisedResults)}`);
+    allPassed = false;
+}
+
+// Verify flexibly spaced rules: their words match across runs of spaces,
+// line breaks, non-breaking spaces and hyphens (and keep their case check),
+// while the same rule without the flag only matches its exact spacing.
+const spacedText = 'The New  York\nTimes, new\u00A0york-\ntimes, New York Times and NewYork Times.';
+sandbox.updateRegexes({
+    'New York Times': { replacement: 'NYT', caseSensitive: true, enabled: true, flexibleSpacing: true }
+});
+const spacingResults = [pipelineText(spacedText)];
+sandbox.updateRegexes({
+    'New York Times': { replacement: 'NYT', caseSensitive: false, enabled: true, flexibleSpacing: true }
+});
+spacingResults.push(pipelineText(spacedText));
+sandbox.updateRegexes({
+    'New York Times': { replacement: 'NYT', caseSensitive: false, enabled: true }
+});
+spacingResults.push(pipelineText(spacedText));
+const expectedSpacing = [
+    'The NYT, new\u00A0york-\ntimes, NYT and NewYork Times.',
+    'The NYT, NYT, NYT and NewYork Times.',
+    'The New  York\nTimes, new\u00A0york-\ntimes, NYT and NewYork Times.'
+];
+if (JSON.stringify(spacingResults) === JSON.stringify(expectedSpacing)) {
+    console.log('  [PASS]: Flexibly spaced rules match across spaces, line breaks and hyphens');
+} else {
+    console.log(`  [FAIL]: Flexible spacing produced ${JSON.stringify(spacingResults)}`);
+    allPassed = false;
+}
+
+// Verify that literal rules scale (see LITERAL MATCHER): with 20 times as
+// many rules, the same text with the same matches takes about as long, not
+// 20 times as long. The 5000 rules as one regex alternation are timed once
+// for comparison.
+const scalingSegment = i => `Term${i % 250} and term${i % 97}x or term${i % 89}, the rest.`;
+const scalingText = Array.from({ length: 500 }, (_, i) => scalingSegment(i)).join(' ');
+const expectedScaling = Array.from({ length: 500 }, (_, i) =>
+    `T${i % 250} and term${i % 97}x or T${i % 89}, the rest.`).join(' ');
+const scalingRules = count => {
+    const rules = {};
+    for (let i = 0; i < count; i++) {
+        rules[`term${i}`] = { replacement: `T${i}`, caseSensitive: false, enabled: true };
+    }
+    return rules;
+};
+const timeRules = (count) => {
+    sandbox.updateRegexes(scalingRules(count));
+    pipelineText(scalingText); // Warmup
+    const start = performance.now();
+    for (let i = 0; i < 10; i++) pipelineText(scalingText);
+    return { time: (performance.now() - start) / 10, output: pipelineText(scalingText) };
+};
+const smallRules = timeRules(250);
+const largeRules = timeRules(5000);
+const largeRegex = sandbox.buildRegex(Object.keys(scalingRules(5000)), false);
+const regexStart = performance.now();
+scalingText.replace(largeRegex, match => match);
+const largeRegexTime = performance.now() - regexStart;
+console.log(`  250 rules: ${smallRules.time.toFixed(2)} ms, 5000 rules: ${largeRules.time.toFixed(2)} ms ` +
+    `(5000 rules as one regex: ${largeRegexTime.toFixed(2)} ms)`);
+const scalingOutputOk = smallRules.output === expectedScaling && largeRules.output === expectedScaling;
+if (scalingOutputOk && largeRules.time < smallRules.time * 3) {
+    console.log('  [PASS]: Literal rules scale to thousands without slowing down matching');
+} else {
+    console.log(`  [FAIL]: Rule scaling — output ok: ${scalingOutputOk}, ` +
+        `250 rules ${smallRules.time.toFixed(2)} ms vs 5000 rules ${largeRules.time.toFixed(2)} ms`);
+    allPassed = false;
+}
+
+// Verify incremental rule changes: after a rule is added and another
+// removed, only the text those rules match is rewritten. Text replaced by an
+// unchanged rule is recomputed without being rewritten, and text no rule
+// matches isn't processed at all, not even by the hide rules.
+sandbox.runScheduledReapply(); // Settle re-scans scheduled by the checks above
+const incrementalBody = { nodeType: 1, tagName: 'BODY', childNodes: [], isContentEditable: false };
+const keptRuleText = textIn(incrementalBody, 'a cat');
+const addedRuleText = textIn(incrementalBody, 'a cow');
+const removedRuleText = textIn(incrementalBody, 'a hen');
+textIn(incrementalBody, 'no animals');
+const oldRules = {
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true },
+    hen: { replacement: 'duck', caseSensitive: false, enabled: true }
+};
+const newRules = {
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true },
+    cow: { replacement: 'ox', caseSensitive: false, enabled: true }
+};
+const bodyBefore = sandbox.document.body;
+sandbox.document.body = incrementalBody;
+sandbox.updateRegexes(oldRules);
+sandbox.processDocument();
+const incrementalWrites = [];
+for (const node of incrementalBody.childNodes) {
+    let value = node.nodeValue;
+    Object.defineProperty(node, 'nodeValue', {
+        get: () => value,
+        set: (newValue) => { incrementalWrites.push(newValue); value = newValue; }
+    });
+}
+const applyRulesBefore = sandbox.applyRules;
+const incrementalProcessed = [];
+sandbox.applyRules = (text, tracking) => {
+    incrementalProcessed.push(text);
+    return applyRulesBefore(text, tracking);
+};
+const hideMatchingElementBefore = sandbox.hideMatchingElement;
+const incrementalHideChecks = [];
+sandbox.hideMatchingElement = (node, text) => {
+    incrementalHideChecks.push(text);
+    return hideMatchingElementBefore(node, text);
+};
+sandbox.storageListener({ wordMap: { oldValue: oldRules, newValue: newRules } }, 'sync');
+sandbox.runScheduledReapply(); // Instead of waiting for the debounce timer
+sandbox.applyRules = applyRulesBefore;
+sandbox.hideMatchingElement = hideMatchingElementBefore;
+sandbox.document.body = bodyBefore;
+const incrementalResults = [keptRuleText.nodeValue, addedRuleText.nodeValue, removedRuleText.nodeValue];
+if (JSON.stringify(incrementalResults) === JSON.stringify(['a dog', 'a ox', 'a hen']) &&
+    JSON.stringify(incrementalWrites) === JSON.stringify(['a ox', 'a hen']) &&
+    JSON.stringify(incrementalProcessed) === JSON.stringify(['a cat', 'a cow', 'a hen']) &&
+    JSON.stringify(incrementalHideChecks) === JSON.stringify(['a cat', 'a cow', 'a hen'])) {
+    console.log('  [PASS]: Rule changes only rewrite the text of the rules that changed');
+} else {
+    console.log(`  [FAIL]: Incremental rule change produced ${JSON.stringify(incrementalResults)} ` +
+        `with writes ${JSON.stringify(incrementalWrites)}, processing ${JSON.stringify(incrementalProcessed)}, ` +
+        `hide checks ${JSON.stringify(incrementalHideChecks)}`);
+    allPassed = false;
+}
+
+// Verify that removing a rule from a custom order still only re-processes
+// the text of the removed rule and the text we changed before: the rule
+// order is saved with the rules, and only drops the removed rule. Moving a
+// rule that didn't change re-applies every rule.
+const orderedBody = { nodeType: 1, tagName: 'BODY', childNodes: [], isContentEditable: false };
+const orderedKeptText = textIn(orderedBody, 'a cat');
+const orderedRemovedText = textIn(orderedBody, 'a hen');
+textIn(orderedBody, 'no animals');
+const orderedRules = {
+    cat: { replacement: 'dog', caseSensitive: false, enabled: true },
+    hen: { replacement: 'duck', caseSensitive: false, enabled: true },
+    cow: { replacement: 'ox', caseSensitive: false, enabled: true }
+};
+const orderedAfterRemove = { cat: orderedRules.cat, cow: orderedRules.cow };
+const orderedProcessed = [];
+const processOrderChange = (changes) => {
+    orderedProcessed.length = 0;
+    sandbox.storageListener(changes, 'sync');
+    sandbox.runScheduledReapply(); // Instead of waiting for the debounce timer
+    return orderedProcessed.length;
+};
+sandbox.document.body = orderedBody;
+sandbox.applyRules = (text, tracking) => {
+    orderedProcessed.push(text);
+    return applyRulesBefore(text, tracking);
+};
+processOrderChange({
+    wordMap: { oldValue: newRules, newValue: orderedRules },
+    ruleOrder: { oldValue: [], newValue: ['cow', 'hen', 'cat'] }
+});
+const removeProcessed = processOrderChange({
+    wordMap: { oldValue: orderedRules, newValue: orderedAfterRemove },
+    ruleOrder: { oldValue: ['cow', 'hen', 'cat'], newValue: ['cow', 'cat'] }
+});
+const reorderProcessed = processOrderChange({
+    ruleOrder: { oldValue: ['cow', 'cat'], newValue: ['cat', 'cow'] }
+});
+sandbox.applyRules = applyRulesBefore;
+sandbox.document.body = bodyBefore;
+const orderedResults = [orderedKeptText.nodeValue, orderedRemovedText.nodeValue];
+if (JSON.stringify(orderedResults) === JSON.stringify(['a dog', 'a hen']) &&
+    removeProcessed === 2 && reorderProcessed === 3) {
+    console.log('  [PASS]: Removing a rule from a custom order only re-processes the text it affects');
+} else {
+    console.log(`  [FAIL]: Removing an ordered rule produced ${JSON.stringify(orderedResults)}, ` +
+        `processing ${removeProcessed} texts (reordering: ${reorderProcessed})`);
+    allPassed = false;
+}
+
+// Verify {count} numbers stay with their occurrences: processing a text
+// again (a framework re-adding it, a title update) gives it the same
+// numbers, a run that times out keeps the numbers it handed out, and only
+// text the page rewrote gets new ones.
+sandbox.updateRegexes({
+    cat: { replacement: '{match} #{count}', caseSensitive: false, enabled: true },
+    'd(o)g': { replacement: 'dog', caseSensitive: false, enabled: true, isRegex: true }
+});
+const countParent = mockParent('P');
+const timedOutText = textIn(countParent, 'a cat, a cat');
+const laterText = textIn(countParent, 'one cat');
+const realPerformance = sandbox.performance;
+let clockTime = 0;
+sandbox.performance = { now: () => (clockTime += 60000) }; // Times out before the regex pass
+sandbox.processNode(timedOutText);
+sandbox.performance = realPerformance;
+const countResults = [timedOutText.nodeValue];
+sandbox.processNode(laterText);
+sandbox.processNode(timedOutText);
+countResults.push(laterText.nodeValue, timedOutText.nodeValue);
+sandbox.processNode(timedOutText);
+sandbox.processNode(laterText);
+countResults.push(timedOutText.nodeValue, laterText.nodeValue);
+laterText.nodeValue = 'two cats: cat';
+sandbox.processNode(laterText);
+countResults.push(laterText.nodeValue);
+sandbox.restoreOriginalText();
+const expectedCounts = ['a cat, a cat', 'one cat #3', 'a cat #1, a cat #2', 'a cat #1, a cat #2', 'one cat #3', 'two cats: cat #4'];
+if (JSON.stringify(countResults) === JSON.stringify(expectedCounts)) {
+    console.log('  [PASS]: {count} keeps each occurrence\'s number when its text is processed again');
+} else {
+    console.log(`  [FAIL]: {count} numbering produced ${JSON.stringify(countResults)}`);
+    allPassed = false;
+}
+
+// Verify blur and bar rules in text that can't hold their element (the tab
+// title, <option> text): the match is masked instead of left readable.
+sandbox.updateRegexes({
+    'john smith': { replacement: '', caseSensitive: false, enabled: true, action: 'blur' },
+    'acme': { replacement: '', caseSensitive: false, enabled: true, action: 'bar' }
+});
+const redactedTitleElement = { nodeType: 1, tagName: 'TITLE', nodeName: 'TITLE', childNodes: [] };
+const redactedTitle = textIn(redactedTitleElement, 'Profile of John Smith');
+sandbox.document.head = { querySelector: (selector) => (selector === 'title' ? redactedTitleElement : null) };
+sandbox.processDocument();
+delete sandbox.document.head;
+const redactedOption = textIn(mockParent('OPTION'), 'John Smith (Acme)');
+sandbox.processNode(redactedOption);
+const plainRedactions = [redactedTitle.nodeValue, redactedOption.nodeValue];
+sandbox.restoreOriginalText();
+if (JSON.stringify(plainRedactions) === JSON.stringify(['Profile of ████ █████', '████ █████ (████)'])) {
+    console.log('  [PASS]: Blur and bar rules mask matches in the title and in <option> text');
+} else {
+    console.log(`  [FAIL]: Blur and bar in plain-text places produced ${JSON.stringify(plainRedactions)}`);
+    allPassed = false;
+}
+
+// Verify shadow roots attached when a custom element already on the page is
+// defined: they are processed and observed once the observer sees the
+// element change, or at the next timed check.
+sandbox.updateRegexes({ cat: { replacement: 'dog', caseSensitive: false, enabled: true } });
+const lateParent = mockParent('DIV');
+const lateHost = (tagName) => {
+    const host = { nodeType: 1, tagName, childNodes: [], parentNode: lateParent, isContentEditable: false, isConnected: true, defined: false };
+    host.matches = (selector) => (selector === ':defined') === host.defined;
+    lateParent.childNodes.push(host);
+    return host;
+};
+const upgradeHost = (host) => {
+    host.defined = true;
+    host.shadowRoot = { nodeType: 11, host, childNodes: [] };
+    return textIn(host.shadowRoot, 'cat inside');
+};
+const changedHost = lateHost('LATE-CARD');
+const quietHost = lateHost('LATE-BADGE');
+sandbox.processElement(lateParent);
+const changedHostText = upgradeHost(changedHost);
+const quietHostText = upgradeHost(quietHost);
+sandbox.observerCallback([{ type: 'childList', target: changedHost, addedNodes: [] }]);
+const lateResults = [changedHostText.nodeValue, quietHostText.nodeValue];
+sandbox.checkPendingShadowHosts(); // Instead of waiting for the timer
+lateResults.push(quietHostText.nodeValue);
+if (JSON.stringify(lateResults) === JSON.stringify(['dog inside', 'dog inside', 'dog inside']) &&
+    sandbox.observedTargets.includes(changedHost.shadowRoot) && sandbox.observedTargets.includes(quietHost.shadowRoot)) {
+    console.log('  [PASS]: Shadow roots of custom elements defined later are processed and observed');
+} else {
+    console.log(`  [FAIL]: Late shadow roots produced ${JSON.stringify(lateResults)}`);
+    allPassed = false;
+}
+
 if (!allPassed) {
     console.log('\n  VERIFICATION FAILED — some replacements did not work correctly');
     process.exit(1);
@@ -36,6 +36,16 @@ const sandbox = {
         addEventListener: () => {},
         getElementById: () => null,
         createElement: () => ({ style: {}, classList: { add: () => {} }, appendChild: () => {} }),
+        // Stands in for the browser's selector parser: unbalanced brackets
+        // are a SyntaxError, like in the real querySelector().
+        createDocumentFragment: () => ({
+            querySelector: (selector) => {
+                if ((selector.match(/\[/g) || []).length !== (selector.match(/\]/g) || []).length) {
+                    throw new SyntaxError(`'${selector}' is not a valid selector.`);
+                }
+                return null;
+            }
+        }),
         querySelector: () => null,
         querySelectorAll: () => []
     },
@@ -239,6 +249,495 @@ console.log('\nvalidateImportedRules — acceptance & sanitization\n');
     assert(typeof result === 'string', 'Returns error on first invalid rule (does not continue)');
 })();
 
+console.log('\nvalidateImportedRules — regex rules\n');
+
+// 18. Valid regex rule with references passes and keeps its regex fields
+(() => {
+    const rules = { 'Ticket-(?<id>\\d+)-(\\w+)': { replacement: '#$<id> $2 ($&)', isRegex: true, flags: 'u' } };
+    const result = sandbox.validateImportedRules(rules);
+    const rule = rules['Ticket-(?<id>\\d+)-(\\w+)'];
+    assert(result === null, 'Accepts valid regex rule with $<name>, $2 and $&');
+    assert(rule.isRegex === true && rule.flags === 'u', 'Keeps isRegex and flags on regex rules');
+})();
+
+// 19. Invalid patterns and unsafe regex rules are rejected
+for (const [label, pattern, extra] of [
+    ['unbalanced parenthesis', '(abc', {}],
+    ['pattern matching empty text', 'a*', {}],
+    ['nested quantifier', '(a+)+b', {}],
+    ['unsupported flag', 'abc', { flags: 'g' }],
+    ['duplicate flag', 'abc', { flags: 'ss' }]
+]) {
+    const rules = { [pattern]: { replacement: 'x', isRegex: true, ...extra } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('Invalid regex rule'), `Rejects regex rule: ${label}`);
+}
+
+// 20. References to groups that don't exist are rejected
+(() => {
+    const rules = { '(\\d+)': { replacement: '$2', isRegex: true } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('capture group'), 'Rejects $2 when the pattern has one group');
+})();
+
+(() => {
+    const rules = { '(?<year>\\d{4})': { replacement: '$<month>', isRegex: true } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('no group named'), 'Rejects $<month> when no such named group exists');
+})();
+
+// 21. Literal rules are not parsed as patterns
+(() => {
+    const rules = { '(abc': { replacement: '$1', caseSensitive: false, enabled: true } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules['(abc'].isRegex === undefined, 'Literal rule with regex characters is accepted as-is');
+})();
+
+console.log('\nvalidateImportedRules — preserve case\n');
+
+// 22. preserveCase is kept only when set
+(() => {
+    const rules = {
+        cat: { replacement: 'dog', preserveCase: 'yes' },
+        cow: { replacement: 'pig', preserveCase: false }
+    };
+    sandbox.validateImportedRules(rules);
+    assert(rules.cat.preserveCase === true, 'Coerces truthy preserveCase ("yes" → true)');
+    assert(!('preserveCase' in rules.cow), 'Drops preserveCase when false to keep rules compact');
+})();
+
+console.log('\nvalidateImportedRules — site lists\n');
+
+// 23. Valid site lists are kept; empty lists are dropped
+(() => {
+    const rules = {
+        cat: { replacement: 'dog', includeSites: ['example.com', 'https://*.test.org/news/*'], excludeSites: [] }
+    };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules.cat.includeSites.length === 2, 'Accepts hosts and match patterns in includeSites');
+    assert(!('excludeSites' in rules.cat), 'Drops empty excludeSites to keep rules compact');
+})();
+
+// 24. Invalid site lists are rejected
+for (const [label, sites] of [
+    ['not an array', 'example.com'],
+    ['non-string entry', [42]],
+    ['path without scheme', ['example.com/news']],
+    ['unsupported scheme', ['chrome://settings/*']],
+    ['too many patterns', Array.from({ length: 21 }, (_, i) => `site${i}.com`)]
+]) {
+    const rules = { cat: { replacement: 'dog', excludeSites: sites } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('Invalid excludeSites'), `Rejects site list: ${label}`);
+}
+
+console.log('\nvalidateImportedRules — highlight colors\n');
+
+// 25. Highlight colors are normalized; the default color is not stored
+(() => {
+    const rules = {
+        cat: { replacement: 'dog', highlightColor: '#A5D6A7' },
+        cow: { replacement: 'pig', highlightColor: '#fff59d' }
+    };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules.cat.highlightColor === '#a5d6a7', 'Keeps a custom highlight color, lowercased');
+    assert(!('highlightColor' in rules.cow), 'Drops the default highlight color to keep rules compact');
+})();
+
+// 26. Anything but a #rrggbb color is rejected
+for (const color of ['red', '#fff', 'url(x)', 42]) {
+    const rules = { cat: { replacement: 'dog', highlightColor: color } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('Invalid highlightColor'), `Rejects highlight color: ${JSON.stringify(color)}`);
+}
+
+console.log('\nvalidateImportedRules — click to reveal\n');
+
+// 27. clickToReveal is kept only when set
+(() => {
+    const rules = {
+        snape: { replacement: '[spoiler]', clickToReveal: 1 },
+        cow: { replacement: 'pig', clickToReveal: false }
+    };
+    sandbox.validateImportedRules(rules);
+    assert(rules.snape.clickToReveal === true, 'Coerces truthy clickToReveal (1 → true)');
+    assert(!('clickToReveal' in rules.cow), 'Drops clickToReveal when false to keep rules compact');
+})();
+
+console.log('\nvalidateImportedRules — redaction actions\n');
+
+// 28. Redaction actions are kept; "replace" is the default and is dropped
+(() => {
+    const rules = {
+        'john smith': { replacement: '', action: 'mask' },
+        acme: { replacement: '', action: 'bar' },
+        cow: { replacement: 'pig', action: 'replace' }
+    };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules['john smith'].action === 'mask' && rules.acme.action === 'bar',
+        'Keeps redaction actions');
+    assert(!('action' in rules.cow), 'Drops the default "replace" action to keep rules compact');
+})();
+
+// 29. Unknown actions are rejected
+for (const action of ['delete', 'Blur', '', 1]) {
+    const rules = { cat: { replacement: 'dog', action } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('Invalid action'), `Rejects action: ${JSON.stringify(action)}`);
+}
+
+console.log('\nvalidateImportedRules — hide rules\n');
+
+// 30. A hide rule keeps its trimmed selector; other actions drop it
+(() => {
+    const rules = {
+        finale: { replacement: '', action: 'hide', hideSelector: '  div.post ' },
+        spoiler: { replacement: '', action: 'hide', hideSelector: '' },
+        cat: { replacement: 'dog', hideSelector: 'article' }
+    };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules.finale.action === 'hide' && rules.finale.hideSelector === 'div.post',
+        'Keeps a hide rule\'s selector, trimmed');
+    assert(!('hideSelector' in rules.spoiler), 'Drops an empty selector (the site default is used)');
+    assert(!('hideSelector' in rules.cat), 'Drops the selector of a rule that does not hide');
+})();
+
+// 31. Invalid selectors are rejected
+for (const selector of ['div[data-x', 42, 'a'.repeat(256)]) {
+    const rules = { finale: { replacement: '', action: 'hide', hideSelector: selector } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('Invalid hideSelector'),
+        `Rejects hideSelector: ${JSON.stringify(selector).substring(0, 20)}`);
+}
+
+console.log('\norderRuleKeys — rule order\n');
+
+// 32. Listed rules come first, in the stored order; the rest keep their place
+(() => {
+    const wordMap = { cat: {}, 42: {}, dog: {}, cow: {} };
+    const ordered = sandbox.orderRuleKeys(wordMap, ['dog', 'gone', 'cat', 'dog', 7]);
+    assert(JSON.stringify(ordered) === JSON.stringify(['dog', 'cat', '42', 'cow']),
+        'Orders listed keys first and skips unknown, duplicate and non-string entries');
+    assert(JSON.stringify(sandbox.orderRuleKeys(wordMap, undefined)) === JSON.stringify(Object.keys(wordMap)),
+        'Keeps the stored key order when no order was saved');
+})();
+
+console.log('\nvalidateImportedRules — swap rules\n');
+
+// 33. A swap rule is kept when its texts don't overlap other rules
+(() => {
+    const rules = {
+        cat: { replacement: 'dog', swap: 1 },
+        cow: { replacement: 'pig', swap: false }
+    };
+    const result = sandbox.validateImportedRules(rules);
+    assert(result === null && rules.cat.swap === true, 'Keeps a swap rule (1 → true)');
+    assert(!('swap' in rules.cow), 'Drops swap when false to keep rules compact');
+})();
+
+// 34. Swap rules that would collide or can't swap are rejected
+for (const [name, rules] of [
+    ['replacement overlaps another rule', { cat: { replacement: 'dog', swap: true }, DOG: { replacement: 'wolf' } }],
+    ['overlaps another swap rule', { cat: { replacement: 'dog', swap: true }, dog: { replacement: 'cow', swap: true } }],
+    ['empty replacement', { cat: { replacement: '', swap: true } }],
+    ['same text both ways', { cat: { replacement: 'Cat', swap: true } }],
+    ['regex swap', { 'c.t': { replacement: 'dog', swap: true, isRegex: true } }],
+    ['redacting swap', { cat: { replacement: 'dog', swap: true, action: 'mask' } }]
+]) {
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.startsWith('Invalid rule'), `Rejects swap rule: ${name}`);
+}
+
+// 35. Case-sensitive swap rules only collide on exactly the same text
+(() => {
+    const rules = {
+        Left: { replacement: 'Right', swap: true, caseSensitive: true },
+        right: { replacement: 'wrong', caseSensitive: true }
+    };
+    assert(sandbox.validateImportedRules(rules) === null, 'Allows "right" next to a case-sensitive "Left" ↔ "Right"');
+})();
+
+console.log('\nvalidateImportedRules — replacement templates\n');
+
+// 36. Known tokens, escaped braces and non-token braces are accepted
+(() => {
+    const rules = {
+        cat: { replacement: '{match.upper} #{count} on {host}, {date}: {match}' },
+        json: { replacement: '{{literal}} { x } {Caps} {}' }
+    };
+    assert(sandbox.validateImportedRules(rules) === null, 'Accepts known tokens and literal braces');
+})();
+
+// 37. Unknown tokens are kept as text on import; saving a template with one
+// is rejected
+for (const replacement of ['{redacted}', '{match.lower}', 'on {hostname} {count}']) {
+    const rules = { cat: { replacement } };
+    assert(sandbox.validateImportedRules(rules) === null && rules.cat.replacement === replacement,
+        `Imports unknown tokens as text: ${replacement}`);
+}
+assert(sandbox.validateTemplate('{redacted}') === null, 'Accepts a replacement without tokens');
+assert(String(sandbox.validateTemplate('{mach} #{count}')).includes('Unknown template token {mach}'),
+    'Rejects an unknown token in a template');
+
+// 38. The add-form preview fills in tokens with example values
+assert(sandbox.previewTemplate('{match.upper} #{count} {{x}}', 'cat') === 'CAT #1 {x}', 'Previews a template');
+assert(sandbox.previewTemplate('plain {text}', 'cat') === null, 'Shows no preview for replacements without tokens');
+assert(sandbox.previewTemplate('{{x}} {y}', 'cat') === null, 'Shows no preview when braces are only escaped');
+
+console.log('\nvalidateImportedRules — synonym groups\n');
+
+// 39. A group's aliases are kept; an empty list is dropped
+(() => {
+    const rules = {
+        'Acme Co': { replacement: 'Acme', aliases: ['ACME Corp', 'Acme Inc.'] },
+        cat: { replacement: 'dog', aliases: [] }
+    };
+    assert(sandbox.validateImportedRules(rules) === null, 'Accepts a synonym group');
+    assert(JSON.stringify(rules['Acme Co'].aliases) === '["ACME Corp","Acme Inc."]', 'Keeps the aliases');
+    assert(!('aliases' in rules.cat), 'Drops an empty aliases list');
+})();
+
+// 40. Malformed or conflicting aliases are rejected
+for (const [name, rules] of [
+    ['non-list aliases', { a: { replacement: 'x', aliases: 'b' } }],
+    ['non-text alias', { a: { replacement: 'x', aliases: [1] } }],
+    ['padded alias', { a: { replacement: 'x', aliases: [' b'] } }],
+    ['too many aliases', { a: { replacement: 'x', aliases: Array.from({ length: 50 }, (_, i) => `b${i}`) } }],
+    ['alias repeating the key', { a: { replacement: 'x', aliases: ['A'] } }],
+    ['alias on a regex rule', { 'a+': { replacement: 'x', isRegex: true, aliases: ['b'] } }],
+    ['alias on a swap rule', { a: { replacement: 'x', swap: true, aliases: ['b'] } }],
+    ['alias matched by another rule', { a: { replacement: 'x', aliases: ['b'] }, B: { replacement: 'y' } }],
+    ['aliases shared by two groups', { a: { replacement: 'x', aliases: ['c'] }, b: { replacement: 'y', aliases: ['C'] } }]
+]) {
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string', `Rejects ${name}`);
+}
+
+// 41. Case-sensitive rules may hold spellings that differ only in case
+(() => {
+    const rules = { a: { replacement: 'x', caseSensitive: true, aliases: ['A'] } };
+    assert(sandbox.validateImportedRules(rules) === null, 'Accepts case variants in a case-sensitive group');
+})();
+
+// 42. The aliases textarea holds one spelling per line
+assert(JSON.stringify(sandbox.parseAliasList(' Acme Inc. \n\nACME, Corp\n')) === '["Acme Inc.","ACME, Corp"]',
+    'Parses one spelling per line');
+
+console.log('\nfoldCase — case-insensitive comparisons\n');
+
+// 43. "ß" and "ss", and "İ" and "i", fold to the same text
+assert(sandbox.foldCase('Straße') === sandbox.foldCase('STRASSE'), 'Folds ß like ss');
+assert(sandbox.foldCase('İstanbul') === 'istanbul', 'Folds İ to a plain i');
+
+// 44. A group can't list a spelling that only differs by folding
+(() => {
+    const rules = { strasse: { replacement: 'road', aliases: ['Straße'] } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('listed twice'), 'Rejects ß/ss duplicates in a group');
+})();
+
+console.log('\nvalidateImportedRules — ignoring accents\n');
+
+// 45. ignoreAccents is kept on plain text rules and dropped when false
+(() => {
+    const rules = {
+        cafe: { replacement: 'coffee', ignoreAccents: true },
+        tea: { replacement: 'chai', ignoreAccents: false }
+    };
+    assert(sandbox.validateImportedRules(rules) === null, 'Accepts ignoreAccents on a plain text rule');
+    assert(rules.cafe.ignoreAccents === true, 'Keeps ignoreAccents');
+    assert(!('ignoreAccents' in rules.tea), 'Drops ignoreAccents: false');
+})();
+
+// 46. Regex rules can't ignore accents
+(() => {
+    const rules = { 'caf(e|é)': { replacement: 'coffee', isRegex: true, ignoreAccents: true } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('accents'), 'Rejects ignoreAccents on a regex rule');
+})();
+
+console.log('\nvalidateImportedRules — flexible spacing\n');
+
+// 47. flexibleSpacing is kept on plain text rules and dropped when false
+(() => {
+    const rules = {
+        'New York Times': { replacement: 'NYT', flexibleSpacing: true },
+        tea: { replacement: 'chai', flexibleSpacing: false }
+    };
+    assert(sandbox.validateImportedRules(rules) === null, 'Accepts flexibleSpacing on a plain text rule');
+    assert(rules['New York Times'].flexibleSpacing === true, 'Keeps flexibleSpacing');
+    assert(!('flexibleSpacing' in rules.tea), 'Drops flexibleSpacing: false');
+})();
+
+// 48. Regex rules can't have flexible spacing
+(() => {
+    const rules = { 'New\\s+York': { replacement: 'NYC', isRegex: true, flexibleSpacing: true } };
+    const result = sandbox.validateImportedRules(rules);
+    assert(typeof result === 'string' && result.includes('spacing'), 'Rejects flexibleSpacing on a regex rule');
+})();
+
+// 49. The shown pattern lets every gap between words take any spacing
+assert(sandbox.flexiblePattern('New  York-Times', false) === '/New[\\s\\u00AD\\u2010\\u2011-]+York[\\s\\u00AD\\u2010\\u2011-]+Times/i',
+    'Shows each gap as a run of spaces, line breaks or hyphens');
+assert(sandbox.flexiblePattern('$5 off', true) === '/\\$5[\\s\\u00AD\\u2010\\u2011-]+off/',
+    'Escapes the words and keeps case-sensitive rules without the i flag');
+assert(sandbox.flexiblePattern('-5', true) === '/-5/', 'Keeps a leading hyphen as text');
+
+console.log('\nimportedRuleOrder — rule order of imports\n');
+
+// 50. A replace import takes the file's order; a merge adds new rules after
+// the current ones
+(() => {
+    const importData = { rules: { a: {}, b: {}, 1: {} }, ruleOrder: ['b', 'missing', 'a', '1'] };
+    const replaced = sandbox.importedRuleOrder({ ...importData.rules }, importData, null);
+    assert(JSON.stringify(replaced) === JSON.stringify(['b', 'a', '1']),
+        'Restores the exported order on a replace import');
+    const current = { wordMap: { x: {}, a: {} }, ruleOrder: ['a', 'x'] };
+    const merged = sandbox.importedRuleOrder({ ...current.wordMap, ...importData.rules }, importData, current);
+    assert(JSON.stringify(merged) === JSON.stringify(['a', 'x', 'b', '1']),
+        'Keeps current rules in place and appends new ones in the file\'s order');
+    const oldExport = { rules: { cat: {}, dog: {} } };
+    assert(JSON.stringify(sandbox.importedRuleOrder({ ...oldExport.rules }, oldExport, null)) === JSON.stringify(['cat', 'dog']),
+        'Uses the order of the rules for files without a rule order');
+})();
+
+// 51. Arrow-key moves are saved once the key is released, not on every step
+(() => {
+    const createElementBefore = sandbox.document.createElement;
+    const setBefore = sandbox.chrome.storage.sync.set;
+    const listeners = {};
+    sandbox.document.createElement = () => ({
+        setAttribute: () => {}, focus: () => {},
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    });
+    let writes = 0;
+    sandbox.chrome.storage.sync.set = (_data, cb) => { writes++; if (cb) cb(); };
+    const row = { previousElementSibling: {}, parentNode: { insertBefore: () => {} } };
+    sandbox.createDragHandle(row, 'cat');
+    for (let i = 0; i < 10; i++) listeners.keydown({ key: 'ArrowUp', preventDefault: () => {} });
+    const writesWhileHeld = writes;
+    listeners.keyup({ key: 'ArrowUp' });
+    listeners.keyup({ key: 'ArrowUp' });
+    sandbox.document.createElement = createElementBefore;
+    sandbox.chrome.storage.sync.set = setBefore;
+    assert(writesWhileHeld === 0 && writes === 1, `Saves the order once per key release (${writesWhileHeld} while held, ${writes} in total)`);
+})();
+
+console.log('\nimportRules — merging into saved rules\n');
+
+// Runs importRules() on a parsed import file with savedRules (and any
+// savedSettings) in storage, answering its dialogs: replace (true) or merge
+// (false). Returns the status message shown and what was saved (null if
+// nothing was).
+function runImport(importData, savedRules, replace, savedSettings = {}) {
+    const result = { status: null, isError: false, saved: null };
+    const before = {
+        FileReader: sandbox.FileReader,
+        confirm: sandbox.confirm,
+        showStatus: sandbox.showStatus,
+        loadWordMap: sandbox.loadWordMap,
+        getElementById: sandbox.document.getElementById,
+        get: sandbox.chrome.storage.sync.get,
+        set: sandbox.chrome.storage.sync.set
+    };
+    sandbox.FileReader = class {
+        readAsText() { this.onload({ target: { result: JSON.stringify(importData) } }); }
+    };
+    // The first dialog asks whether to import, the second whether to replace.
+    sandbox.confirm = (message) => message.startsWith('Found') || replace;
+    sandbox.showStatus = (message, isError = false) => { result.status = message; result.isError = isError; };
+    sandbox.loadWordMap = () => {};
+    sandbox.document.getElementById = () => ({ value: '' });
+    sandbox.chrome.storage.sync.get = (_keys, cb) => cb({ wordMap: savedRules, ...savedSettings });
+    sandbox.chrome.storage.sync.set = (data, cb) => { result.saved = data; if (cb) cb(); };
+    try {
+        sandbox.importRules({ name: 'rules.json', type: 'application/json', size: 0 });
+    } finally {
+        sandbox.FileReader = before.FileReader;
+        sandbox.confirm = before.confirm;
+        sandbox.showStatus = before.showStatus;
+        sandbox.loadWordMap = before.loadWordMap;
+        sandbox.document.getElementById = before.getElementById;
+        sandbox.chrome.storage.sync.get = before.get;
+        sandbox.chrome.storage.sync.set = before.set;
+    }
+    return result;
+}
+
+// 52. A merged swap rule is checked against the saved rules too
+(() => {
+    const saved = { dog: { replacement: 'wolf', caseSensitive: false, enabled: true } };
+    const swapImport = { rules: { cat: { replacement: 'dog', swap: true } } };
+    const merged = runImport(swapImport, saved, false);
+    assert(merged.isError && merged.saved === null && merged.status.includes('"dog"'),
+        `Rejects merging "cat" ↔ "dog" into rules with a "dog" rule (${merged.status})`);
+    const replaced = runImport(swapImport, saved, true);
+    assert(!replaced.isError && replaced.saved !== null && !('dog' in replaced.saved.wordMap),
+        'Replacing the saved rules with the same swap rule works');
+})();
+
+// 53. A merged synonym group is checked against the saved rules too
+(() => {
+    const savedWidget = { widget: { replacement: 'thing', caseSensitive: false, enabled: true } };
+    const groupImport = { rules: { Gadget: { replacement: 'thing', aliases: ['Widget'] } } };
+    const groupMerged = runImport(groupImport, savedWidget, false);
+    assert(groupMerged.isError && groupMerged.saved === null && groupMerged.status.includes('"widget"'),
+        `Rejects merging a group spelled "Widget" into rules with a "widget" rule (${groupMerged.status})`);
+    const savedGroup = { 'Acme Co': { replacement: 'Company', caseSensitive: false, enabled: true, aliases: ['ACME Corp'] } };
+    const ruleMerged = runImport({ rules: { 'acme corp': { replacement: 'Acme' } } }, savedGroup, false);
+    assert(ruleMerged.isError && ruleMerged.saved === null && ruleMerged.status.includes('"acme corp"'),
+        `Rejects merging a rule for a saved group's spelling (${ruleMerged.status})`);
+    const otherMerged = runImport({ rules: { Gizmo: { replacement: 'thing' } } }, savedGroup, false);
+    assert(!otherMerged.isError && Object.keys(otherMerged.saved.wordMap).length === 2,
+        'Merges a rule that no group spells');
+})();
+
+console.log('\nMAX_RULES and MAX_RULE_PASSES — rule limits\n');
+
+// Builds count rules named prefix0, prefix1, ... with the given options.
+const manyRules = (count, prefix, options = {}) => {
+    const rules = {};
+    for (let i = 0; i < count; i++) {
+        rules[`${prefix}${i}`] = { replacement: 'x', caseSensitive: false, enabled: true, ...options };
+    }
+    return rules;
+};
+
+// 54. Literal rules share the content script's combined matchers, so
+// hundreds of them are fine; rules with a pass of their own are limited
+(() => {
+    const maxPasses = vm.runInContext('MAX_RULE_PASSES', sandbox);
+    const literalRules = manyRules(maxPasses + 100, 'word');
+    assert(vm.runInContext('MAX_RULES', sandbox) >= 1000, 'Allows thousands of rules');
+    assert(sandbox.validateImportedRules(literalRules) === null &&
+        sandbox.validateRulePasses(literalRules, false) === null,
+        `Accepts ${maxPasses + 100} literal rules`);
+    assert(typeof sandbox.validateRulePasses(literalRules, true) === 'string',
+        'Rejects them with "Apply rules in order" on, where each is a pass of its own');
+    const ownPassRules = {
+        ...manyRules(100, 'regex', { isRegex: true }),
+        ...manyRules(100, 'accent', { ignoreAccents: true }),
+        ...manyRules(maxPasses - 200, 'spacing', { flexibleSpacing: true }),
+        ...literalRules
+    };
+    assert(sandbox.validateRulePasses(ownPassRules, false) === null,
+        `Accepts ${maxPasses} rules with a pass of their own among literal rules`);
+    ownPassRules.hidden = { replacement: '', caseSensitive: false, enabled: false, action: 'hide' };
+    assert(typeof sandbox.validateRulePasses(ownPassRules, false) === 'string',
+        'Rejects one more, even a disabled one');
+})();
+
+// 55. Imports are held to the same limit
+(() => {
+    const maxPasses = vm.runInContext('MAX_RULE_PASSES', sandbox);
+    const regexImport = runImport({ rules: manyRules(maxPasses + 1, 'r', { isRegex: true }) }, {}, true);
+    assert(regexImport.isError && regexImport.saved === null && regexImport.status.includes(`${maxPasses}`),
+        `Rejects importing ${maxPasses + 1} regex rules (${regexImport.status})`);
+    const pipelineImport = runImport({ rules: manyRules(maxPasses + 1, 'w') }, {}, true, { rulePipeline: true });
+    assert(pipelineImport.isError && pipelineImport.status.includes('Apply rules in order'),
+        `Rejects importing ${maxPasses + 1} rules with "Apply rules in order" on (${pipelineImport.status})`);
+})();
+
 // ---------------------------------------------------------------------------
 // SUMMARY
 // ---------------------------------------------------------------------------